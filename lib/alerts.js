@@ -0,0 +1,293 @@
+import fs from 'fs';
+import { isWorkingDay, weekdayOf, WEEKDAY_NAMES } from './calendar.js';
+import { forecastSeries } from './forecast.js';
+import { readJsonFile, writeJsonFile } from './files.js';
+import { aggregateByDay, getSortedDays } from './metrics.js';
+import { adaptiveCardMessage } from './webhooks.js';
+
+// ─── Threshold Alerts ───────────────────────────────────────────────────────
+//
+// Rules checked after every refresh, listed in a JSON file (COPILOT_ALERTS_FILE,
+// default alerts.json); without one, the three rules below apply:
+//
+//   [
+//     { "id": "dau-drop", "type": "drop", "metric": "dailyActiveUsers", "thresholdPct": 25 },
+//     { "id": "low-acceptance", "type": "below", "metric": "acceptanceRate", "threshold": 20, "days": 3 },
+//     { "id": "new-model", "type": "new-model" }
+//   ]
+//
+//   drop       the metric fell more than `thresholdPct` against the previous day
+//   below      the metric stayed under `threshold` for `days` days in a row
+//   above      the metric stayed over `threshold` for `days` days in a row
+//   new-model  a model shows up in totals_by_model_feature for the first time
+//
+// Rules take an optional `severity` (warning, the default, or critical) and
+// `tenant` (default: each tenant on its own; "all" for the combined view).
+// Weekends and configured holidays are skipped unless `workingDaysOnly` is
+// false, so the Friday-to-Saturday dip doesn't fire every week; a Monday is
+// compared with the Friday before it.
+//
+// Only the latest week of data is checked. Every alert has a stable id (rule,
+// tenant and the day or model it is about), kept with its status in a state
+// file, so it is notified once and stays resolved once resolved. Each alert
+// also keeps the webhooks it still has to reach; a failed post is retried
+// after the next refresh until it goes through or the alert is resolved.
+
+export const ALERT_RULE_TYPES = ['drop', 'below', 'above', 'new-model'];
+export const ALERT_SEVERITIES = ['warning', 'critical'];
+
+const RECENT_DAYS = 7;
+// Days of earlier data needed before a model can count as new
+const MIN_MODEL_HISTORY_DAYS = 7;
+
+const SERIES = {
+  dailyActiveUsers: { label: 'Daily active users', series: (records) => forecastSeries(records, 'dailyActiveUsers') },
+  interactions: { label: 'Interactions', series: (records) => aggregateByDay(records).map(d => ({ day: d.day, value: d.interactions })) },
+  codeGenerated: { label: 'Code generations', series: (records) => aggregateByDay(records).map(d => ({ day: d.day, value: d.codeGenerated })) },
+  acceptanceRate: { label: 'Completion acceptance rate', unit: 'pct', series: (records) => forecastSeries(records, 'acceptanceRate') },
+  agentSharePct: { label: 'Agent activity share', unit: 'pct', series: (records) => forecastSeries(records, 'agentSharePct') },
+};
+
+export const ALERT_METRICS = Object.keys(SERIES);
+
+export const DEFAULT_ALERT_RULES = [
+  { id: 'dau-drop', type: 'drop', metric: 'dailyActiveUsers', thresholdPct: 25 },
+  { id: 'low-acceptance', type: 'below', metric: 'acceptanceRate', threshold: 20, days: 3 },
+  { id: 'new-model', type: 'new-model' },
+];
+
+function parseRule(entry, i) {
+  const id = entry.id || `rule-${i + 1}`;
+  const fail = (message) => { throw new Error(`Alert rule "${id}": ${message}`); };
+  if (!ALERT_RULE_TYPES.includes(entry.type)) fail(`"type" must be one of ${ALERT_RULE_TYPES.join(', ')}`);
+  if (entry.type !== 'new-model' && !SERIES[entry.metric]) fail(`"metric" must be one of ${ALERT_METRICS.join(', ')}`);
+  const severity = entry.severity || 'warning';
+  if (!ALERT_SEVERITIES.includes(severity)) fail(`"severity" must be ${ALERT_SEVERITIES.join(' or ')}`);
+  const rule = { id, type: entry.type, severity, tenant: entry.tenant || null, workingDaysOnly: entry.workingDaysOnly !== false };
+  if (entry.type === 'drop') {
+    const pct = Number(entry.thresholdPct);
+    if (!(pct > 0 && pct <= 100)) fail('"thresholdPct" must be a number above 0 and at most 100');
+    Object.assign(rule, { metric: entry.metric, thresholdPct: pct });
+  } else if (entry.type !== 'new-model') {
+    const threshold = Number(entry.threshold);
+    const days = entry.days === undefined ? 1 : Number(entry.days);
+    if (entry.threshold === undefined || !Number.isFinite(threshold)) fail('"threshold" must be a number');
+    if (!Number.isInteger(days) || days < 1 || days > RECENT_DAYS) fail(`"days" must be a whole number from 1 to ${RECENT_DAYS}`);
+    Object.assign(rule, { metric: entry.metric, threshold, days });
+  }
+  return rule;
+}
+
+// Rules from the file, or DEFAULT_ALERT_RULES when it doesn't exist. Throws on invalid rules.
+export function loadAlertRules(file) {
+  let list = DEFAULT_ALERT_RULES;
+  if (file && fs.existsSync(file)) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    list = Array.isArray(config) ? config : config.rules;
+    if (!Array.isArray(list)) throw new Error(`${file} must be a list of alert rules or { "rules": [...] }.`);
+  }
+  const rules = list.map(parseRule);
+  const ids = new Set();
+  for (const r of rules) {
+    if (ids.has(r.id)) throw new Error(`Duplicate alert rule id "${r.id}".`);
+    ids.add(r.id);
+  }
+  return rules;
+}
+
+// ─── Rule Evaluation ────────────────────────────────────────────────────────
+
+const fmtValue = (value, unit) => (unit === 'pct' ? `${Math.round(value * 10) / 10}%` : Math.round(value).toLocaleString('en-US'));
+const dayName = (day) => WEEKDAY_NAMES[weekdayOf(day)];
+
+function checkDrop(rule, series, since) {
+  const spec = SERIES[rule.metric];
+  const events = [];
+  for (let i = 1; i < series.length; i++) {
+    const prev = series[i - 1], cur = series[i];
+    if (cur.day < since || prev.value <= 0) continue;
+    const dropPct = ((prev.value - cur.value) / prev.value) * 100;
+    if (dropPct <= rule.thresholdPct) continue;
+    events.push({
+      key: cur.day,
+      day: cur.day,
+      value: cur.value,
+      message: `${spec.label} fell ${Math.round(dropPct * 10) / 10}% on ${dayName(cur.day)} ${cur.day}: ` +
+        `${fmtValue(cur.value, spec.unit)} against ${fmtValue(prev.value, spec.unit)} on ${prev.day} (threshold ${rule.thresholdPct}%).`,
+    });
+  }
+  return events;
+}
+
+// Runs of at least `days` consecutive points on the wrong side of the threshold
+function checkThreshold(rule, series, since) {
+  const spec = SERIES[rule.metric];
+  const breaches = (v) => (rule.type === 'below' ? v < rule.threshold : v > rule.threshold);
+  const events = [];
+  let start = null;
+  series.forEach((point, i) => {
+    if (breaches(point.value)) start ??= i;
+    else start = null;
+    const runEnds = start !== null && (i === series.length - 1 || !breaches(series[i + 1].value));
+    if (!runEnds || i - start + 1 < rule.days || point.day < since) return;
+    const run = series.slice(start, i + 1);
+    events.push({
+      // One alert per run, however long it lasts
+      key: run[0].day,
+      day: point.day,
+      value: point.value,
+      message: `${spec.label} has been ${rule.type} ${fmtValue(rule.threshold, spec.unit)} for ${run.length} day(s), ` +
+        `from ${run[0].day} to ${point.day} (latest ${fmtValue(point.value, spec.unit)}).`,
+    });
+  });
+  return events;
+}
+
+function checkNewModels(records, days, since) {
+  const firstSeen = new Map();
+  for (const r of [...records].sort((a, b) => a.day.localeCompare(b.day))) {
+    for (const m of r.totals_by_model_feature || []) {
+      if (m.model && !firstSeen.has(m.model)) firstSeen.set(m.model, r.day);
+    }
+  }
+  const events = [];
+  for (const [model, day] of firstSeen) {
+    if (day < since || days.filter(d => d < day).length < MIN_MODEL_HISTORY_DAYS) continue;
+    events.push({ key: model, day, value: null, model, message: `New model "${model}" appeared in the usage data on ${day}.` });
+  }
+  return events;
+}
+
+// Alerts the rules raise on one tenant view's records, as
+// [{ id, ruleId, type, severity, tenant, day, metric, value, message }];
+// `holidays` is the Map from loadHolidays().
+export function evaluateAlertRules(records, rules, { tenant, holidays = new Map() }) {
+  const days = getSortedDays(records);
+  if (days.length === 0) return [];
+  // The first of the latest RECENT_DAYS days with data
+  const since = days.slice(-RECENT_DAYS)[0];
+  const alerts = [];
+  for (const rule of rules) {
+    let events;
+    if (rule.type === 'new-model') {
+      events = checkNewModels(records, days, since);
+    } else {
+      const series = SERIES[rule.metric].series(records).filter(p => !rule.workingDaysOnly || isWorkingDay(p.day, holidays));
+      events = rule.type === 'drop' ? checkDrop(rule, series, since) : checkThreshold(rule, series, since);
+    }
+    for (const e of events) {
+      alerts.push({
+        id: `${rule.id}:${tenant}:${e.key}`,
+        ruleId: rule.id,
+        type: rule.type,
+        severity: rule.severity,
+        tenant,
+        day: e.day,
+        metric: rule.metric || null,
+        value: e.value,
+        ...(e.model ? { model: e.model } : {}),
+        message: e.message,
+      });
+    }
+  }
+  return alerts;
+}
+
+// ─── Alert State ────────────────────────────────────────────────────────────
+
+// An unreadable state file is reported through `warn` and starts afresh
+export function loadAlertState(file, warn = console.warn) {
+  const state = readJsonFile(file, null, warn);
+  return state && typeof state.alerts === 'object' && state.alerts !== null ? state : { alerts: {} };
+}
+
+export function saveAlertState(file, state) {
+  writeJsonFile(file, state);
+}
+
+const reaches = (webhook, alert) => ALERT_SEVERITIES.indexOf(alert.severity) >= ALERT_SEVERITIES.indexOf(webhook.minSeverity || 'warning');
+
+// Merge freshly raised alerts into the state; returns the ones never seen
+// before. Those are queued for each of `webhooks` (the ones subscribed to
+// alerts) that takes their severity. Known alerts, resolved or not, only get
+// their latest details.
+export function recordAlerts(state, raised, { webhooks = [], now = new Date() } = {}) {
+  const at = now.toISOString();
+  const fresh = [];
+  for (const alert of raised) {
+    const known = state.alerts[alert.id];
+    if (known) {
+      state.alerts[alert.id] = { ...known, ...alert, status: known.status, lastSeenAt: at };
+      continue;
+    }
+    const pendingWebhooks = webhooks.filter(w => reaches(w, alert)).map(w => w.name);
+    state.alerts[alert.id] = { ...alert, status: 'open', firstSeenAt: at, lastSeenAt: at, pendingWebhooks };
+    fresh.push(state.alerts[alert.id]);
+  }
+  return fresh;
+}
+
+// Open alerts not yet posted to the webhook named `name`
+export function pendingAlerts(state, name) {
+  return Object.values(state.alerts).filter(a => a.status === 'open' && (a.pendingWebhooks || []).includes(name));
+}
+
+// Record that `alerts` reached the webhook named `name`
+export function markNotified(state, alerts, name, now = new Date()) {
+  for (const { id } of alerts) {
+    const alert = state.alerts[id];
+    if (!alert) continue;
+    alert.pendingWebhooks = (alert.pendingWebhooks || []).filter(n => n !== name);
+    alert.notifiedAt = { ...alert.notifiedAt, [name]: now.toISOString() };
+  }
+}
+
+// Mark an alert resolved; returns it, or null if there is no such alert
+export function resolveAlert(state, id, { note = null, now = new Date() } = {}) {
+  const alert = state.alerts[id];
+  if (!alert) return null;
+  state.alerts[id] = { ...alert, status: 'resolved', resolvedAt: now.toISOString(), resolutionNote: note };
+  return state.alerts[id];
+}
+
+// Alerts newest first, optionally only open or resolved ones
+export function listAlerts(state, { status = null, tenant = null } = {}) {
+  return Object.values(state.alerts)
+    .filter(a => (!status || a.status === status) && (!tenant || a.tenant === tenant))
+    .sort((a, b) => b.day.localeCompare(a.day) || ALERT_SEVERITIES.indexOf(b.severity) - ALERT_SEVERITIES.indexOf(a.severity));
+}
+
+// ─── Notification Payloads ──────────────────────────────────────────────────
+
+const ICONS = { warning: '🟠', critical: '🔴' };
+
+// The payload for one webhook, or null if none of the alerts reach its minimum severity
+export function alertPayload(alerts, webhook, { dashboardUrl = null } = {}) {
+  const min = ALERT_SEVERITIES.indexOf(webhook.minSeverity || 'warning');
+  const list = alerts.filter(a => ALERT_SEVERITIES.indexOf(a.severity) >= min);
+  if (list.length === 0) return null;
+  const title = `Copilot metrics: ${list.length} new alert(s)`;
+  if (webhook.format === 'slack') {
+    return {
+      text: title,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: title } },
+        ...list.map(a => ({
+          type: 'section',
+          text: { type: 'mrkdwn', text: `${ICONS[a.severity]} *${a.ruleId}* (${a.tenant})\n${a.message}` },
+        })),
+        ...(dashboardUrl ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `<${dashboardUrl}|Open the dashboard>` }] }] : []),
+      ],
+    };
+  }
+  if (webhook.format === 'teams') {
+    return adaptiveCardMessage(
+      [
+        { type: 'TextBlock', text: title, weight: 'Bolder', size: 'Medium', wrap: true },
+        ...list.map(a => ({ type: 'TextBlock', text: `${ICONS[a.severity]} **${a.ruleId}** (${a.tenant}): ${a.message}`, wrap: true })),
+      ],
+      dashboardUrl ? [{ type: 'Action.OpenUrl', title: 'Open the dashboard', url: dashboardUrl }] : [],
+    );
+  }
+  return { event: 'alerts', alerts: list };
+}
@@ -0,0 +1,144 @@
+import { aggregateByDay, aggregateCodeCompletions, aggregateDailyActiveUsers } from './metrics.js';
+import { WEEKDAY_NAMES, isWeekend, shiftDay, weekdayOf } from './calendar.js';
+
+// ─── Usage Anomaly Detection ────────────────────────────────────────────────
+//
+// Flags days whose value is far from what is normal for that kind of day.
+// Weekends are compared with earlier weekends and weekdays with earlier
+// weekdays (within the previous 28 days), using the median and the median
+// absolute deviation so a single bad day doesn't skew the baseline. A day is
+// a warning at 3.5 robust standard deviations out and critical at 6, or when
+// a usage count falls to zero. Deviations under ~15% are never flagged.
+//
+// These are usage anomalies (outages, licence problems, rollouts); broken or
+// missing report data is covered by the data-quality checks in quality.js.
+// Configured holidays are expected to be quiet and are skipped altogether.
+
+const BASELINE_DAYS = 28;
+const MIN_BASELINE = { weekday: 4, weekend: 3 };
+const WARNING_Z = 3.5;
+const CRITICAL_Z = 6;
+// The spread is never taken as less than this share of the median
+const MIN_SPREAD_RATIO = 0.045;
+const MAD_SCALE = 1.4826;
+
+const METRICS = {
+  dailyActiveUsers: {
+    label: 'Daily active users',
+    series: (records) => aggregateDailyActiveUsers(records).map(d => ({ day: d.day, value: d.users })),
+    drop: 'A drop like this usually means an outage, a sign-in/SSO problem or removed Copilot licences.',
+    spike: 'Check for an onboarding wave, a licence rollout or duplicated report data.',
+  },
+  interactions: {
+    label: 'Interactions',
+    series: (records) => aggregateByDay(records).map(d => ({ day: d.day, value: d.interactions })),
+    drop: 'Check for a Copilot or IDE extension outage, or a policy change that disabled chat features.',
+    spike: 'Check for a rollout, training session or a new feature being enabled.',
+  },
+  codeGenerated: {
+    label: 'Code generations',
+    series: (records) => aggregateByDay(records).map(d => ({ day: d.day, value: d.codeGenerated })),
+    drop: 'Check for a Copilot outage or completions being disabled by policy.',
+    spike: 'Check for a rollout or a new agent/edit feature being enabled.',
+  },
+  acceptanceRate: {
+    label: 'Code completion acceptance rate',
+    unit: 'pts',
+    minSpread: 0.5,
+    // Days without completions have no rate rather than a rate of zero
+    series: (records) => aggregateCodeCompletions(records)
+      .filter(d => d.shown > 0)
+      .map(d => ({ day: d.day, value: Math.round((d.accepted / d.shown) * 10000) / 100 })),
+    drop: 'Often follows a model change or an extension update; check completion quality.',
+    spike: 'Often follows a model change or an extension update.',
+  },
+};
+
+export const ANOMALY_METRICS = Object.keys(METRICS);
+export const ANOMALY_SEVERITIES = ['warning', 'critical'];
+
+const dayType = (day) => (isWeekend(day) ? 'weekend' : 'weekday');
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+function formatValue(value, unit) {
+  return unit === 'pts' ? `${round(value)}%` : Math.round(value).toLocaleString('en-US');
+}
+
+function detectSeries(name, spec, series) {
+  const flagged = [];
+  series.forEach((point, i) => {
+    const type = dayType(point.day);
+    const since = shiftDay(point.day, -BASELINE_DAYS);
+    const baseline = series.slice(0, i).filter(p => p.day >= since && dayType(p.day) === type).map(p => p.value);
+    if (baseline.length < MIN_BASELINE[type]) return;
+
+    const expected = median(baseline);
+    const mad = median(baseline.map(v => Math.abs(v - expected)));
+    const spread = Math.max(mad * MAD_SCALE, Math.abs(expected) * MIN_SPREAD_RATIO, spec.minSpread || 1);
+    const z = (point.value - expected) / spread;
+    const toZero = spec.unit !== 'pts' && point.value === 0 && expected > 0;
+    if (Math.abs(z) < WARNING_Z && !toZero) return;
+
+    const direction = z < 0 ? 'drop' : 'spike';
+    const deviationPct = expected !== 0 ? Math.round(((point.value - expected) / Math.abs(expected)) * 1000) / 10 : null;
+    const difference = spec.unit === 'pts'
+      ? `${Math.abs(round(point.value - expected))} pts ${direction === 'drop' ? 'below' : 'above'}`
+      : `${Math.abs(deviationPct ?? 100)}% ${direction === 'drop' ? 'below' : 'above'}`;
+    flagged.push({
+      metric: name,
+      day: point.day,
+      dayType: type,
+      value: point.value,
+      expected: round(expected),
+      deviationPct,
+      zScore: round(z),
+      direction,
+      severity: toZero || Math.abs(z) >= CRITICAL_Z ? 'critical' : 'warning',
+      explanation: `${spec.label} was ${formatValue(point.value, spec.unit)} on ${WEEKDAY_NAMES[weekdayOf(point.day)]}, ` +
+        `${difference} the usual ${type} level of ${formatValue(expected, spec.unit)} ` +
+        `(median of the previous ${baseline.length} ${type === 'weekday' ? 'weekdays' : 'weekend days'}). ${spec[direction]}`,
+    });
+  });
+  return flagged;
+}
+
+// Validate `metrics` (a list or comma-separated string) and `minSeverity` from
+// query-string or tool arguments. Throws on anything invalid.
+export function parseAnomalyOptions(params = {}) {
+  const { metrics, minSeverity } = params;
+  const list = metrics === undefined || metrics === null || metrics === ''
+    ? ANOMALY_METRICS
+    : (Array.isArray(metrics) ? metrics : String(metrics).split(',')).map(m => String(m).trim()).filter(Boolean);
+  const unknown = list.filter(m => !METRICS[m]);
+  if (unknown.length > 0) throw new Error(`Unknown metric(s) ${unknown.join(', ')}; use ${ANOMALY_METRICS.join(', ')}`);
+  if (minSeverity && !ANOMALY_SEVERITIES.includes(minSeverity)) {
+    throw new Error(`"minSeverity" must be ${ANOMALY_SEVERITIES.join(' or ')}`);
+  }
+  return { metrics: list, minSeverity: minSeverity || 'warning' };
+}
+
+// Flag unusual days in the daily series of a tenant view. `metrics` limits
+// the series checked, `minSeverity` drops warnings, and `from`/`to` limit the
+// days reported (earlier days still serve as the baseline, so pass the
+// records without a date filter). `holidays` is the Map from loadHolidays().
+export function detectAnomalies(records, { metrics = ANOMALY_METRICS, minSeverity = 'warning', from = null, to = null, holidays = new Map() } = {}) {
+  const anomalies = metrics
+    // Holidays are skipped, and a filtered view can leave a count unavailable (null) on a day
+    .flatMap(name => detectSeries(name, METRICS[name], METRICS[name].series(records).filter(p => p.value !== null && !holidays.has(p.day))))
+    .filter(a => (!from || a.day >= from) && (!to || a.day <= to))
+    .filter(a => ANOMALY_SEVERITIES.indexOf(a.severity) >= ANOMALY_SEVERITIES.indexOf(minSeverity))
+    .sort((a, b) => b.day.localeCompare(a.day) || ANOMALY_SEVERITIES.indexOf(b.severity) - ANOMALY_SEVERITIES.indexOf(a.severity));
+  const count = (severity) => anomalies.filter(a => a.severity === severity).length;
+  return {
+    metrics,
+    summary: { total: anomalies.length, critical: count('critical'), warning: count('warning') },
+    anomalies,
+  };
+}
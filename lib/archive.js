@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+
+// ─── Local History Archive ──────────────────────────────────────────────────
+//
+// Append-only NDJSON store of daily metrics records. The GitHub API only
+// serves the last 28 days, so every refresh appends what it fetched here and
+// the in-memory records are rebuilt from the whole file. When a day is
+// re-fetched, the newer line supersedes the older one on load.
+
+export function recordKey(rec) {
+  return `${rec.organization_login || rec.enterprise_id || 'default'}|${rec.day}`;
+}
+
+// Per-user reports hold one record per user per day
+export function userRecordKey(rec) {
+  return `${rec.user_login}|${rec.day}`;
+}
+
+// Options: `keyOf` identifies a record (default recordKey); `since` drops
+// records for days before that YYYY-MM-DD date.
+function readArchive(file, { keyOf = recordKey, since = null } = {}) {
+  const byKey = new Map();
+  let lines = 0;
+  if (!fs.existsSync(file)) return { byKey, lines };
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    lines++;
+    try {
+      const rec = JSON.parse(trimmed);
+      if (since && rec.day < since) continue;
+      byKey.set(keyOf(rec), rec);
+    } catch (e) {}
+  }
+  return { byKey, lines };
+}
+
+function sortByDay(recs) {
+  return recs.sort((a, b) => a.day.localeCompare(b.day));
+}
+
+export function loadArchive(file, opts) {
+  return sortByDay(Array.from(readArchive(file, opts).byKey.values()));
+}
+
+// Merge freshly fetched records into the archive and return the full history.
+// Only new or changed records are appended; the file is rewritten once
+// superseded or expired lines outnumber live ones.
+export function mergeIntoArchive(file, fetched, opts = {}) {
+  const { keyOf = recordKey, since = null } = opts;
+  const { byKey, lines } = readArchive(file, opts);
+  const changed = [];
+  for (const rec of fetched) {
+    if (since && rec.day < since) continue;
+    const key = keyOf(rec);
+    const prev = byKey.get(key);
+    if (prev && JSON.stringify(prev) === JSON.stringify(rec)) continue;
+    byKey.set(key, rec);
+    changed.push(rec);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const all = sortByDay(Array.from(byKey.values()));
+  if (lines + changed.length > all.length * 2) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, all.map(r => JSON.stringify(r)).join('\n') + '\n');
+    fs.renameSync(tmp, file);
+  } else if (changed.length > 0) {
+    fs.appendFileSync(file, changed.map(r => JSON.stringify(r)).join('\n') + '\n');
+  }
+  return all;
+}
+
+// Archives used to be named <type>-<slug>.ndjson, which two tenants with the
+// same slug on different hosts would share. Rename them after the tenant id,
+// unless several tenants map to the same old name and the files can't be
+// attributed to one of them.
+const ARCHIVE_SUFFIXES = ['.ndjson', '-users.ndjson'];
+
+export function renameLegacyArchives(dir, tenants, { log = console.log, warn = console.warn } = {}) {
+  const byLegacyName = new Map();
+  for (const t of tenants) {
+    const name = `${t.type}-${t.slug}`;
+    byLegacyName.set(name, [...(byLegacyName.get(name) || []), t]);
+  }
+  for (const [name, sharing] of byLegacyName) {
+    const found = ARCHIVE_SUFFIXES.filter(suffix => fs.existsSync(path.join(dir, name + suffix)));
+    if (found.length === 0 || (sharing.length === 1 && sharing[0].id === name)) continue;
+    if (sharing.length > 1) {
+      warn(`Not renaming ${path.join(dir, name)}*: tenants ${sharing.map(t => t.id).join(', ')} share that name. Rename the files to start with the id of the tenant they belong to.`);
+      continue;
+    }
+    for (const suffix of found) {
+      const from = path.join(dir, name + suffix);
+      const to = path.join(dir, sharing[0].id + suffix);
+      if (fs.existsSync(to)) {
+        warn(`Not renaming ${from}: ${to} already exists`);
+        continue;
+      }
+      fs.renameSync(from, to);
+      log(`Renamed ${from} to ${to}`);
+    }
+  }
+}
+
+// Pick the days in `windowDays` that still need fetching: anything not
+// archived yet (including days that failed last time), plus the most recent
+// `recentDays`, which GitHub may still be revising.
+export function selectDaysToFetch(windowDays, archived, recentDays) {
+  const have = new Set(archived.map(r => r.day));
+  const recent = new Set(recentDays > 0 ? [...windowDays].sort().slice(-recentDays) : []);
+  return windowDays.filter(day => !have.has(day) || recent.has(day));
+}
@@ -0,0 +1,76 @@
+import fs from 'fs';
+
+// ─── Working-Day Calendar ───────────────────────────────────────────────────
+//
+// Weekends and configured holidays are non-working days. Holidays come from a
+// JSON file (COPILOT_HOLIDAYS_FILE, default holidays.json): a list of entries,
+// or `{ "holidays": [...] }`, each either a single day or a range:
+//
+//   [
+//     { "date": "2026-12-25", "name": "Christmas Day" },
+//     { "from": "2026-12-28", "to": "2026-12-31", "name": "Year-end shutdown" }
+//   ]
+//
+// Days are UTC calendar days, like the report days themselves.
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 366;
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Rejects malformed and out-of-range dates such as 2026-02-30
+export function isValidDay(value) {
+  if (typeof value !== 'string' || !DATE.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+export function shiftDay(day, days) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+export function weekdayOf(day) {
+  return new Date(`${day}T00:00:00Z`).getUTCDay();
+}
+
+export function isWeekend(day) {
+  return [0, 6].includes(weekdayOf(day));
+}
+
+// `holidays` is the Map from loadHolidays()
+export function isWorkingDay(day, holidays) {
+  return !isWeekend(day) && !holidays.has(day);
+}
+
+export function workingDaysOnly(records, holidays) {
+  return records.filter(r => isWorkingDay(r.day, holidays));
+}
+
+export function countWorkingDays(start, end, holidays) {
+  let count = 0;
+  for (let day = start; day <= end; day = shiftDay(day, 1)) {
+    if (isWorkingDay(day, holidays)) count++;
+  }
+  return count;
+}
+
+// Map of day → holiday name; empty when the file doesn't exist. Throws on invalid entries.
+export function loadHolidays(file) {
+  const holidays = new Map();
+  if (!file || !fs.existsSync(file)) return holidays;
+  const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const list = Array.isArray(config) ? config : config.holidays;
+  if (!Array.isArray(list)) throw new Error(`${file} must be a list of holidays or { "holidays": [...] }.`);
+  for (const entry of list) {
+    const from = entry.date || entry.from;
+    const to = entry.date || entry.to || entry.from;
+    if (!isValidDay(from) || !isValidDay(to) || to < from) {
+      throw new Error(`Invalid holiday ${JSON.stringify(entry)} in ${file}: use "date" or "from"/"to" as YYYY-MM-DD.`);
+    }
+    if (shiftDay(from, MAX_RANGE_DAYS) <= to) throw new Error(`Holiday range ${from} to ${to} in ${file} is longer than a year.`);
+    for (let day = from; day <= to; day = shiftDay(day, 1)) holidays.set(day, entry.name || 'Holiday');
+  }
+  return holidays;
+}
@@ -0,0 +1,98 @@
+// ─── Server-Side Chart Images ───────────────────────────────────────────────
+//
+// Renders the reports' chart definitions ({ type, title, labels, datasets,
+// stacked }) to PNG with Chart.js on a native canvas, for emails and other
+// places that can't run Chart.js in a browser. Colours follow the web UI on a
+// white background. Chart.js and the canvas are only loaded on first use.
+
+const COLORS = [
+  '#58a6ff', '#f78166', '#3fb950', '#d2a8ff', '#f0883e',
+  '#79c0ff', '#56d364', '#bc8cff', '#ffa657', '#a5d6ff',
+];
+const TEXT = '#24292f';
+const MUTED = '#57606a';
+const GRID = 'rgba(0,0,0,0.08)';
+
+let libs = null;
+
+async function load() {
+  libs ||= (async () => {
+    const [{ createCanvas }, { Chart, registerables }] = await Promise.all([import('@napi-rs/canvas'), import('chart.js')]);
+    Chart.register(...registerables);
+    return { createCanvas, Chart };
+  })();
+  return libs;
+}
+
+// Fills the canvas white first; PNGs are transparent otherwise and unreadable in dark-mode mail clients
+const background = {
+  id: 'background',
+  beforeDraw(chart) {
+    const { ctx, width, height } = chart;
+    ctx.save();
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+  },
+};
+
+// The same dataset styling as buildChartConfig() in the web UI
+function chartConfig(chartData) {
+  const type = chartData.type || 'bar';
+  const round = type === 'pie' || type === 'doughnut';
+  const stacked = chartData.stacked === true;
+  const datasets = (chartData.datasets || []).map((ds, i) => ({
+    ...ds,
+    backgroundColor: ds.backgroundColor || (type === 'line' ? 'transparent' : COLORS[i % COLORS.length]),
+    borderColor: ds.borderColor || COLORS[i % COLORS.length],
+    borderWidth: ds.borderWidth !== undefined ? ds.borderWidth : (type === 'line' ? 2 : 1),
+    pointBackgroundColor: ds.pointBackgroundColor || COLORS[i % COLORS.length],
+    fill: ds.fill !== undefined ? ds.fill : false,
+    tension: ds.tension !== undefined ? ds.tension : 0.3,
+  }));
+  if (round && datasets.length > 0 && !Array.isArray(datasets[0].backgroundColor)) {
+    datasets[0].backgroundColor = COLORS.concat(COLORS).slice(0, (datasets[0].data || []).length);
+    datasets[0].borderColor = '#ffffff';
+    datasets[0].borderWidth = 2;
+  }
+  const axis = {
+    stacked,
+    ticks: { color: MUTED, font: { size: 11 } },
+    grid: { color: GRID },
+  };
+  return {
+    type,
+    data: { labels: chartData.labels || [], datasets },
+    options: {
+      responsive: false,
+      animation: false,
+      devicePixelRatio: 2,
+      plugins: {
+        title: { display: Boolean(chartData.title), text: chartData.title, color: TEXT, font: { size: 14, weight: 'bold' } },
+        legend: { labels: { color: TEXT, font: { size: 12 } } },
+      },
+      scales: round ? {} : { x: { ...axis, ticks: { ...axis.ticks, maxRotation: 45 } }, y: { ...axis, beginAtZero: true } },
+    },
+    plugins: [background],
+  };
+}
+
+// One chart definition as a PNG buffer
+export async function renderChartPng(chartData, { width = 720, height = 360 } = {}) {
+  const { createCanvas, Chart } = await load();
+  const config = chartConfig(chartData);
+  // Chart.js scales the canvas up by devicePixelRatio itself
+  const canvas = createCanvas(width, height);
+  const chart = new Chart(canvas.getContext('2d'), config);
+  try {
+    return await canvas.encode('png');
+  } finally {
+    chart.destroy();
+  }
+}
+
+// Every chart of a report ({ chartData, chartsData }), in order
+export function reportCharts(report) {
+  if (Array.isArray(report.chartsData) && report.chartsData.length > 0) return report.chartsData;
+  return report.chartData ? [report.chartData] : [];
+}
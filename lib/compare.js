@@ -0,0 +1,124 @@
+import {
+  aggregateByFeature, aggregateByLanguage, aggregateByModel, getAgentAdoptionPct, getCodeGenerationStats, getSummary,
+} from './metrics.js';
+import { countWorkingDays, shiftDay, workingDaysOnly } from './calendar.js';
+
+// ─── Period-over-Period Comparison ──────────────────────────────────────────
+//
+// Puts every KPI and the top breakdowns next to the previous equivalent
+// period: the latest 28 days against the 28 before them by default, or a
+// given from/to range against the same number of days just before it.
+// Counts are compared as totals, rates in percentage points. When the
+// archive doesn't reach back far enough, `previous` is null rather than 0.
+// With `workingDays`, weekends and holidays are left out of both periods, so
+// averages aren't dragged down by quiet days and a period with an extra
+// holiday doesn't look like a drop.
+// When the two periods have data for a different number of days, their
+// totals aren't like for like: those keep both values but get no change
+// (`totalsComparable` is false); averages and rates are still compared.
+
+const DEFAULT_PERIOD_DAYS = 28;
+const TOP_N = 10;
+
+function daysBetween(start, end) {
+  return Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000) + 1;
+}
+
+// Current and previous windows; `from`/`to` default to the latest archived day and 28 days before it
+export function comparisonWindows(records, { from = null, to = null } = {}) {
+  const days = records.map(r => r.day).sort();
+  if (days.length === 0) return null;
+  const end = to || days[days.length - 1];
+  const start = from || shiftDay(end, -(DEFAULT_PERIOD_DAYS - 1));
+  const length = daysBetween(start, end);
+  return {
+    current: { start, end, days: length },
+    previous: { start: shiftDay(start, -length), end: shiftDay(start, -1), days: length },
+  };
+}
+
+// Without a previous value, or with `comparable` false, there is no change
+export function compareValues(current, previous, unit = 'count', comparable = true) {
+  previous = previous ?? null;
+  if (current === null || previous === null || !comparable) {
+    return { current, previous, change: null, changePct: null, trend: null, unit };
+  }
+  const change = Math.round((current - previous) * 100) / 100;
+  // Growth from zero has no meaningful percentage
+  const changePct = previous !== 0 ? Math.round(((current - previous) / Math.abs(previous)) * 1000) / 10 : (current === 0 ? 0 : null);
+  return { current, previous, change, changePct, trend: change > 0 ? 'up' : change < 0 ? 'down' : 'flat', unit };
+}
+
+function kpisOf(records) {
+  const summary = getSummary(records);
+  return {
+    avgDailyActiveUsers: summary.avgDailyActiveUsers,
+    peakDailyActiveUsers: summary.peakDailyActiveUsers,
+    interactions: summary.totalInteractions,
+    codeGenerated: summary.totalCodeGenerated,
+    codeAccepted: summary.totalCodeAccepted,
+    locAdded: summary.totalLocAdded,
+    locDeleted: summary.totalLocDeleted,
+    agentAdoptionPct: getAgentAdoptionPct(records),
+    acceptanceRate: getCodeGenerationStats(records).acceptanceRate,
+  };
+}
+
+const PCT_KPIS = ['agentAdoptionPct', 'acceptanceRate'];
+// Independent of how many days have data
+const RATE_KPIS = ['avgDailyActiveUsers', ...PCT_KPIS];
+
+// The current period's top entries, each with its value in the previous
+// period; null when a filter leaves the breakdown unavailable
+function compareBreakdown(current, previous, key, measure, comparable) {
+  if (!current) return null;
+  const before = previous ? new Map(previous.map(e => [e[key], e[measure]])) : null;
+  return current.slice(0, TOP_N).map(e => ({
+    [key]: e[key],
+    ...compareValues(e[measure], before ? (before.get(e[key]) ?? 0) : null, 'count', comparable),
+  }));
+}
+
+// `records` must cover both periods, so pass the tenant's records without a
+// date filter. `holidays` (from loadHolidays()) is needed with `workingDays`.
+export function comparePeriods(records, range = {}, { workingDays = false, holidays = new Map() } = {}) {
+  const windows = comparisonWindows(records, range);
+  if (!windows) return null;
+  const counted = workingDays ? workingDaysOnly(records, holidays) : records;
+  const inWindow = (w) => counted.filter(r => r.day >= w.start && r.day <= w.end);
+  const cur = inWindow(windows.current);
+  const prev = inWindow(windows.previous);
+  const hasPrevious = prev.length > 0;
+  const totalsComparable = cur.length === prev.length;
+  if (workingDays) {
+    windows.current.workingDays = countWorkingDays(windows.current.start, windows.current.end, holidays);
+    windows.previous.workingDays = countWorkingDays(windows.previous.start, windows.previous.end, holidays);
+  }
+
+  const curKpis = kpisOf(cur);
+  const prevKpis = hasPrevious ? kpisOf(prev) : {};
+  const kpis = {};
+  for (const [name, value] of Object.entries(curKpis)) {
+    const unit = PCT_KPIS.includes(name) ? 'pct' : 'count';
+    kpis[name] = compareValues(value, hasPrevious ? prevKpis[name] : null, unit, totalsComparable || RATE_KPIS.includes(name));
+  }
+
+  return {
+    basis: workingDays ? 'working days' : 'calendar days',
+    current: { ...windows.current, daysWithData: cur.length },
+    previous: { ...windows.previous, daysWithData: prev.length },
+    totalsComparable,
+    kpis,
+    languages: compareBreakdown(aggregateByLanguage(cur), hasPrevious && aggregateByLanguage(prev, Infinity), 'language', 'codeGenerated', totalsComparable),
+    models: compareBreakdown(aggregateByModel(cur), hasPrevious && aggregateByModel(prev, Infinity), 'model', 'interactions', totalsComparable),
+    features: compareBreakdown(aggregateByFeature(cur), hasPrevious && aggregateByFeature(prev), 'feature', 'interactions', totalsComparable),
+  };
+}
+
+// "▲ 12.5%" / "▼ 3.0 pts" / "— 0%" for reports; "n/a" without a previous period
+export function formatChange(c) {
+  if (!c || c.trend === null) return 'n/a';
+  const arrow = c.trend === 'up' ? '▲' : c.trend === 'down' ? '▼' : '—';
+  if (c.unit === 'pct') return `${arrow} ${Math.abs(c.change).toFixed(1)} pts`;
+  return c.changePct === null ? `${arrow} new` : `${arrow} ${Math.abs(c.changePct).toFixed(1)}%`;
+}
@@ -0,0 +1,165 @@
+import { compareValues, comparePeriods, formatChange } from './compare.js';
+import { detectAnomalies } from './anomalies.js';
+import { WEEKDAY_NAMES, shiftDay, weekdayOf } from './calendar.js';
+import { getActiveUsers } from './engagement.js';
+import { aggregateByDay, aggregateByLanguage, aggregateByModel } from './metrics.js';
+import { adaptiveCardMessage } from './webhooks.js';
+
+// ─── Weekly Digest ──────────────────────────────────────────────────────────
+//
+// A short summary of the latest 7 days for chat: the executive-summary KPIs
+// with their change on the 7 days before, the languages and models that
+// moved most, and notable days (the busiest day and any usage anomalies from
+// the usage-trends report). Posted to the webhooks subscribed to the "digest"
+// event on COPILOT_DIGEST_SCHEDULE.
+
+const WEEK_DAYS = 7;
+const TOP_MOVERS = 3;
+
+const KPIS = [
+  { name: 'avgDailyActiveUsers', label: 'Avg daily active users' },
+  { name: 'weeklyActiveUsers', label: 'Weekly active users' },
+  { name: 'interactions', label: 'Interactions' },
+  { name: 'codeGenerated', label: 'Code generations' },
+  { name: 'locAdded', label: 'Lines added' },
+  { name: 'acceptanceRate', label: 'Acceptance rate' },
+  { name: 'agentAdoptionPct', label: 'Agent adoption' },
+];
+
+const dayName = (day) => WEEKDAY_NAMES[weekdayOf(day)];
+const fmtValue = (value, unit) => (unit === 'pct' ? `${Math.round(value * 10) / 10}%` : Math.round(value).toLocaleString('en-US'));
+
+// Entries of a breakdown that changed most against the previous week, in
+// either direction; none when the weeks' totals aren't comparable
+function topMovers(current, previous, key, measure, comparable) {
+  if (!previous || !comparable) return [];
+  const before = new Map(previous.map(e => [e[key], e[measure]]));
+  const names = new Set([...current.map(e => e[key]), ...before.keys()]);
+  const now = new Map(current.map(e => [e[key], e[measure]]));
+  return [...names]
+    .map(name => ({ [key]: name, ...compareValues(now.get(name) ?? 0, before.get(name) ?? 0) }))
+    .filter(m => m.change !== 0)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, TOP_MOVERS);
+}
+
+// Digest of the week ending on the latest day in a tenant view's records.
+// Pass the records without a date filter, as the previous week is compared
+// and anomalies need their baseline. `holidays` is the Map from loadHolidays().
+export function buildDigest(records, userRecords = [], { tenant = null, label = null, holidays = new Map() } = {}) {
+  const days = records.map(r => r.day).sort();
+  if (days.length === 0) return null;
+  const end = days[days.length - 1];
+  const start = shiftDay(end, -(WEEK_DAYS - 1));
+  const comparison = comparePeriods(records, { from: start, to: end });
+  const hasPrevious = comparison.previous.daysWithData > 0;
+
+  const engagement = getActiveUsers(records, userRecords);
+  const wauOn = (day) => engagement.daily.find(d => d.day === day) || null;
+  const wau = wauOn(end);
+  const previousWau = hasPrevious ? wauOn(comparison.previous.end) : null;
+  const kpis = {
+    ...comparison.kpis,
+    weeklyActiveUsers: { ...compareValues(wau.wau, previousWau ? previousWau.wau : null), source: wau.wauSource },
+  };
+
+  const inWeek = (from, to) => records.filter(r => r.day >= from && r.day <= to);
+  const cur = inWeek(start, end);
+  const prev = hasPrevious ? inWeek(comparison.previous.start, comparison.previous.end) : null;
+
+  const busiest = aggregateByDay(cur).reduce((a, b) => (b.activeUsers > a.activeUsers ? b : a));
+  const notableDays = [
+    { day: busiest.day, kind: 'peak', text: `Busiest day: ${dayName(busiest.day)} ${busiest.day} with ${fmtValue(busiest.activeUsers)} active users` },
+    ...detectAnomalies(records, { from: start, to: end, holidays }).anomalies.map(a => ({
+      day: a.day,
+      kind: 'anomaly',
+      severity: a.severity,
+      metric: a.metric,
+      text: `${a.day}: ${a.explanation.split('. ')[0]}.`,
+    })),
+    ...[...holidays.entries()]
+      .filter(([day]) => day >= start && day <= end)
+      .map(([day, name]) => ({ day, kind: 'holiday', text: `${dayName(day)} ${day} was a holiday (${name})` })),
+  ].sort((a, b) => a.day.localeCompare(b.day));
+
+  const notes = [];
+  if (hasPrevious && !comparison.totalsComparable) {
+    notes.push(`${comparison.current.daysWithData} of ${WEEK_DAYS} days have data this week against ${comparison.previous.daysWithData} the week before, so totals are not like for like and show no change.`);
+  }
+
+  return {
+    tenant,
+    label: label || tenant,
+    week: { start, end, daysWithData: comparison.current.daysWithData },
+    previousWeek: hasPrevious ? { start: comparison.previous.start, end: comparison.previous.end, daysWithData: comparison.previous.daysWithData } : null,
+    kpis: Object.fromEntries(KPIS.map(k => [k.name, { label: k.label, ...kpis[k.name] }])),
+    movers: {
+      languages: topMovers(aggregateByLanguage(cur, Infinity), prev && aggregateByLanguage(prev, Infinity), 'language', 'codeGenerated', comparison.totalsComparable),
+      models: topMovers(aggregateByModel(cur, Infinity), prev && aggregateByModel(prev, Infinity), 'model', 'interactions', comparison.totalsComparable),
+    },
+    notableDays,
+    notes,
+  };
+}
+
+// ─── Chat Payloads ──────────────────────────────────────────────────────────
+
+const kpiLine = (k) => `${fmtValue(k.current, k.unit)} (${formatChange(k)})`;
+
+function moverLines(digest) {
+  const line = (name, m, what) => `${m.trend === 'up' ? '▲' : '▼'} ${name}: ${fmtValue(m.current)} ${what} (${m.change > 0 ? '+' : ''}${fmtValue(m.change)})`;
+  return [
+    ...digest.movers.languages.map(m => line(m.language, m, 'code generations')),
+    ...digest.movers.models.map(m => line(m.model, m, 'interactions')),
+  ];
+}
+
+const titleOf = (d) => `Copilot weekly digest${d.label ? ` — ${d.label}` : ''}: ${d.week.start} to ${d.week.end}`;
+
+// One message covering every tenant's digest, in the webhook's format
+export function digestPayload(digests, webhook, { dashboardUrl = null } = {}) {
+  const list = digests.filter(Boolean);
+  if (list.length === 0) return null;
+  if (webhook.format === 'slack') {
+    return {
+      text: titleOf(list[0]),
+      blocks: [
+        ...list.flatMap(d => {
+          const moved = moverLines(d);
+          return [
+            { type: 'header', text: { type: 'plain_text', text: titleOf(d) } },
+            { type: 'section', fields: Object.values(d.kpis).map(k => ({ type: 'mrkdwn', text: `*${k.label}*\n${kpiLine(k)}` })) },
+            ...(moved.length > 0 ? [{ type: 'section', text: { type: 'mrkdwn', text: `*Top movers*\n${moved.join('\n')}` } }] : []),
+            { type: 'section', text: { type: 'mrkdwn', text: `*Notable days*\n${d.notableDays.map(n => `• ${n.text}`).join('\n')}` } },
+            ...d.notes.map(note => ({ type: 'context', elements: [{ type: 'mrkdwn', text: `⚠️ ${note}` }] })),
+            { type: 'divider' },
+          ];
+        }),
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `Changes are against the previous 7 days.${dashboardUrl ? ` <${dashboardUrl}|Open the dashboard>` : ''}` }] },
+      ],
+    };
+  }
+  if (webhook.format === 'teams') {
+    return adaptiveCardMessage(
+      [
+        ...list.flatMap(d => {
+          const moved = moverLines(d);
+          return [
+            { type: 'TextBlock', text: titleOf(d), weight: 'Bolder', size: 'Medium', wrap: true, separator: true },
+            { type: 'FactSet', facts: Object.values(d.kpis).map(k => ({ title: k.label, value: kpiLine(k) })) },
+            ...(moved.length > 0 ? [
+              { type: 'TextBlock', text: 'Top movers', weight: 'Bolder', wrap: true },
+              { type: 'TextBlock', text: moved.map(m => `- ${m}`).join('\n'), wrap: true },
+            ] : []),
+            { type: 'TextBlock', text: 'Notable days', weight: 'Bolder', wrap: true },
+            { type: 'TextBlock', text: d.notableDays.map(n => `- ${n.text}`).join('\n'), wrap: true },
+            ...d.notes.map(note => ({ type: 'TextBlock', text: `⚠️ ${note}`, size: 'Small', wrap: true })),
+          ];
+        }),
+        { type: 'TextBlock', text: 'Changes are against the previous 7 days.', isSubtle: true, size: 'Small', wrap: true },
+      ],
+      dashboardUrl ? [{ type: 'Action.OpenUrl', title: 'Open the dashboard', url: dashboardUrl }] : [],
+    );
+  }
+  return { event: 'digest', digests: list };
+}
@@ -0,0 +1,97 @@
+import { ALL_TENANTS } from './store.js';
+import { getDateRange, getSortedDays } from './metrics.js';
+import { shiftDay } from './calendar.js';
+
+// ─── Weekly & Monthly Active Users ──────────────────────────────────────────
+//
+// WAU and MAU count distinct users active over the trailing 7 and 28 days.
+// Each day uses the best source available:
+//
+//   reported     weekly_active_users / monthly_active_users from the report
+//   per-user     distinct user_login in the per-user reports, when they
+//                cover the whole window
+//   approximate  average DAU over the window; NOT a distinct count, and
+//                lower than the true figure whenever users skip days
+//
+// The combined view of several tenants sums the reported counts, so a user
+// active in two tenants counts twice; there the per-user count wins when it
+// is available. DAU/MAU stickiness is only given for distinct MAU counts.
+
+const WINDOWS = { weekly: 7, monthly: 28 };
+const FIELDS = { weekly: 'weekly_active_users', monthly: 'monthly_active_users' };
+export const ACTIVE_USER_SOURCES = ['reported', 'per-user', 'approximate'];
+
+// Distinct users over the window ending on `day`, or null if the per-user reports don't reach back that far
+function distinctUsers(loginsByDay, firstUserDay, day, windowDays) {
+  const start = shiftDay(day, -(windowDays - 1));
+  if (!firstUserDay || firstUserDay > start || !loginsByDay.has(day)) return null;
+  const users = new Set();
+  for (let d = start; d <= day; d = shiftDay(d, 1)) {
+    for (const login of loginsByDay.get(d) || []) users.add(login);
+  }
+  return users.size;
+}
+
+// `from`/`to` limit the days reported; earlier days still fill the windows, so
+// pass the records without a date filter
+export function getActiveUsers(records, userRecords = [], { from = null, to = null } = {}) {
+  const days = getSortedDays(records);
+  const byDay = new Map(records.map(r => [r.day, r]));
+  const loginsByDay = new Map();
+  for (const r of userRecords) {
+    if (!r.user_login) continue;
+    if (!loginsByDay.has(r.day)) loginsByDay.set(r.day, new Set());
+    loginsByDay.get(r.day).add(r.user_login);
+  }
+  const firstUserDay = [...loginsByDay.keys()].sort()[0];
+
+  const resolve = (day, kind) => {
+    const rec = byDay.get(day);
+    const reported = typeof rec[FIELDS[kind]] === 'number' ? rec[FIELDS[kind]] : null;
+    const perUser = distinctUsers(loginsByDay, firstUserDay, day, WINDOWS[kind]);
+    // Summed across tenants, reported counts double-count users active in more than one
+    if (reported !== null && (rec.tenant !== ALL_TENANTS || perUser === null)) {
+      return { value: reported, source: 'reported', summed: rec.tenant === ALL_TENANTS };
+    }
+    if (perUser !== null) return { value: perUser, source: 'per-user' };
+    const window = days.filter(d => d > shiftDay(day, -WINDOWS[kind]) && d <= day);
+    const avg = window.reduce((s, d) => s + (byDay.get(d).daily_active_users || 0), 0) / window.length;
+    return { value: Math.round(avg), source: 'approximate' };
+  };
+
+  const daily = days.filter(day => (!from || day >= from) && (!to || day <= to)).map(day => {
+    const dau = byDay.get(day).daily_active_users || 0;
+    const wau = resolve(day, 'weekly');
+    const mau = resolve(day, 'monthly');
+    return {
+      day,
+      dau,
+      wau: wau.value,
+      wauSource: wau.source,
+      mau: mau.value,
+      mauSource: mau.source,
+      stickinessPct: mau.source !== 'approximate' && mau.value > 0 ? Math.round((dau / mau.value) * 1000) / 10 : null,
+      ...(wau.summed || mau.summed ? { summedAcrossTenants: true } : {}),
+    };
+  });
+
+  const count = (key) => Object.fromEntries(ACTIVE_USER_SOURCES.map(s => [s, daily.filter(d => d[key] === s).length]));
+  const sticky = daily.filter(d => d.stickinessPct !== null);
+  const notes = [];
+  if (daily.some(d => d.wauSource === 'approximate' || d.mauSource === 'approximate')) {
+    notes.push('Days with source "approximate" show the average DAU over the window, not distinct users; the true WAU/MAU is usually higher.');
+  }
+  if (daily.some(d => d.summedAcrossTenants)) {
+    notes.push('Reported counts of the combined view are summed across tenants, so users active in more than one tenant are counted more than once.');
+  }
+  return {
+    period: getDateRange(daily),
+    latest: daily[daily.length - 1] || null,
+    peakWeeklyActiveUsers: daily.reduce((m, d) => Math.max(m, d.wau), 0),
+    peakMonthlyActiveUsers: daily.reduce((m, d) => Math.max(m, d.mau), 0),
+    avgStickinessPct: sticky.length > 0 ? Math.round((sticky.reduce((s, d) => s + d.stickinessPct, 0) / sticky.length) * 10) / 10 : null,
+    sources: { weekly: count('wauSource'), monthly: count('mauSource') },
+    notes,
+    daily,
+  };
+}
@@ -0,0 +1,35 @@
+import fs from 'fs';
+import path from 'path';
+
+// ─── State Files ────────────────────────────────────────────────────────────
+//
+// Small JSON files the servers keep next to the archives (seat snapshots,
+// alert and email state). A half-written or hand-edited file must not stop
+// the server from starting, and a crash mid-write must not leave one behind.
+
+// The parsed file, or `fallback` when it doesn't exist. An unreadable file is
+// reported through `warn`, kept as <file>.corrupt for inspection and treated
+// as missing.
+export function readJsonFile(file, fallback, warn = console.warn) {
+  if (!fs.existsSync(file)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    warn(`Ignoring unreadable ${file} (kept as ${file}.corrupt): ${err.message}`);
+    try {
+      fs.renameSync(file, `${file}.corrupt`);
+    } catch {
+      // Still ignored; the next write replaces it
+    }
+    return fallback;
+  }
+}
+
+// Written to a temporary file first and renamed over the old one, so readers
+// see either the previous or the new contents
+export function writeJsonFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+}
@@ -0,0 +1,149 @@
+import { FEATURE_DISPLAY } from './metrics.js';
+import { isValidDay } from './calendar.js';
+
+// ─── Date-Range & Dimension Filters ─────────────────────────────────────────
+//
+// Narrows a tenant's records to a date range and to chosen features,
+// languages, models and IDEs before they reach the aggregations, so every
+// endpoint and tool answers for exactly that slice.
+//
+// Dimension filters rewrite each record: breakdown entries that don't match
+// are dropped, and the record's top-level counts are recomputed from the
+// breakdown that covers every filtered dimension. When that breakdown is split
+// by feature too, totals_by_feature is rebuilt from it. Breakdowns that can't
+// be narrowed (the reports have no IDE split per language, for example)
+// become null, and so do counts the covering breakdown doesn't carry
+// (totals_by_language_feature has no interaction counts): the aggregations
+// report those as unavailable rather than as zero. Active-user counts are per
+// day, not per slice, so they are left as reported.
+
+export const FILTER_DIMENSIONS = ['feature', 'language', 'model', 'ide'];
+
+// Which dimensions each breakdown is split by
+const BREAKDOWNS = {
+  totals_by_feature: ['feature'],
+  totals_by_ide: ['ide'],
+  totals_by_language_feature: ['language', 'feature'],
+  totals_by_model_feature: ['model', 'feature'],
+  totals_by_language_model: ['language', 'model'],
+};
+
+const COUNT_FIELDS = [
+  'user_initiated_interaction_count',
+  'code_generation_activity_count',
+  'code_acceptance_activity_count',
+  'loc_added_sum',
+  'loc_deleted_sum',
+  'loc_suggested_to_add_sum',
+];
+
+// The breakdown whose entries carry all of `dims`, or undefined if none does
+export function breakdownCovering(dims) {
+  return Object.keys(BREAKDOWNS).find(b => dims.every(d => BREAKDOWNS[b].includes(d)));
+}
+
+function parseList(value) {
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim().toLowerCase())
+    .filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+// Build filters from query-string, request-body or tool arguments: `from`/`to`
+// are YYYY-MM-DD (inclusive), dimensions take a value or a comma-separated
+// list. Returns null when nothing is filtered; throws on invalid input.
+export function parseFilters(params = {}) {
+  const filters = {};
+  for (const key of ['from', 'to']) {
+    const value = params[key];
+    if (value === undefined || value === null || value === '') continue;
+    if (!isValidDay(value)) {
+      throw new Error(`"${key}" must be a date in YYYY-MM-DD format, got "${value}"`);
+    }
+    filters[key] = value;
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new Error(`"from" (${filters.from}) is after "to" (${filters.to})`);
+  }
+  for (const dim of FILTER_DIMENSIONS) {
+    const value = params[dim];
+    if (value === undefined || value === null || value === '') continue;
+    const list = parseList(value);
+    if (list) filters[dim] = list;
+  }
+  const dims = FILTER_DIMENSIONS.filter(d => filters[d]);
+  if (dims.length > 1 && !breakdownCovering(dims)) {
+    throw new Error(`The metrics reports have no breakdown by ${dims.join(' and ')} together; filter on at most one of them, or on feature with language or model, or on language with model`);
+  }
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+function matches(filters, dim, value) {
+  if (value === undefined || value === null) return false;
+  const v = String(value).toLowerCase();
+  if (filters[dim].includes(v)) return true;
+  // Features can also be picked by their display name, e.g. "agent mode"
+  return dim === 'feature' && filters.feature.includes(String(FEATURE_DISPLAY[value] || '').toLowerCase());
+}
+
+// Sum `field` over breakdown entries, or null if the breakdown never carries it
+function sumCount(entries, field, carried) {
+  return carried.has(field) ? entries.reduce((s, e) => s + (e[field] || 0), 0) : null;
+}
+
+function filterRecord(rec, filters, dims) {
+  const out = { ...rec };
+  for (const [name, split] of Object.entries(BREAKDOWNS)) {
+    if (!Array.isArray(rec[name])) continue;
+    out[name] = dims.every(d => split.includes(d))
+      ? rec[name].filter(entry => dims.every(d => matches(filters, d, entry[d])))
+      : null;
+  }
+  const covering = breakdownCovering(dims);
+  const source = out[covering] || [];
+  // Fields the unfiltered breakdown has, so a day with no matching entries still counts as zero
+  const carried = new Set((rec[covering] || []).flatMap(e => COUNT_FIELDS.filter(f => f in e)));
+  for (const field of COUNT_FIELDS) {
+    out[field] = sumCount(source, field, carried);
+  }
+  if (covering !== 'totals_by_feature' && BREAKDOWNS[covering].includes('feature') && Array.isArray(rec[covering])) {
+    const byFeature = new Map();
+    for (const e of source) byFeature.set(e.feature, [...(byFeature.get(e.feature) || []), e]);
+    out.totals_by_feature = [...byFeature].map(([feature, entries]) => ({
+      feature,
+      ...Object.fromEntries(COUNT_FIELDS.map(f => [f, sumCount(entries, f, carried)])),
+    }));
+  }
+  return out;
+}
+
+// Apply parsed filters to aggregate or per-user records
+export function applyFilters(records, filters) {
+  if (!filters) return records;
+  let out = records.filter(r => (!filters.from || r.day >= filters.from) && (!filters.to || r.day <= filters.to));
+  const dims = FILTER_DIMENSIONS.filter(d => filters[d]);
+  if (dims.length > 0) {
+    const covering = breakdownCovering(dims);
+    // A user with nothing in the slice wasn't active in it; aggregate days are kept so series stay continuous
+    out = out.map(r => filterRecord(r, filters, dims)).filter(r => !r.user_login || r[covering]?.length > 0);
+  }
+  return out;
+}
+
+// The dimension filters alone, for views that pick their own date windows (e.g. period comparisons)
+export function withoutDates(filters) {
+  if (!filters) return null;
+  const { from, to, ...dims } = filters;
+  return Object.keys(dims).length > 0 ? dims : null;
+}
+
+// One-line description for report headers, e.g. "2026-10-01 to 2026-10-07 · language: python"
+export function describeFilters(filters) {
+  if (!filters) return '';
+  const parts = [];
+  if (filters.from || filters.to) parts.push(`${filters.from || 'start'} to ${filters.to || 'latest'}`);
+  for (const dim of FILTER_DIMENSIONS) {
+    if (filters[dim]) parts.push(`${dim}: ${filters[dim].join(', ')}`);
+  }
+  return parts.join(' · ');
+}
@@ -0,0 +1,219 @@
+import { aggregateCodeCompletions, aggregateDailyActiveUsers, getAgentAdoptionPct, getRecordsByDay, getSortedDays } from './metrics.js';
+import { isWeekend, shiftDay } from './calendar.js';
+
+// ─── Adoption Forecasting ───────────────────────────────────────────────────
+//
+// Projects daily active users, agent activity share and completion acceptance
+// rate 30, 60 and 90 days ahead. Each series gets a least-squares linear trend
+// with a weekend term (weekends run lower, and a plain trend line would split
+// the difference), fitted over the latest 90 days at most. The band around the
+// projection is a 90% prediction interval, so it widens the further out it
+// goes. Horizon and target figures use the weekday level. Configured
+// holidays are left out of the fit.
+//
+// A straight line is a deliberately simple model: it answers "where does the
+// current trend lead", not what a rollout plan will do. Treat anything past a
+// few weeks as indicative.
+
+export const FORECAST_HORIZONS = [30, 60, 90];
+
+const MAX_HISTORY_DAYS = 90;
+const MIN_POINTS = 14;
+const Z_90 = 1.645;
+// How far ahead a target date is searched for
+const TARGET_SEARCH_DAYS = 365;
+
+const SERIES = {
+  dailyActiveUsers: {
+    label: 'Daily active users',
+    unit: 'users',
+    series: (records) => aggregateDailyActiveUsers(records).map(d => ({ day: d.day, value: d.users })),
+  },
+  agentSharePct: {
+    label: 'Agent activity share',
+    unit: 'pct',
+    series: (records) => {
+      const byDay = getRecordsByDay(records);
+      return getSortedDays(records)
+        .filter(day => byDay[day].some(r => (r.totals_by_feature || []).length > 0))
+        .map(day => ({ day, value: getAgentAdoptionPct(byDay[day]) }));
+    },
+  },
+  acceptanceRate: {
+    label: 'Completion acceptance rate',
+    unit: 'pct',
+    // Days without completions have no rate rather than a rate of zero
+    series: (records) => aggregateCodeCompletions(records)
+      .filter(d => d.shown > 0)
+      .map(d => ({ day: d.day, value: Math.round((d.accepted / d.shown) * 10000) / 100 })),
+  },
+};
+
+export const FORECAST_METRICS = Object.keys(SERIES);
+
+// The daily values a metric is forecast from, as [{ day, value }]; days a
+// filtered view leaves the value unavailable for (null) are left out
+export function forecastSeries(records, metric) {
+  return SERIES[metric].series(records).filter(p => p.value !== null);
+}
+
+const toTime = (day) => new Date(`${day}T00:00:00Z`).getTime();
+const dayIndex = (from, day) => Math.round((toTime(day) - toTime(from)) / 86400000);
+const round = (n, places = 1) => Math.round(n * 10 ** places) / 10 ** places;
+
+// Inverse of a small symmetric matrix by Gauss-Jordan elimination; null if singular
+function invert(m) {
+  const n = m.length;
+  const a = m.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < n; col++) {
+    const pivot = a.reduce((best, row, r) => (r >= col && Math.abs(row[col]) > Math.abs(a[best][col]) ? r : best), col);
+    if (Math.abs(a[pivot][col]) < 1e-9) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    const p = a[col][col];
+    a[col] = a[col].map(v => v / p);
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = a[r][col];
+      a[r] = a[r].map((v, c) => v - f * a[col][c]);
+    }
+  }
+  return a.map(row => row.slice(n));
+}
+
+// Least-squares fit of value = intercept + slope·t (+ weekend·isWeekend)
+function fitTrend(points, start) {
+  const weekendPoints = points.filter(p => isWeekend(p.day)).length;
+  const withWeekend = weekendPoints >= 2 && points.length - weekendPoints >= 2;
+  const row = (day) => (withWeekend ? [1, dayIndex(start, day), isWeekend(day) ? 1 : 0] : [1, dayIndex(start, day)]);
+  const X = points.map(p => row(p.day));
+  const y = points.map(p => p.value);
+  const k = X[0].length;
+  const xtx = Array.from({ length: k }, (_, i) => Array.from({ length: k }, (_, j) => X.reduce((s, x) => s + x[i] * x[j], 0)));
+  const inv = invert(xtx);
+  if (!inv) return null;
+  const xty = Array.from({ length: k }, (_, i) => X.reduce((s, x, r) => s + x[i] * y[r], 0));
+  const beta = inv.map(r => r.reduce((s, v, j) => s + v * xty[j], 0));
+  const predict = (x) => x.reduce((s, v, i) => s + v * beta[i], 0);
+  const rss = X.reduce((s, x, r) => s + (y[r] - predict(x)) ** 2, 0);
+  const mean = y.reduce((s, v) => s + v, 0) / y.length;
+  const tss = y.reduce((s, v) => s + (v - mean) ** 2, 0);
+  const variance = rss / Math.max(1, points.length - k);
+  return {
+    slope: beta[1],
+    weekend: withWeekend ? beta[2] : 0,
+    r2: tss > 0 ? 1 - rss / tss : 1,
+    // Projection for a day, on its own day type or on the weekday level
+    at(day, weekdayLevel = false) {
+      const x = row(day);
+      if (weekdayLevel && withWeekend) x[2] = 0;
+      const leverage = x.reduce((s, xi, i) => s + xi * x.reduce((t, xj, j) => t + inv[i][j] * xj, 0), 0);
+      return { expected: predict(x), margin: Z_90 * Math.sqrt(variance * (1 + leverage)) };
+    },
+  };
+}
+
+function clamp(value, unit) {
+  return unit === 'pct' ? Math.min(100, Math.max(0, value)) : Math.max(0, value);
+}
+
+function projection(fit, day, unit, weekdayLevel) {
+  const { expected, margin } = fit.at(day, weekdayLevel);
+  const places = unit === 'pct' ? 1 : 0;
+  return {
+    day,
+    expected: round(clamp(expected, unit), places),
+    lower: round(clamp(expected - margin, unit), places),
+    upper: round(clamp(expected + margin, unit), places),
+  };
+}
+
+// When the weekday-level projection (and its band) first reaches `target`
+function targetDate(fit, last, target, unit) {
+  const now = projection(fit, last, unit, true);
+  if (now.expected >= target) return { target, status: 'met', eta: null, earliest: null, latest: null };
+  let eta = null, earliest = null, latest = null;
+  for (let i = 1; i <= TARGET_SEARCH_DAYS && !latest; i++) {
+    const p = projection(fit, shiftDay(last, i), unit, true);
+    if (!earliest && p.upper >= target) earliest = p.day;
+    if (!eta && p.expected >= target) eta = p.day;
+    if (!latest && p.lower >= target) latest = p.day;
+  }
+  return {
+    target,
+    status: eta ? 'projected' : 'not on current trend',
+    eta,
+    // The band reaching the target: optimistic and pessimistic dates (null if beyond a year)
+    earliest,
+    latest,
+  };
+}
+
+// Validate targets keyed by metric (e.g. `{ dailyActiveUsers: 1500 }`) from a
+// query string or tool arguments. Throws on anything invalid.
+export function parseTargets(params) {
+  if (params === undefined || params === null || params === '') return {};
+  if (typeof params !== 'object' || Array.isArray(params)) throw new Error('"targets" must be an object keyed by metric');
+  const targets = {};
+  for (const [name, raw] of Object.entries(params)) {
+    if (!SERIES[name]) throw new Error(`Unknown target metric "${name}"; use ${FORECAST_METRICS.join(', ')}`);
+    const value = Number(raw);
+    if (raw === '' || !Number.isFinite(value) || value < 0 || (SERIES[name].unit === 'pct' && value > 100)) {
+      throw new Error(`Target for ${name} must be a number${SERIES[name].unit === 'pct' ? ' from 0 to 100' : ' of at least 0'}, got "${raw}"`);
+    }
+    targets[name] = value;
+  }
+  return targets;
+}
+
+// The trend fitted to one metric, or `unavailable` with the reason
+function fitMetric(records, name, holidays) {
+  const all = forecastSeries(records, name).filter(p => !holidays.has(p.day));
+  const last = all.length > 0 ? all[all.length - 1].day : null;
+  const points = last ? all.filter(p => p.day > shiftDay(last, -MAX_HISTORY_DAYS)) : [];
+  const fit = points.length >= MIN_POINTS ? fitTrend(points, points[0].day) : null;
+  if (!fit) return { unavailable: `Needs at least ${MIN_POINTS} days of data, have ${points.length}` };
+  return { fit, points, last };
+}
+
+// Forecast every metric from a tenant view's records. `targets` from
+// parseTargets() add the projected date each target is reached; `holidays` is
+// the Map from loadHolidays().
+export function forecastMetrics(records, { targets = {}, holidays = new Map() } = {}) {
+  const metrics = {};
+  for (const [name, spec] of Object.entries(SERIES)) {
+    const { fit, points, last, unavailable } = fitMetric(records, name, holidays);
+    if (unavailable) {
+      metrics[name] = { label: spec.label, unit: spec.unit, unavailable };
+      continue;
+    }
+    metrics[name] = {
+      label: spec.label,
+      unit: spec.unit,
+      history: { start: points[0].day, end: last, points: points.length },
+      trendPerWeek: round(fit.slope * 7, 2),
+      weekendEffect: round(fit.weekend, 2),
+      r2: round(fit.r2, 3),
+      current: projection(fit, last, spec.unit, true),
+      horizons: FORECAST_HORIZONS.map(days => ({ days, ...projection(fit, shiftDay(last, days), spec.unit, true) })),
+      // Day by day, following the weekday/weekend pattern, for charts
+      daily: Array.from({ length: FORECAST_HORIZONS[FORECAST_HORIZONS.length - 1] }, (_, i) => projection(fit, shiftDay(last, i + 1), spec.unit, false)),
+      ...(targets[name] !== undefined ? { target: targetDate(fit, last, targets[name], spec.unit) } : {}),
+    };
+  }
+  return { confidence: 0.9, metrics };
+}
+
+// Projected dates for several targets on one metric, from a single fit:
+// `{ current, trendPerWeek, targets: [...] }` in the order given, or `{ unavailable }`
+export function projectTargets(records, metric, targets, { holidays = new Map() } = {}) {
+  const spec = SERIES[metric];
+  const { fit, last, unavailable } = fitMetric(records, metric, holidays);
+  if (unavailable) return { label: spec.label, unit: spec.unit, unavailable };
+  return {
+    label: spec.label,
+    unit: spec.unit,
+    current: projection(fit, last, spec.unit, true),
+    trendPerWeek: round(fit.slope * 7, 2),
+    targets: targets.map(target => targetDate(fit, last, target, spec.unit)),
+  };
+}
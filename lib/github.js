@@ -0,0 +1,291 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import tls from 'tls';
+
+// ─── GitHub API Client ──────────────────────────────────────────────────────
+//
+// Thin wrapper over fetch() for the REST API: retries network errors and 5xx
+// responses with exponential backoff, waits out primary and secondary rate
+// limits (Retry-After / X-RateLimit-*), follows Link pagination, and turns
+// everything else into a GitHubApiError whose `kind` tells callers apart:
+//
+//   not_found         404, e.g. no report exists for that day
+//   auth              401/403, a missing, expired or under-scoped token
+//   download_expired  a report's pre-signed download link was refused, usually
+//                     because it expired; fetching the report gives new ones
+//   rate_limit        still limited after waiting as long as we're willing to
+//   server            5xx after all retries
+//   network           connection failures after all retries
+//   client            any other 4xx
+//
+// `baseUrl` may point at GHE.com (https://api.<subdomain>.ghe.com) or a GHES
+// instance (https://<host>/api/v3). Requests, including report downloads, can
+// go through an HTTP(S) proxy (`proxy`, or HTTPS_PROXY/HTTP_PROXY/NO_PROXY)
+// and trust extra CA certificates from a PEM bundle (`caFile`).
+//
+// Authentication is either a static `token` (PAT) or a GitHub App (`app`:
+// { appId, installationId, privateKey }): the client signs a short-lived JWT,
+// exchanges it for an installation token and renews that before it expires.
+
+export class GitHubApiError extends Error {
+  constructor(message, { status = null, kind, url = null }) {
+    super(message);
+    this.name = 'GitHubApiError';
+    this.status = status;
+    this.kind = kind;
+    this.url = url;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Installation tokens last an hour; renew them this long before they expire
+const TOKEN_RENEW_MARGIN_MS = 5 * 60 * 1000;
+
+const base64url = (data) => Buffer.from(data).toString('base64url');
+
+// RS256 JWT identifying the app; backdated a minute to allow for clock drift
+export function createAppJwt(appId, privateKey, now = Date.now()) {
+  const iat = Math.floor(now / 1000) - 60;
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ iat, exp: iat + 10 * 60, iss: String(appId) }));
+  const signature = crypto.createSign('RSA-SHA256').update(`${header}.${payload}`).sign(privateKey, 'base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// Proxies and custom CAs need an undici dispatcher; undici is only loaded when one is configured
+export async function createTransport({ proxy, caFile }) {
+  const env = process.env;
+  const envProxy = env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy;
+  if (!proxy && !caFile && !envProxy) return fetch;
+  const undici = await import('undici');
+  // Extra CAs are added to Node's bundled roots, so public hosts (e.g. download links) still verify
+  const tlsOpts = caFile ? { ca: [...tls.rootCertificates, fs.readFileSync(caFile, 'utf-8')] } : {};
+  let dispatcher;
+  if (proxy) {
+    dispatcher = new undici.ProxyAgent({ uri: proxy, requestTls: tlsOpts, proxyTls: tlsOpts });
+  } else if (envProxy) {
+    // The proxy agents it creates get these options too, though its typings leave the TLS ones out
+    const agentOpts = { connect: tlsOpts, requestTls: tlsOpts, proxyTls: tlsOpts };
+    dispatcher = new undici.EnvHttpProxyAgent(agentOpts);
+  } else {
+    dispatcher = new undici.Agent({ connect: tlsOpts });
+  }
+  return (url, init) => undici.fetch(url, { ...init, dispatcher });
+}
+
+function errorKind(status) {
+  if (status === 404) return 'not_found';
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rate_limit';
+  if (status >= 500) return 'server';
+  return 'client';
+}
+
+// How long GitHub asks us to wait before retrying, or null if this isn't a rate limit
+function rateLimitDelay(res) {
+  const retryAfter = res.headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    return Number.isNaN(seconds) ? Math.max(new Date(retryAfter).getTime() - Date.now(), 0) : seconds * 1000;
+  }
+  if (res.headers.get('x-ratelimit-remaining') === '0') {
+    const reset = Number(res.headers.get('x-ratelimit-reset'));
+    if (reset) return Math.max(reset * 1000 - Date.now(), 0) + 1000;
+  }
+  if (res.status === 429) return 60 * 1000;
+  return null;
+}
+
+async function describe(res) {
+  try {
+    const body = await res.json();
+    if (body?.message) return body.message;
+  } catch (e) {}
+  return res.statusText;
+}
+
+export function createApiClient({
+  baseUrl = 'https://api.github.com',
+  token = null,
+  app = null,
+  proxy = null,
+  caFile = null,
+  maxRetries = 4,
+  baseDelayMs = 1000,
+  maxRateLimitWaitMs = 15 * 60 * 1000,
+  log = console.warn,
+} = {}) {
+  const rateLimit = { limit: null, remaining: null, reset: null };
+  baseUrl = baseUrl.replace(/\/+$/, '');
+  let transport = null;
+  let installationToken = null;
+  let pendingToken = null;
+
+  async function createInstallationToken() {
+    const res = await request(`/app/installations/${app.installationId}/access_tokens`, {
+      method: 'POST',
+      authorization: `Bearer ${createAppJwt(app.appId, app.privateKey)}`,
+    });
+    const body = await res.json();
+    return { token: body.token, expiresAt: new Date(body.expires_at).getTime() };
+  }
+
+  async function authorization() {
+    if (!app) return `Bearer ${token}`;
+    if (!installationToken || installationToken.expiresAt - Date.now() < TOKEN_RENEW_MARGIN_MS) {
+      // Concurrent requests share one token exchange
+      pendingToken ||= createInstallationToken().finally(() => { pendingToken = null; });
+      installationToken = await pendingToken;
+    }
+    return `Bearer ${installationToken.token}`;
+  }
+
+  function trackRateLimit(res) {
+    if (!res.headers.has('x-ratelimit-remaining')) return;
+    rateLimit.limit = Number(res.headers.get('x-ratelimit-limit'));
+    rateLimit.remaining = Number(res.headers.get('x-ratelimit-remaining'));
+    rateLimit.reset = Number(res.headers.get('x-ratelimit-reset'));
+  }
+
+  // Once the primary limit is used up, hold further requests until it resets
+  async function waitForQuota() {
+    if (rateLimit.remaining !== 0 || !rateLimit.reset) return;
+    const wait = rateLimit.reset * 1000 - Date.now() + 1000;
+    if (wait <= 0) return;
+    if (wait > maxRateLimitWaitMs) {
+      throw new GitHubApiError(`GitHub API rate limit exhausted until ${new Date(rateLimit.reset * 1000).toISOString()}`, { status: 403, kind: 'rate_limit' });
+    }
+    log(`GitHub API rate limit exhausted; waiting ${Math.ceil(wait / 1000)}s for it to reset`);
+    await sleep(wait);
+  }
+
+  // `authenticated: false` is for pre-signed download URLs, which must not get our token;
+  // `authorization` overrides the header (used for the app JWT)
+  async function request(url, { authenticated = true, method = 'GET', headers = {}, authorization: authHeader = null } = {}) {
+    const fullUrl = /^https?:\/\//.test(url) ? url : `${baseUrl}${url}`;
+    transport ||= createTransport({ proxy, caFile });
+    const doFetch = await transport;
+    for (let attempt = 0; ; attempt++) {
+      if (authenticated) await waitForQuota();
+      const auth = authenticated ? authHeader || await authorization() : null;
+      let res;
+      try {
+        res = await doFetch(fullUrl, {
+          method,
+          headers: authenticated ? {
+            'Accept': 'application/vnd.github+json',
+            'Authorization': auth,
+            'X-GitHub-Api-Version': '2022-11-28',
+            ...headers,
+          } : headers,
+        });
+      } catch (err) {
+        if (attempt >= maxRetries) {
+          throw new GitHubApiError(`Request to ${fullUrl} failed: ${err.cause?.message || err.message}`, { kind: 'network', url: fullUrl });
+        }
+        const delay = baseDelayMs * 2 ** attempt;
+        log(`Request to ${fullUrl} failed (${err.cause?.message || err.message}); retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      if (authenticated) trackRateLimit(res);
+      if (res.ok) return res;
+
+      // A revoked installation token: drop it and retry once with a fresh one
+      if (res.status === 401 && app && !authHeader && installationToken && attempt === 0) {
+        installationToken = null;
+        continue;
+      }
+
+      const limited = (res.status === 403 || res.status === 429) ? rateLimitDelay(res) : null;
+      if (limited !== null) {
+        if (attempt >= maxRetries || limited > maxRateLimitWaitMs) {
+          throw new GitHubApiError(`GitHub API rate limit exceeded for ${fullUrl}: ${await describe(res)}`, { status: res.status, kind: 'rate_limit', url: fullUrl });
+        }
+        log(`Rate limited on ${fullUrl}; retrying in ${Math.ceil(limited / 1000)}s`);
+        await sleep(limited);
+        continue;
+      }
+      if (res.status >= 500 && attempt < maxRetries) {
+        const delay = baseDelayMs * 2 ** attempt;
+        log(`${res.status} from ${fullUrl}; retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      throw new GitHubApiError(`${res.status} from ${fullUrl}: ${await describe(res)}`, { status: res.status, kind: errorKind(res.status), url: fullUrl });
+    }
+  }
+
+  async function getJson(url) {
+    return (await request(url)).json();
+  }
+
+  // Follow Link rel="next" headers; `pick` extracts the items from each page body
+  async function paginate(url, pick = (body) => body) {
+    const items = [];
+    let next = url;
+    while (next) {
+      const res = await request(next);
+      items.push(...pick(await res.json()));
+      next = res.headers.get('link')?.match(/<([^>]+)>;\s*rel="next"/)?.[1] || null;
+    }
+    return items;
+  }
+
+  // The storage host answers 403 once a pre-signed link expires, which says
+  // nothing about our token
+  async function download(url) {
+    try {
+      return (await request(url, { authenticated: false })).text();
+    } catch (err) {
+      if (err.kind !== 'auth') throw err;
+      throw new GitHubApiError(`Download link ${url.split('?')[0]} expired or was rejected (${err.status})`, { status: err.status, kind: 'download_expired', url });
+    }
+  }
+
+  return { request, getJson, paginate, download, rateLimit };
+}
+
+// Download and parse the NDJSON files a report response links to
+async function readReport(client, data) {
+  const allRecords = [];
+  let parseErrors = 0;
+  const links = data.download_links || data.download_urls || [];
+  if (links.length > 0) {
+    for (const link of links) {
+      const text = await client.download(typeof link === 'string' ? link : link.url);
+      for (const line of text.split('\n')) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+        try { allRecords.push(JSON.parse(trimmed)); } catch (e) { parseErrors++; }
+      }
+    }
+  } else if (Array.isArray(data)) {
+    allRecords.push(...data);
+  }
+  return { records: allRecords, parseErrors };
+}
+
+// Asking for the report again gets fresh links when the first ones have expired
+const DOWNLOAD_ATTEMPTS = 2;
+
+// Fetch one daily report: the API answers with download links to NDJSON files.
+// Returns { records, parseErrors }, or null when GitHub has no report for the
+// day; other failures throw.
+export async function fetchReportRecords(client, reportPath) {
+  for (let attempt = 1; ; attempt++) {
+    let data;
+    try {
+      data = await client.getJson(reportPath);
+    } catch (err) {
+      if (err.kind === 'not_found') return null;
+      throw err;
+    }
+    try {
+      return await readReport(client, data);
+    } catch (err) {
+      if (err.kind !== 'download_expired' || attempt >= DOWNLOAD_ATTEMPTS) throw err;
+      console.warn(`Download links for ${reportPath} expired; requesting the report again`);
+    }
+  }
+}
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import { FORECAST_METRICS, forecastSeries, parseTargets, projectTargets } from './forecast.js';
+import { isValidDay } from './calendar.js';
+import { writeJsonFile } from './files.js';
+
+// ─── Adoption Goals ─────────────────────────────────────────────────────────
+//
+// Rollout targets with a deadline, e.g. 70% agent activity share by the end
+// of the year. Goals live in a JSON file (COPILOT_GOALS_FILE, default
+// goals.json), which the UI writes to as well:
+//
+//   [
+//     { "id": "agent-70", "name": "Agent share 70%", "metric": "agentSharePct", "target": 70, "by": "2026-12-31" },
+//     { "metric": "dailyActiveUsers", "target": 1500, "by": "2027-03-31", "tenant": "prod" }
+//   ]
+//
+// Metrics are the forecast ones (see forecast.js), and every goal is judged
+// by where the current trend leads: achieved, on track (projected to reach
+// the target by the date), at risk (only the optimistic end of the 90% range
+// gets there), off track, or missed once the date has passed. Goals without a
+// tenant apply to every tenant view.
+
+// Goals needing attention first
+export const GOAL_STATUSES = ['missed', 'off track', 'at risk', 'on track', 'achieved', 'unavailable'];
+
+// Validate one goal from the goals file or a request; throws on anything invalid
+export function parseGoal(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('A goal must be an object');
+  const { metric, target, by, tenant, name } = input;
+  if (!FORECAST_METRICS.includes(metric)) throw new Error(`Goal "metric" must be one of ${FORECAST_METRICS.join(', ')}, got "${metric}"`);
+  const parsed = parseTargets({ [metric]: target })[metric];
+  if (!isValidDay(by)) throw new Error(`Goal "by" must be a date as YYYY-MM-DD, got "${by}"`);
+  if (tenant !== undefined && tenant !== null && typeof tenant !== 'string') throw new Error('Goal "tenant" must be a tenant id');
+  const id = input.id ? String(input.id) : `${metric}-${parsed}-${by}`;
+  if (!/^[\w.-]+$/.test(id)) throw new Error(`Goal id "${id}" may only contain letters, digits, ".", "_" and "-"`);
+  return { id, name: name ? String(name) : null, metric, target: parsed, by, tenant: tenant || null };
+}
+
+// Goals from the file; none when it doesn't exist. Throws on invalid goals.
+export function loadGoals(file) {
+  if (!file || !fs.existsSync(file)) return [];
+  const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const list = Array.isArray(config) ? config : config.goals;
+  if (!Array.isArray(list)) throw new Error(`${file} must be a list of goals or { "goals": [...] }.`);
+  const goals = [];
+  for (const entry of list) {
+    let goal;
+    try {
+      goal = parseGoal(entry);
+    } catch (err) {
+      throw new Error(`Invalid goal ${JSON.stringify(entry)} in ${file}: ${err.message}`);
+    }
+    if (goals.some(g => g.id === goal.id)) throw new Error(`Duplicate goal id "${goal.id}" in ${file}.`);
+    goals.push(goal);
+  }
+  return goals;
+}
+
+export function saveGoals(file, goals) {
+  const list = goals.map(({ id, name, metric, target, by, tenant }) => ({ id, ...(name ? { name } : {}), metric, target, by, ...(tenant ? { tenant } : {}) }));
+  writeJsonFile(file, list);
+}
+
+// Goals that apply to a tenant view (`tenant` is a tenant id or "all")
+export function goalsFor(goals, tenant) {
+  return goals.filter(g => !g.tenant || g.tenant === tenant);
+}
+
+const weeksBetween = (from, to) => (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (7 * 86400000);
+const round = (n, places = 1) => Math.round(n * 10 ** places) / 10 ** places;
+
+function statusOf(projected, by, asOf) {
+  if (projected.status === 'met') return 'achieved';
+  if (by < asOf) return 'missed';
+  if (projected.eta && projected.eta <= by) return 'on track';
+  if (projected.earliest && projected.earliest <= by) return 'at risk';
+  return 'off track';
+}
+
+// Evaluate goals against a tenant view's records; `holidays` is the Map from
+// loadHolidays(). Each goal is compared with the weekday-level trend value, so
+// one busy or quiet day doesn't flip its status.
+export function evaluateGoals(records, goals, { holidays = new Map() } = {}) {
+  const evaluated = [];
+  for (const metric of FORECAST_METRICS) {
+    const list = goals.filter(g => g.metric === metric);
+    if (list.length === 0) continue;
+    const projected = projectTargets(records, metric, list.map(g => g.target), { holidays });
+    const series = forecastSeries(records, metric);
+    const latest = series[series.length - 1] || null;
+    list.forEach((goal, i) => {
+      const base = { ...goal, name: goal.name || `${projected.label} ${goal.target}${projected.unit === 'pct' ? '%' : ''} by ${goal.by}`, label: projected.label, unit: projected.unit };
+      if (projected.unavailable) {
+        evaluated.push({ ...base, status: 'unavailable', reason: projected.unavailable, latest });
+        return;
+      }
+      const asOf = latest.day;
+      const target = projected.targets[i];
+      const current = projected.current.expected;
+      const weeksLeft = weeksBetween(asOf, goal.by);
+      evaluated.push({
+        ...base,
+        status: statusOf(target, goal.by, asOf),
+        asOf,
+        latest,
+        current,
+        progressPct: goal.target > 0 ? Math.min(100, round((current / goal.target) * 100)) : 100,
+        trendPerWeek: projected.trendPerWeek,
+        // Weekly gain still needed to make the date
+        neededPerWeek: target.status === 'met' || weeksLeft <= 0 ? null : round((goal.target - current) / weeksLeft, 2),
+        projectedCompletion: target.status === 'met' ? asOf : target.eta,
+        // When the 90% range reaches the target: optimistic and pessimistic dates
+        projectedRange: { earliest: target.earliest, latest: target.latest },
+      });
+    });
+  }
+  const order = (g) => GOAL_STATUSES.indexOf(g.status);
+  evaluated.sort((a, b) => order(a) - order(b) || a.by.localeCompare(b.by));
+  const count = (status) => evaluated.filter(g => g.status === status).length;
+  return {
+    summary: Object.fromEntries(GOAL_STATUSES.map(s => [s, count(s)])),
+    goals: evaluated,
+  };
+}
@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+// ─── Offline Report Import ──────────────────────────────────────────────────
+//
+// Reads the same NDJSON report files the API's download links point at, from
+// a local directory or an uploaded archive, so the metrics can be analysed on
+// a machine that never talks to api.github.com. Accepted inputs:
+//
+//   *.ndjson / *.jsonl   one record per line (as downloaded)
+//   *.json               an array of records, or a single record
+//   *.gz                 any of the above, gzipped
+//   *.zip, *.tar, *.tgz  archives of any of the above
+//
+// Aggregate and per-user records can be mixed; per-user ones carry user_login.
+//
+// Compressed inputs are inflated in memory, so each input may expand to at
+// most `maxTotalBytes` (1 GiB) and each compressed entry in it to at most
+// `maxEntryBytes` (256 MiB); past that the import fails with an
+// ImportTooLargeError instead of exhausting the server's memory.
+
+const REPORT_FILE = /\.(ndjson|jsonl|json)$/i;
+
+export const MAX_ENTRY_BYTES = 256 * 1024 * 1024;
+export const MAX_TOTAL_BYTES = 1024 * 1024 * 1024;
+
+export class ImportTooLargeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportTooLargeError';
+  }
+}
+
+const mib = (bytes) => `${Math.round(bytes / (1024 * 1024))} MiB`;
+
+// Decompressed bytes an input may still expand to: { maxEntryBytes, maxTotalBytes, remaining }
+function createBudget({ maxEntryBytes = MAX_ENTRY_BYTES, maxTotalBytes = MAX_TOTAL_BYTES } = {}) {
+  return { maxEntryBytes, maxTotalBytes, remaining: maxTotalBytes };
+}
+
+// Run a zlib *Sync function with its output capped by the budget
+function inflateWithin(budget, name, inflate, data) {
+  const limit = Math.min(budget.maxEntryBytes, budget.remaining);
+  const tooLarge = () => new ImportTooLargeError(limit === budget.maxEntryBytes
+    ? `${name} expands to more than ${mib(budget.maxEntryBytes)}, the limit for one file`
+    : `The import expands to more than ${mib(budget.maxTotalBytes)} in total`);
+  if (limit <= 0) throw tooLarge();
+  let out;
+  try {
+    out = inflate(data, { maxOutputLength: limit });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+    throw err;
+  }
+  budget.remaining -= out.length;
+  return out;
+}
+
+function parseReportText(text, name) {
+  const records = [];
+  let errors = 0;
+  if (/\.json$/i.test(name)) {
+    try {
+      const data = JSON.parse(text);
+      records.push(...(Array.isArray(data) ? data : [data]));
+    } catch (e) {
+      errors++;
+    }
+    return { records, errors };
+  }
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    try { records.push(JSON.parse(trimmed)); } catch (e) { errors++; }
+  }
+  return { records, errors };
+}
+
+function readTar(buf) {
+  const files = [];
+  for (let off = 0; off + 512 <= buf.length;) {
+    const header = buf.subarray(off, off + 512);
+    if (header.every(b => b === 0)) break;
+    const field = (start, len) => header.subarray(start, start + len).toString('utf-8').replace(/\0.*$/s, '');
+    const name = [field(345, 155), field(0, 100)].filter(Boolean).join('/');
+    const size = parseInt(field(124, 12).trim() || '0', 8);
+    const type = field(156, 1);
+    off += 512;
+    if (type === '0' || type === '') files.push({ name, data: buf.subarray(off, off + size) });
+    off += Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+function readZip(buf, budget) {
+  // The end-of-central-directory record sits in the last 64 KiB (it may be followed by a comment)
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a valid zip archive');
+  const files = [];
+  let off = buf.readUInt32LE(eocd + 16);
+  for (let n = buf.readUInt16LE(eocd + 10); n > 0; n--) {
+    if (buf.readUInt32LE(off) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+    const method = buf.readUInt16LE(off + 10);
+    const compressedSize = buf.readUInt32LE(off + 20);
+    const nameLen = buf.readUInt16LE(off + 28);
+    const extraLen = buf.readUInt16LE(off + 30);
+    const commentLen = buf.readUInt16LE(off + 32);
+    const localOff = buf.readUInt32LE(off + 42);
+    const name = buf.subarray(off + 46, off + 46 + nameLen).toString('utf-8');
+    off += 46 + nameLen + extraLen + commentLen;
+    if (name.endsWith('/')) continue;
+    const dataStart = localOff + 30 + buf.readUInt16LE(localOff + 26) + buf.readUInt16LE(localOff + 28);
+    const raw = buf.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) files.push({ name, data: raw });
+    else if (method === 8) files.push({ name, data: inflateWithin(budget, name, zlib.inflateRawSync, raw) });
+    else throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+  }
+  return files;
+}
+
+const isTar = (buf) => buf.length >= 262 && buf.subarray(257, 262).toString() === 'ustar';
+const isGzip = (buf) => buf[0] === 0x1f && buf[1] === 0x8b;
+const isZip = (buf) => buf.readUInt32LE(0) === 0x04034b50;
+
+// Unpack one input (plain file, gzip or archive) into report files
+function expandFile(name, buf, budget) {
+  if (buf.length >= 4 && isZip(buf)) {
+    return readZip(buf, budget).flatMap(f => expandFile(f.name, f.data, budget));
+  }
+  if (isGzip(buf)) {
+    return expandFile(name.replace(/\.(gz|tgz)$/i, m => (m.toLowerCase() === '.tgz' ? '.tar' : '')), inflateWithin(budget, name, zlib.gunzipSync, buf), budget);
+  }
+  if (isTar(buf)) return readTar(buf).flatMap(f => expandFile(f.name, f.data, budget));
+  // Skip macOS resource forks and anything that isn't a report file
+  if (!REPORT_FILE.test(name) || path.basename(name).startsWith('._')) return [];
+  return [{ name, text: buf.toString('utf-8') }];
+}
+
+function collect(files) {
+  const result = { files: files.length, records: [], userRecords: [], parseErrors: 0 };
+  for (const { name, text } of files) {
+    const { records, errors } = parseReportText(text, name);
+    result.parseErrors += errors;
+    for (const rec of records) {
+      if (!rec || typeof rec !== 'object' || !rec.day) { result.parseErrors++; continue; }
+      (rec.user_login ? result.userRecords : result.records).push(rec);
+    }
+  }
+  return result;
+}
+
+// Import from an uploaded file body; `name` is the original file name and
+// `limits` ({ maxEntryBytes, maxTotalBytes }) override the expansion limits
+export function importBuffer(buf, name = 'upload.ndjson', limits = {}) {
+  return collect(expandFile(name, buf, createBudget(limits)));
+}
+
+// Import from a report file, an archive, or a directory of either (searched
+// recursively); the expansion limits apply to each file
+export function importPath(target, limits = {}) {
+  const files = [];
+  const walk = (p) => {
+    if (fs.statSync(p).isDirectory()) {
+      for (const entry of fs.readdirSync(p).sort()) walk(path.join(p, entry));
+    } else {
+      files.push(...expandFile(p, fs.readFileSync(p), createBudget(limits)));
+    }
+  };
+  walk(target);
+  return collect(files);
+}
@@ -0,0 +1,118 @@
+import fs from 'fs';
+import nodemailer from 'nodemailer';
+import { Marked } from 'marked';
+import { renderChartPng, reportCharts } from './charts.js';
+
+// ─── Report Emails ──────────────────────────────────────────────────────────
+//
+// Sends reports over SMTP. Any SMTP server works, from a corporate relay to
+// a local test relay such as MailHog: STARTTLS is used when the server offers
+// it, and authentication only when a user is configured.
+//
+//   COPILOT_SMTP_HOST      server host; unset disables email
+//   COPILOT_SMTP_PORT      default 587, or 465 with COPILOT_SMTP_SECURE
+//   COPILOT_SMTP_SECURE    true for implicit TLS (port 465)
+//   COPILOT_SMTP_USER / COPILOT_SMTP_PASSWORD
+//   COPILOT_SMTP_FROM      sender address (default: the user)
+//
+// Reports are rendered as HTML with the same markdown renderer as the web UI,
+// and their charts as PNG attachments referenced inline. Report markdown can
+// come from the agent, so raw HTML in it is escaped and links and images are
+// limited to http(s), mailto and inline attachments.
+
+const TIMEOUT_MS = 30000;
+
+// SMTP settings from the environment, or null when email isn't configured
+export function loadSmtpConfig(env = process.env) {
+  if (!env.COPILOT_SMTP_HOST) return null;
+  const secure = env.COPILOT_SMTP_SECURE === 'true';
+  const port = env.COPILOT_SMTP_PORT ? parseInt(env.COPILOT_SMTP_PORT, 10) : (secure ? 465 : 587);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`COPILOT_SMTP_PORT must be a port number, got "${env.COPILOT_SMTP_PORT}"`);
+  const from = env.COPILOT_SMTP_FROM || env.COPILOT_SMTP_USER;
+  if (!from) throw new Error('Set COPILOT_SMTP_FROM to the sender address for report emails.');
+  return {
+    host: env.COPILOT_SMTP_HOST,
+    port,
+    secure,
+    user: env.COPILOT_SMTP_USER || null,
+    password: env.COPILOT_SMTP_PASSWORD || null,
+    from,
+    caFile: env.COPILOT_CA_FILE || null,
+  };
+}
+
+export function createMailer(config) {
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    ...(config.user ? { auth: { user: config.user, pass: config.password } } : {}),
+    ...(config.caFile ? { tls: { ca: fs.readFileSync(config.caFile, 'utf-8') } } : {}),
+    connectionTimeout: TIMEOUT_MS,
+    socketTimeout: TIMEOUT_MS,
+  });
+  return {
+    from: config.from,
+    send: ({ to, subject, html, text, attachments }) => transport.sendMail({ from: config.from, to, subject, html, text, attachments }),
+  };
+}
+
+const STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #24292f; font-size: 14px; line-height: 1.5; }
+  .report { max-width: 760px; margin: 0 auto; }
+  h1 { font-size: 22px; border-bottom: 1px solid #d0d7de; padding-bottom: 6px; }
+  h2 { font-size: 18px; margin-top: 24px; }
+  table { border-collapse: collapse; margin: 12px 0; }
+  th, td { border: 1px solid #d0d7de; padding: 6px 10px; text-align: left; }
+  th { background: #f6f8fa; }
+  blockquote { margin: 12px 0; padding: 4px 12px; border-left: 4px solid #d0d7de; color: #57606a; }
+  img { max-width: 100%; margin: 12px 0; }
+  .footer { margin-top: 32px; font-size: 12px; color: #57606a; }
+`;
+
+const escapeHtml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const SAFE_URL = /^(https?:|mailto:|cid:)/i;
+
+// Returning false falls back to marked's own renderer
+const markdown = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    html: ({ text }) => escapeHtml(text),
+    link({ href, tokens }) {
+      return SAFE_URL.test(href) ? false : this.parser.parseInline(tokens);
+    },
+    image({ href, text }) {
+      return SAFE_URL.test(href) ? false : escapeHtml(text);
+    },
+  },
+});
+
+// HTML and plain-text bodies plus chart images for one report ({ markdown,
+// chartData, chartsData }). `footer` is a line of plain text under the report.
+export async function renderReportEmail(report, { title = report.title, footer = null, dashboardUrl = null } = {}) {
+  const charts = reportCharts(report);
+  const attachments = [];
+  for (const [i, chart] of charts.entries()) {
+    attachments.push({
+      filename: `chart-${i + 1}.png`,
+      content: await renderChartPng(chart),
+      contentType: 'image/png',
+      cid: `chart-${i + 1}@copilot-metrics`,
+    });
+  }
+  const images = attachments.map((a, i) => `<img src="cid:${a.cid}" alt="${escapeHtml(charts[i].title || `Chart ${i + 1}`)}" width="720">`);
+  const links = dashboardUrl ? ` <a href="${escapeHtml(dashboardUrl)}">Open the dashboard</a>` : '';
+  const html = [
+    '<!DOCTYPE html>',
+    `<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${STYLE}</style></head>`,
+    '<body><div class="report">',
+    markdown.parse(report.markdown || ''),
+    ...images,
+    footer || links ? `<p class="footer">${footer ? escapeHtml(footer) : ''}${links}</p>` : '',
+    '</div></body></html>',
+  ].join('\n');
+  const text = [report.markdown || '', ...(footer ? ['', footer] : []), ...(dashboardUrl ? [dashboardUrl] : [])].join('\n');
+  return { html, text, attachments };
+}
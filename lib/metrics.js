@@ -0,0 +1,649 @@
+// ─── Metrics Core ───────────────────────────────────────────────────────────
+//
+// Aggregations over the daily metrics records, shared by the web server (REST
+// API, reports and chat agent tools) and the MCP server so every entry point
+// reports the same numbers. Every function takes the records to aggregate;
+// callers pick the tenant view.
+
+export const FEATURE_DISPLAY = {
+  chat_panel_agent_mode: 'Agent Mode',
+  chat_panel_ask_mode: 'Ask Mode',
+  chat_panel_edit_mode: 'Edit Mode',
+  chat_panel_custom_mode: 'Custom Mode',
+  chat_inline: 'Inline Chat',
+  code_completion: 'Code Completion',
+  agent_edit: 'Agent Edit',
+  chat_panel_unknown_mode: 'Unknown Mode',
+};
+
+export const AGENT_FEATURES = ['agent_edit', 'chat_panel_agent_mode', 'chat_panel_custom_mode', 'chat_panel_edit_mode'];
+export const USER_INITIATED_FEATURES = ['code_completion', 'chat_panel_ask_mode', 'chat_inline'];
+export const CHAT_MODES = ['chat_panel_agent_mode', 'chat_panel_ask_mode', 'chat_panel_edit_mode', 'chat_panel_custom_mode', 'chat_inline'];
+
+export function getDateRange(records) {
+  let start = null, end = null;
+  for (const r of records) {
+    if (!start || r.day < start) start = r.day;
+    if (!end || r.day > end) end = r.day;
+  }
+  return { start, end };
+}
+
+export function getUniqueUsers(records) {
+  // Enterprise data has daily_active_users count, not individual user_login
+  // Return a pseudo-set with .size = max daily_active_users across all days.
+  // This is the peak DAU, not a count of distinct users; see engagement.js for WAU/MAU
+  const maxDau = records.reduce((m, r) => Math.max(m, r.daily_active_users || 0), 0);
+  return { size: maxDau };
+}
+
+// Adds a count that a filtered view may report as null (unavailable, see
+// lib/filters.js): start from null, and the total stays null only if every
+// value was
+export function addCount(total, value) {
+  return value === null ? total : (total ?? 0) + (value || 0);
+}
+
+// True when a filter left none of the records with `breakdown`, so there is
+// nothing to aggregate it from
+function unavailable(records, breakdown) {
+  return records.length > 0 && records.every(r => r[breakdown] === null);
+}
+
+export function sumField(records, field) {
+  return records.length > 0 ? records.reduce((s, r) => addCount(s, r[field]), null) : 0;
+}
+
+export function countUsersWhere(records, predicate) {
+  // Not applicable for enterprise-level data; return aggregate approximation
+  let count = 0;
+  for (const r of records) {
+    if (predicate(r)) count++;
+  }
+  return count;
+}
+
+export function aggregateByDay(records) {
+  const days = {};
+  for (const r of records) {
+    if (!days[r.day]) {
+      days[r.day] = { interactions: null, codeGenerated: null, locAdded: null, locDeleted: null, activeUsers: 0 };
+    }
+    const d = days[r.day];
+    d.interactions = addCount(d.interactions, r.user_initiated_interaction_count);
+    d.codeGenerated = addCount(d.codeGenerated, r.code_generation_activity_count);
+    d.locAdded = addCount(d.locAdded, r.loc_added_sum);
+    d.locDeleted = addCount(d.locDeleted, r.loc_deleted_sum);
+    d.activeUsers = r.daily_active_users || 0;
+  }
+  return Object.entries(days)
+    .map(([day, d]) => ({ day, ...d }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
+
+// The breakdown aggregations return null when a filter leaves no such breakdown
+export function aggregateByFeature(records) {
+  if (unavailable(records, 'totals_by_feature')) return null;
+  const features = {};
+  for (const r of records) {
+    for (const f of r.totals_by_feature || []) {
+      if (!features[f.feature]) {
+        features[f.feature] = { interactions: null, codeGenerated: null, codeAccepted: null, locAdded: null };
+      }
+      const d = features[f.feature];
+      d.interactions = addCount(d.interactions, f.user_initiated_interaction_count);
+      d.codeGenerated = addCount(d.codeGenerated, f.code_generation_activity_count);
+      d.codeAccepted = addCount(d.codeAccepted, f.code_acceptance_activity_count);
+      d.locAdded = addCount(d.locAdded, f.loc_added_sum);
+    }
+  }
+  return Object.entries(features)
+    .map(([feature, d]) => ({ feature, displayName: FEATURE_DISPLAY[feature] || feature, ...d }))
+    .sort((a, b) => (b.interactions ?? 0) - (a.interactions ?? 0) || (b.codeGenerated ?? 0) - (a.codeGenerated ?? 0));
+}
+
+export function aggregateByLanguage(records, limit = 20) {
+  if (unavailable(records, 'totals_by_language_feature')) return null;
+  const langs = {};
+  for (const r of records) {
+    for (const l of r.totals_by_language_feature || []) {
+      if (!langs[l.language]) {
+        langs[l.language] = { codeGenerated: 0, codeAccepted: 0, locAdded: 0 };
+      }
+      langs[l.language].codeGenerated += l.code_generation_activity_count || 0;
+      langs[l.language].codeAccepted += l.code_acceptance_activity_count || 0;
+      langs[l.language].locAdded += l.loc_added_sum || 0;
+    }
+  }
+  return Object.entries(langs)
+    .map(([language, d]) => ({ language, ...d }))
+    .sort((a, b) => b.codeGenerated - a.codeGenerated)
+    .slice(0, limit);
+}
+
+export function aggregateByModel(records, limit = 15) {
+  if (unavailable(records, 'totals_by_model_feature')) return null;
+  const models = {};
+  for (const r of records) {
+    for (const m of r.totals_by_model_feature || []) {
+      if (!models[m.model]) {
+        models[m.model] = { interactions: 0, codeGenerated: 0 };
+      }
+      models[m.model].interactions += m.user_initiated_interaction_count || 0;
+      models[m.model].codeGenerated += m.code_generation_activity_count || 0;
+    }
+  }
+  return Object.entries(models)
+    .map(([model, d]) => ({ model, ...d }))
+    .sort((a, b) => b.interactions - a.interactions)
+    .slice(0, limit);
+}
+
+export function aggregateByIDE(records) {
+  if (unavailable(records, 'totals_by_ide')) return null;
+  const ides = {};
+  for (const r of records) {
+    for (const i of r.totals_by_ide || []) {
+      if (!ides[i.ide]) {
+        ides[i.ide] = { interactions: 0, codeGenerated: 0, locAdded: 0 };
+      }
+      ides[i.ide].interactions += i.user_initiated_interaction_count || 0;
+      ides[i.ide].codeGenerated += i.code_generation_activity_count || 0;
+      ides[i.ide].locAdded += i.loc_added_sum || 0;
+    }
+  }
+  return Object.entries(ides)
+    .map(([ide, d]) => ({ ide, ...d }))
+    .sort((a, b) => b.interactions - a.interactions);
+}
+
+export function getSummary(records) {
+  return {
+    period: getDateRange(records),
+    peakDailyActiveUsers: getUniqueUsers(records).size,
+    avgDailyActiveUsers: records.length > 0 ? Math.round(sumField(records, 'daily_active_users') / records.length) : 0,
+    totalInteractions: sumField(records, 'user_initiated_interaction_count'),
+    totalCodeGenerated: sumField(records, 'code_generation_activity_count'),
+    totalCodeAccepted: sumField(records, 'code_acceptance_activity_count'),
+    totalLocAdded: sumField(records, 'loc_added_sum'),
+    totalLocDeleted: sumField(records, 'loc_deleted_sum'),
+    totalDays: records.length,
+  };
+}
+
+// Interactions plus code generations of the agent features, and interactions
+// of the chat modes, out of all activity. null when the records can't tell:
+// a filtered view with no feature split or no interaction counts.
+export function getFeatureActivity(records) {
+  const features = aggregateByFeature(records);
+  if (features === null || features.some(f => f.interactions === null)) return null;
+  const activity = { agent: 0, chat: 0, total: 0 };
+  for (const f of features) {
+    const act = f.interactions + (f.codeGenerated || 0);
+    activity.total += act;
+    if (AGENT_FEATURES.includes(f.feature)) activity.agent += act;
+    if (CHAT_MODES.includes(f.feature)) activity.chat += f.interactions;
+  }
+  return activity;
+}
+
+// Share of feature activity (interactions + code generations) that comes from
+// agent features, in %; null when getFeatureActivity() can't tell
+export function getAgentAdoptionPct(records) {
+  const activity = getFeatureActivity(records);
+  if (!activity) return null;
+  return activity.total > 0 ? Math.round((activity.agent / activity.total) * 1000) / 10 : 0;
+}
+
+export function getChatModeStats(records) {
+  const modes = {};
+  for (const r of records) {
+    for (const f of r.totals_by_feature || []) {
+      if (CHAT_MODES.includes(f.feature)) {
+        const name = FEATURE_DISPLAY[f.feature];
+        if (!modes[name]) modes[name] = { interactions: null, codeGenerated: 0 };
+        modes[name].interactions = addCount(modes[name].interactions, f.user_initiated_interaction_count);
+        modes[name].codeGenerated += f.code_generation_activity_count || 0;
+      }
+    }
+  }
+  return Object.entries(modes)
+    .map(([mode, d]) => ({ mode, ...d }))
+    .sort((a, b) => (b.interactions ?? 0) - (a.interactions ?? 0) || b.codeGenerated - a.codeGenerated);
+}
+
+export function getCodeGenerationStats(records) {
+  const completions = aggregateCodeCompletions(records).reduce(
+    (t, d) => ({ shown: t.shown + d.shown, accepted: t.accepted + d.accepted }),
+    { shown: 0, accepted: 0 },
+  );
+  return {
+    userInitiated: aggregateUserInitiatedCodeChanges(records),
+    agentInitiated: aggregateAgentInitiatedCodeChanges(records),
+    codeCompletions: completions,
+    acceptanceRate: completions.shown > 0 ? Math.round((completions.accepted / completions.shown) * 10000) / 100 : 0,
+  };
+}
+
+export function getPullRequestStats(records) {
+  let totalReviewed = 0, totalCreated = 0, copilotCreated = 0, copilotReviewed = 0;
+  for (const r of records) {
+    if (r.pull_requests) {
+      totalReviewed += r.pull_requests.total_reviewed || 0;
+      totalCreated += r.pull_requests.total_created || 0;
+      copilotCreated += r.pull_requests.total_created_by_copilot || 0;
+      copilotReviewed += r.pull_requests.total_reviewed_by_copilot || 0;
+    }
+  }
+  return { totalReviewed, totalCreated, copilotCreated, copilotReviewed };
+}
+
+
+export function getSortedDays(records) {
+  const daySet = new Set(records.map(r => r.day));
+  return Array.from(daySet).sort();
+}
+
+export function getRecordsByDay(records) {
+  const byDay = {};
+  for (const r of records) {
+    if (!byDay[r.day]) byDay[r.day] = [];
+    byDay[r.day].push(r);
+  }
+  return byDay;
+}
+
+export function topN(arr, key, n = 5) {
+  const sorted = [...arr].sort((a, b) => b[key] - a[key]);
+  const top = sorted.slice(0, n);
+  const rest = sorted.slice(n);
+  const otherVal = rest.reduce((s, x) => s + x[key], 0);
+  return { top, otherVal };
+}
+
+export function aggregateDailyActiveUsers(records) {
+  return getSortedDays(records).map(day => {
+    const rec = records.find(r => r.day === day);
+    return { day, users: rec ? (rec.daily_active_users || 0) : 0 };
+  });
+}
+
+// Reported weekly_active_users where the report has it; otherwise a 7-day
+// rolling average of DAU, flagged `approximate` as it isn't a distinct count
+export function aggregateWeeklyActiveUsers(records) {
+  const days = getSortedDays(records);
+  const byDay = {};
+  for (const r of records) {
+    byDay[r.day] = r;
+  }
+  return days.map((day, idx) => {
+    if (typeof byDay[day].weekly_active_users === 'number') {
+      return { day, users: byDay[day].weekly_active_users, approximate: false };
+    }
+    const windowDays = days.slice(Math.max(0, idx - 6), idx + 1);
+    const sum = windowDays.reduce((s, d) => s + (byDay[d].daily_active_users || 0), 0);
+    return { day, users: Math.round(sum / windowDays.length), approximate: true };
+  });
+}
+
+export function aggregateAvgChatRequestsPerActiveUser(records) {
+  return getSortedDays(records).map(day => {
+    const rec = records.find(r => r.day === day);
+    if (!rec) return { day, avg: 0 };
+    let totalChat = 0;
+    for (const f of (rec.totals_by_feature || [])) {
+      if (f.feature !== 'code_completion') {
+        totalChat += f.user_initiated_interaction_count || 0;
+      }
+    }
+    const dau = rec.daily_active_users || 1;
+    return { day, avg: Math.round((totalChat / dau) * 100) / 100 };
+  });
+}
+
+export function aggregateRequestsPerChatMode(records) {
+  const byDay = getRecordsByDay(records);
+  const days = getSortedDays(records);
+  const series = {};
+  for (const feat of CHAT_MODES) {
+    series[FEATURE_DISPLAY[feat]] = [];
+  }
+  for (const day of days) {
+    const counts = {};
+    for (const feat of CHAT_MODES) counts[FEATURE_DISPLAY[feat]] = 0;
+    for (const r of byDay[day]) {
+      for (const f of (r.totals_by_feature || [])) {
+        if (CHAT_MODES.includes(f.feature)) {
+          counts[FEATURE_DISPLAY[f.feature]] += f.user_initiated_interaction_count || 0;
+        }
+      }
+    }
+    for (const name of Object.keys(series)) {
+      series[name].push(counts[name]);
+    }
+  }
+  return { days, series };
+}
+
+export function aggregateCodeCompletions(records) {
+  const byDay = getRecordsByDay(records);
+  return getSortedDays(records).map(day => {
+    let shown = 0, accepted = 0;
+    for (const r of byDay[day]) {
+      for (const f of (r.totals_by_feature || [])) {
+        if (f.feature === 'code_completion') {
+          shown += f.code_generation_activity_count || 0;
+          accepted += f.code_acceptance_activity_count || 0;
+        }
+      }
+    }
+    return { day, shown, accepted };
+  });
+}
+
+export function aggregateCodeCompletionAcceptanceRate(records) {
+  return aggregateCodeCompletions(records).map(d => ({
+    day: d.day,
+    rate: d.shown > 0 ? Math.round((d.accepted / d.shown) * 10000) / 100 : 0,
+  }));
+}
+
+export function aggregateModelUsagePerDay(records) {
+  const byDay = getRecordsByDay(records);
+  const days = getSortedDays(records);
+  const modelTotals = {};
+  for (const r of records) {
+    for (const m of (r.totals_by_model_feature || [])) {
+      const cnt = (m.user_initiated_interaction_count || 0) + (m.code_generation_activity_count || 0);
+      modelTotals[m.model] = (modelTotals[m.model] || 0) + cnt;
+    }
+  }
+  const sorted = Object.entries(modelTotals).sort((a, b) => b[1] - a[1]);
+  const topModels = sorted.slice(0, 5).map(e => e[0]);
+
+  const series = {};
+  for (const m of topModels) series[m] = [];
+  series['Other'] = [];
+
+  for (const day of days) {
+    const dayCounts = {};
+    for (const m of topModels) dayCounts[m] = 0;
+    dayCounts['Other'] = 0;
+    for (const r of byDay[day]) {
+      for (const m of (r.totals_by_model_feature || [])) {
+        const cnt = (m.user_initiated_interaction_count || 0) + (m.code_generation_activity_count || 0);
+        if (topModels.includes(m.model)) {
+          dayCounts[m.model] += cnt;
+        } else {
+          dayCounts['Other'] += cnt;
+        }
+      }
+    }
+    const total = Object.values(dayCounts).reduce((s, v) => s + v, 0);
+    for (const key of [...topModels, 'Other']) {
+      series[key].push(total > 0 ? Math.round((dayCounts[key] / total) * 10000) / 100 : 0);
+    }
+  }
+  return { days, series };
+}
+
+export function aggregateChatModelDistribution(records) {
+  const modelCounts = {};
+  for (const r of records) {
+    for (const m of (r.totals_by_model_feature || [])) {
+      if (m.feature !== 'code_completion') {
+        const cnt = (m.user_initiated_interaction_count || 0);
+        modelCounts[m.model] = (modelCounts[m.model] || 0) + cnt;
+      }
+    }
+  }
+  return Object.entries(modelCounts)
+    .map(([model, count]) => ({ model, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+export function aggregateModelUsagePerChatMode(records) {
+  const modelTotals = {};
+  for (const r of records) {
+    for (const m of (r.totals_by_model_feature || [])) {
+      if (CHAT_MODES.includes(m.feature)) {
+        modelTotals[m.model] = (modelTotals[m.model] || 0) + (m.user_initiated_interaction_count || 0);
+      }
+    }
+  }
+  const sorted = Object.entries(modelTotals).sort((a, b) => b[1] - a[1]);
+  const topModels = sorted.slice(0, 5).map(e => e[0]);
+
+  const data = {};
+  for (const feat of CHAT_MODES) {
+    data[FEATURE_DISPLAY[feat]] = {};
+    for (const m of topModels) data[FEATURE_DISPLAY[feat]][m] = 0;
+    data[FEATURE_DISPLAY[feat]]['Other'] = 0;
+  }
+  for (const r of records) {
+    for (const m of (r.totals_by_model_feature || [])) {
+      if (CHAT_MODES.includes(m.feature)) {
+        const displayFeat = FEATURE_DISPLAY[m.feature];
+        const cnt = m.user_initiated_interaction_count || 0;
+        if (topModels.includes(m.model)) {
+          data[displayFeat][m.model] += cnt;
+        } else {
+          data[displayFeat]['Other'] += cnt;
+        }
+      }
+    }
+  }
+  // Convert to % per chat mode
+  const labels = CHAT_MODES.map(f => FEATURE_DISPLAY[f]);
+  const seriesKeys = [...topModels, 'Other'];
+  const datasets = seriesKeys.map(model => ({
+    label: model,
+    data: labels.map(feat => {
+      const total = Object.values(data[feat]).reduce((s, v) => s + v, 0);
+      return total > 0 ? Math.round((data[feat][model] / total) * 10000) / 100 : 0;
+    }),
+  }));
+  return { labels, datasets };
+}
+
+export function aggregateLanguageUsagePerDay(records) {
+  const byDay = getRecordsByDay(records);
+  const days = getSortedDays(records);
+  const langTotals = {};
+  for (const r of records) {
+    for (const l of (r.totals_by_language_feature || [])) {
+      langTotals[l.language] = (langTotals[l.language] || 0) + (l.code_generation_activity_count || 0);
+    }
+  }
+  const sorted = Object.entries(langTotals).sort((a, b) => b[1] - a[1]);
+  const topLangs = sorted.slice(0, 5).map(e => e[0]);
+
+  const series = {};
+  for (const l of topLangs) series[l] = [];
+  series['Other'] = [];
+
+  for (const day of days) {
+    const dayCounts = {};
+    for (const l of topLangs) dayCounts[l] = 0;
+    dayCounts['Other'] = 0;
+    for (const r of byDay[day]) {
+      for (const l of (r.totals_by_language_feature || [])) {
+        if (topLangs.includes(l.language)) {
+          dayCounts[l.language] += l.code_generation_activity_count || 0;
+        } else {
+          dayCounts['Other'] += l.code_generation_activity_count || 0;
+        }
+      }
+    }
+    const total = Object.values(dayCounts).reduce((s, v) => s + v, 0);
+    for (const key of [...topLangs, 'Other']) {
+      series[key].push(total > 0 ? Math.round((dayCounts[key] / total) * 10000) / 100 : 0);
+    }
+  }
+  return { days, series };
+}
+
+export function aggregateLanguageDistribution(records) {
+  const langCounts = {};
+  for (const r of records) {
+    for (const l of (r.totals_by_language_feature || [])) {
+      langCounts[l.language] = (langCounts[l.language] || 0) + (l.code_generation_activity_count || 0);
+    }
+  }
+  return Object.entries(langCounts)
+    .map(([language, count]) => ({ language, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+export function aggregateModelUsagePerLanguage(records) {
+  const langTotals = {};
+  for (const r of records) {
+    for (const l of (r.totals_by_language_model || [])) {
+      langTotals[l.language] = (langTotals[l.language] || 0) + (l.code_generation_activity_count || 0);
+    }
+  }
+  const sortedLangs = Object.entries(langTotals).sort((a, b) => b[1] - a[1]);
+  const topLangs = sortedLangs.slice(0, 5).map(e => e[0]);
+
+  const modelTotals = {};
+  for (const r of records) {
+    for (const l of (r.totals_by_language_model || [])) {
+      if (topLangs.includes(l.language)) {
+        modelTotals[l.model] = (modelTotals[l.model] || 0) + (l.code_generation_activity_count || 0);
+      }
+    }
+  }
+  const sortedModels = Object.entries(modelTotals).sort((a, b) => b[1] - a[1]);
+  const topModels = sortedModels.slice(0, 5).map(e => e[0]);
+
+  const data = {};
+  for (const lang of topLangs) {
+    data[lang] = {};
+    for (const m of topModels) data[lang][m] = 0;
+    data[lang]['Other'] = 0;
+  }
+  for (const r of records) {
+    for (const l of (r.totals_by_language_model || [])) {
+      if (topLangs.includes(l.language)) {
+        const cnt = l.code_generation_activity_count || 0;
+        if (topModels.includes(l.model)) {
+          data[l.language][l.model] += cnt;
+        } else {
+          data[l.language]['Other'] += cnt;
+        }
+      }
+    }
+  }
+  const labels = topLangs;
+  const seriesKeys = [...topModels, 'Other'];
+  const datasets = seriesKeys.map(model => ({
+    label: model,
+    data: labels.map(lang => {
+      const total = Object.values(data[lang]).reduce((s, v) => s + v, 0);
+      return total > 0 ? Math.round((data[lang][model] / total) * 10000) / 100 : 0;
+    }),
+  }));
+  return { labels, datasets };
+}
+
+export function aggregateDailyLocAddedDeleted(records) {
+  const byDay = getRecordsByDay(records);
+  return getSortedDays(records).map(day => {
+    let added = 0, deleted = 0;
+    for (const r of byDay[day]) {
+      added += r.loc_added_sum || 0;
+      deleted += r.loc_deleted_sum || 0;
+    }
+    return { day, added, deleted };
+  });
+}
+
+export function aggregateUserInitiatedCodeChanges(records) {
+  let suggested = 0, added = 0;
+  for (const r of records) {
+    for (const f of (r.totals_by_feature || [])) {
+      if (USER_INITIATED_FEATURES.includes(f.feature)) {
+        suggested += f.loc_suggested_to_add_sum || 0;
+        added += f.loc_added_sum || 0;
+      }
+    }
+  }
+  return { suggested, added };
+}
+
+export function aggregateAgentInitiatedCodeChanges(records) {
+  let added = 0, deleted = 0;
+  for (const r of records) {
+    for (const f of (r.totals_by_feature || [])) {
+      if (AGENT_FEATURES.includes(f.feature)) {
+        added += f.loc_added_sum || 0;
+        deleted += f.loc_deleted_sum || 0;
+      }
+    }
+  }
+  return { added, deleted };
+}
+
+export function aggregateUserCodeChangesByModel(records) {
+  const models = {};
+  for (const r of records) {
+    for (const m of (r.totals_by_model_feature || [])) {
+      if (!AGENT_FEATURES.includes(m.feature)) {
+        if (!models[m.model]) models[m.model] = { suggested: 0, added: 0 };
+        models[m.model].suggested += m.loc_suggested_to_add_sum || 0;
+        models[m.model].added += m.loc_added_sum || 0;
+      }
+    }
+  }
+  return Object.entries(models)
+    .map(([model, d]) => ({ model, ...d }))
+    .sort((a, b) => (b.suggested + b.added) - (a.suggested + a.added));
+}
+
+export function aggregateAgentCodeChangesByModel(records) {
+  const models = {};
+  for (const r of records) {
+    for (const m of (r.totals_by_model_feature || [])) {
+      if (AGENT_FEATURES.includes(m.feature)) {
+        if (!models[m.model]) models[m.model] = { added: 0, deleted: 0 };
+        models[m.model].added += m.loc_added_sum || 0;
+        models[m.model].deleted += m.loc_deleted_sum || 0;
+      }
+    }
+  }
+  return Object.entries(models)
+    .map(([model, d]) => ({ model, ...d }))
+    .sort((a, b) => (b.added + b.deleted) - (a.added + a.deleted));
+}
+
+export function aggregateUserCodeChangesByLanguage(records) {
+  const langs = {};
+  for (const r of records) {
+    for (const l of (r.totals_by_language_feature || [])) {
+      if (!AGENT_FEATURES.includes(l.feature)) {
+        if (!langs[l.language]) langs[l.language] = { suggested: 0, added: 0 };
+        langs[l.language].suggested += l.loc_suggested_to_add_sum || 0;
+        langs[l.language].added += l.loc_added_sum || 0;
+      }
+    }
+  }
+  return Object.entries(langs)
+    .map(([language, d]) => ({ language, ...d }))
+    .sort((a, b) => (b.suggested + b.added) - (a.suggested + a.added));
+}
+
+export function aggregateAgentCodeChangesByLanguage(records) {
+  const langs = {};
+  for (const r of records) {
+    for (const l of (r.totals_by_language_feature || [])) {
+      if (AGENT_FEATURES.includes(l.feature)) {
+        if (!langs[l.language]) langs[l.language] = { added: 0, deleted: 0 };
+        langs[l.language].added += l.loc_added_sum || 0;
+        langs[l.language].deleted += l.loc_deleted_sum || 0;
+      }
+    }
+  }
+  return Object.entries(langs)
+    .map(([language, d]) => ({ language, ...d }))
+    .sort((a, b) => (b.added + b.deleted) - (a.added + a.deleted));
+}
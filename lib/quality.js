@@ -0,0 +1,153 @@
+import fs from 'fs';
+import path from 'path';
+
+// ─── Ingestion Health & Data Quality ────────────────────────────────────────
+//
+// Every fetch and import is noted in a per-tenant ingestion log (kept as JSON
+// next to the archive), so we can tell which days loaded, which had no report
+// (404), which failed, and how many NDJSON lines could not be parsed. The
+// quality assessment combines that log with checks on the archived records.
+
+// A day whose DAU falls this far below the trailing median is flagged
+const DAU_DROP_RATIO = 0.9;
+const BREAKDOWNS = ['totals_by_feature', 'totals_by_ide', 'totals_by_language_feature', 'totals_by_model_feature'];
+const MAX_IMPORTS_LOGGED = 20;
+
+export function loadIngestLog(file) {
+  const empty = { reports: {}, users: {}, imports: [] };
+  if (!fs.existsSync(file)) return empty;
+  try {
+    return { ...empty, ...JSON.parse(fs.readFileSync(file, 'utf-8')) };
+  } catch (e) {
+    return empty;
+  }
+}
+
+export function saveIngestLog(file, log) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(log, null, 2) + '\n');
+}
+
+// `kind` is "reports" or "users"; `entry` is { status, records, parseErrors, error }
+export function noteFetch(log, kind, day, entry) {
+  log[kind][day] = { ...entry, at: new Date().toISOString() };
+}
+
+export function noteImport(log, { files, records, userRecords, parseErrors }) {
+  log.imports.push({ at: new Date().toISOString(), files, records, userRecords, parseErrors });
+  log.imports = log.imports.slice(-MAX_IMPORTS_LOGGED);
+}
+
+function findNegatives(value, where, out) {
+  if (typeof value === 'number') {
+    if (value < 0) out.push(where);
+  } else if (Array.isArray(value)) {
+    value.forEach((v, i) => {
+      const label = Object.entries(v || {}).find(([, x]) => typeof x === 'string');
+      findNegatives(v, `${where}[${label ? label[1] : i}]`, out);
+    });
+  } else if (value && typeof value === 'object') {
+    for (const [k, v] of Object.entries(value)) findNegatives(v, where ? `${where}.${k}` : k, out);
+  }
+  return out;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Schema and value checks on aggregate records, plus negative counts in per-user records
+export function findAnomalies(records, userRecords = []) {
+  const anomalies = [];
+  const add = (day, type, severity, message) => anomalies.push({ day, type, severity, message });
+
+  for (const rec of records) {
+    const negatives = findNegatives(rec, '', []);
+    if (negatives.length > 0) add(rec.day, 'negative_count', 'error', `Negative values in ${negatives.slice(0, 5).join(', ')}${negatives.length > 5 ? ` and ${negatives.length - 5} more` : ''}`);
+    if (typeof rec.daily_active_users !== 'number') add(rec.day, 'missing_field', 'warning', 'daily_active_users is missing');
+    for (const field of BREAKDOWNS) {
+      if (!Array.isArray(rec[field])) add(rec.day, 'missing_breakdown', field === 'totals_by_feature' ? 'error' : 'warning', `${field} is missing`);
+    }
+  }
+
+  // Compare each day's DAU with the median of the previous 7 days (at least 3 needed)
+  const sorted = [...records].filter(r => typeof r.daily_active_users === 'number').sort((a, b) => a.day.localeCompare(b.day));
+  sorted.forEach((rec, i) => {
+    const prior = sorted.slice(Math.max(0, i - 7), i).map(r => r.daily_active_users);
+    if (prior.length < 3) return;
+    const baseline = median(prior);
+    if (baseline > 0 && rec.daily_active_users <= baseline * (1 - DAU_DROP_RATIO)) {
+      add(rec.day, 'dau_drop', 'warning', `DAU fell to ${rec.daily_active_users} from a trailing median of ${baseline} (-${Math.round((1 - rec.daily_active_users / baseline) * 100)}%)`);
+    }
+  });
+
+  const negativeUsers = {};
+  for (const rec of userRecords) {
+    if (findNegatives(rec, '', []).length > 0) negativeUsers[rec.day] = (negativeUsers[rec.day] || 0) + 1;
+  }
+  for (const [day, n] of Object.entries(negativeUsers)) {
+    add(day, 'negative_count', 'error', `${n} per-user record(s) with negative values`);
+  }
+
+  return anomalies.sort((a, b) => a.day.localeCompare(b.day));
+}
+
+function dayRange(start, end) {
+  const days = [];
+  for (let d = new Date(`${start}T00:00:00Z`); d.toISOString().slice(0, 10) <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+    days.push(d.toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+// `windowDays` are the days the API should have served (empty for offline tenants);
+// gaps between the first and last archived day are checked as well
+export function assessQuality({ records, userRecords, log, windowDays = [] }) {
+  const recordsByDay = {};
+  for (const r of records) recordsByDay[r.day] = (recordsByDay[r.day] || 0) + 1;
+  const usersByDay = {};
+  for (const r of userRecords) usersByDay[r.day] = (usersByDay[r.day] || 0) + 1;
+
+  const archived = Object.keys(recordsByDay).sort();
+  const allDays = new Set(windowDays);
+  if (archived.length > 0) dayRange(archived[0], archived[archived.length - 1]).forEach(d => allDays.add(d));
+
+  const days = [...allDays].sort().map(day => {
+    const fetched = log.reports[day];
+    const users = log.users[day];
+    let status = 'missing';
+    if (recordsByDay[day]) status = 'loaded';
+    else if (fetched?.status === 'not_found') status = 'no_report';
+    else if (fetched?.status === 'failed') status = 'failed';
+    return {
+      day,
+      status,
+      records: recordsByDay[day] || 0,
+      userRecords: usersByDay[day] || 0,
+      parseErrors: (fetched?.parseErrors || 0) + (users?.parseErrors || 0),
+      lastFetchedAt: fetched?.at || null,
+      error: fetched?.status === 'failed' ? fetched.error : (users?.status === 'failed' ? `Per-user report: ${users.error}` : null),
+    };
+  });
+
+  const anomalies = findAnomalies(records, userRecords);
+  const count = (status) => days.filter(d => d.status === status).length;
+  return {
+    period: { start: days[0]?.day || null, end: days[days.length - 1]?.day || null },
+    summary: {
+      days: days.length,
+      loaded: count('loaded'),
+      missing: count('missing'),
+      noReport: count('no_report'),
+      failed: count('failed'),
+      parseErrors: days.reduce((s, d) => s + d.parseErrors, 0) + log.imports.reduce((s, i) => s + (i.parseErrors || 0), 0),
+      anomalies: anomalies.length,
+    },
+    missingDays: days.filter(d => d.status !== 'loaded').map(d => d.day),
+    days,
+    anomalies,
+    imports: log.imports,
+  };
+}
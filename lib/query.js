@@ -0,0 +1,143 @@
+import { FILTER_DIMENSIONS, applyFilters, breakdownCovering, parseFilters } from './filters.js';
+import { getDateRange } from './metrics.js';
+
+// ─── Structured Query Engine ────────────────────────────────────────────────
+//
+// Groups records by any mix of dimensions and sums the chosen measures, for
+// cross-tab questions the fixed breakdowns don't answer ("code generated per
+// language per week", "acceptances by model for Agent Mode").
+//
+// With only day/week (or no) dimensions the record totals are used. Grouping
+// or filtering by feature, language, model or IDE reads the breakdown that
+// carries all of those dimensions, so the same combinations as for filters
+// are possible. Breakdown entries don't always carry every count (language
+// breakdowns have no interactions, for example); such measures are listed in
+// `unavailableMeasures` rather than silently reported as zero.
+
+export const QUERY_DIMENSIONS = ['day', 'week', ...FILTER_DIMENSIONS];
+
+export const QUERY_MEASURES = {
+  interactions: 'user_initiated_interaction_count',
+  generations: 'code_generation_activity_count',
+  acceptances: 'code_acceptance_activity_count',
+  locAdded: 'loc_added_sum',
+  locDeleted: 'loc_deleted_sum',
+  locSuggested: 'loc_suggested_to_add_sum',
+};
+
+const TIME_DIMENSIONS = ['day', 'week'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 5000;
+
+// Monday of the ISO week a day falls in
+function weekOf(day) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function asList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// Validate a query from a request body or tool arguments. `filters` may be
+// given as an object or as top-level from/to/feature/language/model/ide
+// fields. Throws on anything invalid.
+export function parseQuery(params = {}) {
+  const dimensions = asList(params.dimensions);
+  const unknownDims = dimensions.filter(d => !QUERY_DIMENSIONS.includes(d));
+  if (unknownDims.length > 0) {
+    throw new Error(`Unknown dimension(s) ${unknownDims.join(', ')}; use ${QUERY_DIMENSIONS.join(', ')}`);
+  }
+  if (new Set(dimensions).size !== dimensions.length) throw new Error('Each dimension can only be used once');
+
+  const measures = asList(params.measures);
+  const unknownMeasures = measures.filter(m => !QUERY_MEASURES[m]);
+  if (unknownMeasures.length > 0) {
+    throw new Error(`Unknown measure(s) ${unknownMeasures.join(', ')}; use ${Object.keys(QUERY_MEASURES).join(', ')}`);
+  }
+
+  const filters = parseFilters(params.filters || params);
+  const sliced = [...new Set([...dimensions, ...FILTER_DIMENSIONS.filter(d => filters?.[d])])].filter(d => !TIME_DIMENSIONS.includes(d));
+  const breakdown = sliced.length > 0 ? breakdownCovering(sliced) : null;
+  if (sliced.length > 0 && !breakdown) {
+    throw new Error(`The metrics reports have no breakdown by ${sliced.join(' and ')} together; group and filter on at most one of them, or on feature with language or model, or on language with model`);
+  }
+
+  const query = {
+    dimensions,
+    measures: measures.length > 0 ? measures : Object.keys(QUERY_MEASURES),
+    filters,
+    breakdown,
+    sort: params.sort || null,
+    order: params.order || null,
+    limit: params.limit === undefined || params.limit === null ? DEFAULT_LIMIT : Number(params.limit),
+  };
+  if (query.sort && !query.dimensions.includes(query.sort) && !query.measures.includes(query.sort)) {
+    throw new Error(`Can only sort by a selected dimension or measure, not "${query.sort}"`);
+  }
+  if (query.order && !['asc', 'desc'].includes(query.order)) throw new Error('"order" must be asc or desc');
+  if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > MAX_LIMIT) {
+    throw new Error(`"limit" must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+  return query;
+}
+
+// Run a query from parseQuery() against a tenant view's records
+export function runQuery(records, query) {
+  const { dimensions, measures, breakdown } = query;
+  const rows = new Map();
+  const carried = new Set();
+
+  const add = (day, entry) => {
+    const keyValues = dimensions.map(d => (d === 'day' ? day : d === 'week' ? weekOf(day) : entry[d] ?? '(unknown)'));
+    const key = JSON.stringify(keyValues);
+    if (!rows.has(key)) {
+      const row = {};
+      dimensions.forEach((d, i) => { row[d] = keyValues[i]; });
+      for (const m of measures) row[m] = 0;
+      rows.set(key, row);
+    }
+    const row = rows.get(key);
+    for (const m of measures) {
+      const value = entry[QUERY_MEASURES[m]];
+      if (typeof value === 'number') {
+        row[m] += value;
+        carried.add(m);
+      }
+    }
+  };
+
+  const selected = applyFilters(records, query.filters);
+  for (const rec of selected) {
+    if (breakdown) {
+      for (const entry of rec[breakdown] || []) add(rec.day, entry);
+    } else {
+      add(rec.day, rec);
+    }
+  }
+
+  // Time series read best in order; everything else ranks by the first measure
+  const timeFirst = TIME_DIMENSIONS.includes(dimensions[0]);
+  const sort = query.sort || (timeFirst ? dimensions[0] : measures[0]);
+  const order = query.order || (TIME_DIMENSIONS.includes(sort) || !measures.includes(sort) ? 'asc' : 'desc');
+  const sign = order === 'asc' ? 1 : -1;
+  const all = Array.from(rows.values()).sort((a, b) => {
+    const x = a[sort], y = b[sort];
+    return sign * (typeof x === 'number' ? x - y : String(x).localeCompare(String(y)));
+  });
+
+  const totals = {};
+  for (const m of measures) totals[m] = all.reduce((s, r) => s + r[m], 0);
+  return {
+    dimensions,
+    measures,
+    source: breakdown || 'daily totals',
+    period: getDateRange(selected),
+    totalRows: all.length,
+    rows: all.slice(0, query.limit),
+    totals,
+    unavailableMeasures: all.length > 0 ? measures.filter(m => !carried.has(m)) : [],
+  };
+}
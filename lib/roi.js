@@ -0,0 +1,170 @@
+import {
+  aggregateAgentInitiatedCodeChanges,
+  aggregateCodeCompletions,
+  aggregateUserInitiatedCodeChanges,
+  getDateRange,
+  getRecordsByDay,
+  getSortedDays,
+  getUniqueUsers,
+} from './metrics.js';
+
+// ─── ROI & Time Saved ───────────────────────────────────────────────────────
+//
+// Puts a value on Copilot usage with a deliberately simple, fully stated
+// model: each accepted completion, each line added through chat (ask mode
+// and inline chat) and each line added by agent features saves a fixed number
+// of minutes, valued at an hourly engineer cost and set against the seat cost
+// for the period. Completion lines are covered by the per-completion figure,
+// so only the chat share of user-initiated lines counts per line.
+//
+// Every figure is an estimate resting on the assumptions returned with it;
+// the defaults are conservative placeholders meant to be replaced with your
+// own numbers (COPILOT_ROI_* settings, or per request).
+
+const ASSUMPTIONS = {
+  seatCostPerMonth: { label: 'Cost per seat per month', unit: 'currency', default: 19, env: 'COPILOT_ROI_SEAT_COST' },
+  hourlyCost: { label: 'Loaded engineer cost per hour', unit: 'currency', default: 75, env: 'COPILOT_ROI_HOURLY_COST' },
+  minutesPerCompletion: { label: 'Minutes saved per accepted completion', unit: 'minutes', default: 0.25, env: 'COPILOT_ROI_MINUTES_PER_COMPLETION' },
+  minutesPerChatLoc: { label: 'Minutes saved per line added through chat', unit: 'minutes', default: 0.25, env: 'COPILOT_ROI_MINUTES_PER_CHAT_LOC' },
+  minutesPerAgentLoc: { label: 'Minutes saved per line added by agents', unit: 'minutes', default: 0.5, env: 'COPILOT_ROI_MINUTES_PER_AGENT_LOC' },
+  // Unset: the seat assignments, else the users seen in the data
+  seats: { label: 'Seats paid for', unit: 'seats', default: null, env: 'COPILOT_ROI_SEATS' },
+};
+
+export const ROI_ASSUMPTIONS = Object.keys(ASSUMPTIONS);
+
+const round = (n, places = 1) => Math.round(n * 10 ** places) / 10 ** places;
+
+function parseValue(name, raw, origin) {
+  const value = Number(raw);
+  if (raw === '' || raw === null || !Number.isFinite(value) || value < 0 || (name === 'seats' && !Number.isInteger(value))) {
+    throw new Error(`${origin} "${name}" must be ${name === 'seats' ? 'a whole number' : 'a number'} of at least 0, got "${raw}"`);
+  }
+  return value;
+}
+
+// Defaults overridden by the COPILOT_ROI_* environment variables; throws on invalid values
+export function loadRoiAssumptions(env = process.env) {
+  const assumptions = {};
+  for (const [name, spec] of Object.entries(ASSUMPTIONS)) {
+    const raw = env[spec.env];
+    assumptions[name] = raw === undefined || raw === ''
+      ? { value: spec.default, source: 'default' }
+      : { value: parseValue(name, raw.trim(), spec.env), source: 'configured' };
+  }
+  assumptions.currency = { value: env.COPILOT_ROI_CURRENCY || 'USD', source: env.COPILOT_ROI_CURRENCY ? 'configured' : 'default' };
+  return assumptions;
+}
+
+// Apply per-request overrides (e.g. `{ hourlyCost: 90 }` from a query string
+// or tool arguments) to loadRoiAssumptions() output. Throws on anything invalid.
+export function parseRoiAssumptions(params, base) {
+  if (params === undefined || params === null || params === '') return base;
+  if (typeof params !== 'object' || Array.isArray(params)) throw new Error('"assumptions" must be an object keyed by assumption');
+  const assumptions = { ...base };
+  for (const [name, raw] of Object.entries(params)) {
+    if (raw === undefined) continue;
+    if (name === 'currency') {
+      assumptions.currency = { value: String(raw), source: 'request' };
+      continue;
+    }
+    if (!ASSUMPTIONS[name]) throw new Error(`Unknown assumption "${name}"; use ${[...ROI_ASSUMPTIONS, 'currency'].join(', ')}`);
+    assumptions[name] = { value: parseValue(name, raw, 'Assumption'), source: 'request' };
+  }
+  return assumptions;
+}
+
+// Lines added by code completions, which the per-completion figure already covers
+function completionLocAdded(records) {
+  let added = 0;
+  for (const r of records) {
+    for (const f of (r.totals_by_feature || [])) {
+      if (f.feature === 'code_completion') added += f.loc_added_sum || 0;
+    }
+  }
+  return added;
+}
+
+function activityOf(records) {
+  const acceptedCompletions = aggregateCodeCompletions(records).reduce((s, d) => s + d.accepted, 0);
+  return {
+    acceptedCompletions,
+    chatLocAdded: Math.max(0, aggregateUserInitiatedCodeChanges(records).added - completionLocAdded(records)),
+    agentLocAdded: aggregateAgentInitiatedCodeChanges(records).added,
+  };
+}
+
+function hoursOf(activity, a) {
+  const completions = (activity.acceptedCompletions * a.minutesPerCompletion.value) / 60;
+  const chat = (activity.chatLocAdded * a.minutesPerChatLoc.value) / 60;
+  const agent = (activity.agentLocAdded * a.minutesPerAgentLoc.value) / 60;
+  return { completions, chat, agent, total: completions + chat + agent };
+}
+
+// `records`/`userRecords` are a tenant view; `assignedSeats` is the number of
+// seats in its seat snapshots (null when unknown) and `assumptions` comes from
+// loadRoiAssumptions()/parseRoiAssumptions().
+export function estimateRoi(records, userRecords = [], { assumptions = loadRoiAssumptions(), assignedSeats = null } = {}) {
+  const period = getDateRange(records);
+  const days = getSortedDays(records);
+  const a = assumptions;
+  const currency = a.currency.value;
+
+  const logins = new Set(userRecords.filter(r => r.user_login).map(r => r.user_login.toLowerCase()));
+  const activeUsers = logins.size > 0
+    ? { count: logins.size, source: 'distinct users in the per-user reports' }
+    : { count: getUniqueUsers(records).size, source: 'peak daily active users (no per-user data; the distinct count is higher)' };
+  const seats = a.seats.value !== null
+    ? { count: a.seats.value, source: `${a.seats.source} assumption` }
+    : assignedSeats !== null
+      ? { count: assignedSeats, source: 'seat assignments' }
+      : { count: activeUsers.count, source: `${activeUsers.source}, as no seat assignments are loaded` };
+
+  const activity = activityOf(records);
+  const hours = hoursOf(activity, a);
+  const value = hours.total * a.hourlyCost.value;
+  // Seat cost prorated to the calendar days in the period, including days without a report
+  const calendarDays = period.start ? Math.round((Date.parse(period.end) - Date.parse(period.start)) / 86400000) + 1 : 0;
+  const cost = seats.count * a.seatCostPerMonth.value * 12 * (calendarDays / 365);
+
+  const byDay = getRecordsByDay(records);
+  const daily = days.map(day => {
+    const h = hoursOf(activityOf(byDay[day]), a);
+    return { day, hoursSaved: round(h.total), value: round(h.total * a.hourlyCost.value, 2) };
+  });
+
+  return {
+    period: { ...period, days: calendarDays },
+    currency,
+    assumptions: [
+      ...ROI_ASSUMPTIONS.map(name => ({
+        name,
+        label: ASSUMPTIONS[name].label,
+        value: name === 'seats' ? seats.count : a[name].value,
+        unit: ASSUMPTIONS[name].unit === 'currency' ? currency : ASSUMPTIONS[name].unit,
+        source: name === 'seats' ? seats.source : a[name].source,
+      })),
+      { name: 'activeUsers', label: 'Active users', value: activeUsers.count, unit: 'users', source: activeUsers.source },
+    ],
+    activity,
+    hoursSaved: {
+      completions: round(hours.completions),
+      chat: round(hours.chat),
+      agent: round(hours.agent),
+      total: round(hours.total),
+      perActiveUser: activeUsers.count > 0 ? round(hours.total / activeUsers.count) : null,
+    },
+    value: round(value, 2),
+    cost: round(cost, 2),
+    netValue: round(value - cost, 2),
+    roiMultiple: cost > 0 ? round(value / cost, 2) : null,
+    costPerActiveUser: activeUsers.count > 0 ? round(cost / activeUsers.count, 2) : null,
+    // Break-even: the hours that would have to be saved to cover the seat cost
+    breakEvenHours: a.hourlyCost.value > 0 ? round(cost / a.hourlyCost.value) : null,
+    notes: [
+      'Time saved is estimated from activity counts with fixed minutes per unit; it is not measured. Replace the default assumptions with your own figures.',
+      'Lines added by code completions are covered by the per-completion figure and not counted again per line.',
+    ],
+    daily,
+  };
+}
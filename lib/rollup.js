@@ -0,0 +1,47 @@
+// ─── Cross-Tenant Rollup ────────────────────────────────────────────────────
+//
+// Combines the daily records of several tenants into one record per day, so
+// the "all tenants" view can be fed to the same aggregations as a single
+// tenant. Counts are summed, so a user active in two tenants on the same day
+// is counted twice in daily_active_users (and likewise in the weekly and
+// monthly active user counts; engagement.js prefers per-user data there).
+
+// Breakdown entries (totals_by_feature etc.) are matched on their string
+// fields, e.g. { feature } or { language, model }
+function entryKey(entry) {
+  return Object.entries(entry)
+    .filter(([, v]) => typeof v === 'string')
+    .map(([k, v]) => `${k}=${v}`)
+    .join('|');
+}
+
+function mergeBreakdowns(a, b) {
+  const byKey = new Map(a.map(e => [entryKey(e), { ...e }]));
+  for (const e of b) {
+    const key = entryKey(e);
+    byKey.set(key, byKey.has(key) ? mergeRecords(byKey.get(key), e) : { ...e });
+  }
+  return Array.from(byKey.values());
+}
+
+function mergeRecords(a, b) {
+  const out = { ...a };
+  for (const [k, v] of Object.entries(b)) {
+    if (k.endsWith('_id')) continue;
+    if (typeof v === 'number') out[k] = (typeof out[k] === 'number' ? out[k] : 0) + v;
+    else if (Array.isArray(v)) out[k] = mergeBreakdowns(Array.isArray(out[k]) ? out[k] : [], v);
+    else if (v && typeof v === 'object') out[k] = mergeRecords(out[k] || {}, v);
+    else if (!(k in out)) out[k] = v;
+  }
+  return out;
+}
+
+export function rollupByDay(recs, tenant = 'all') {
+  const byDay = new Map();
+  for (const r of recs) {
+    byDay.set(r.day, byDay.has(r.day) ? mergeRecords(byDay.get(r.day), r) : { ...r });
+  }
+  return Array.from(byDay.values())
+    .map(({ enterprise_id, organization_id, organization_login, ...r }) => ({ ...r, tenant }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
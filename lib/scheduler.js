@@ -0,0 +1,132 @@
+// ─── Background Refresh Scheduler ───────────────────────────────────────────
+//
+// Runs a task on a schedule given either as an interval ("30m", "6h", "1d")
+// or as a 5-field cron expression ("0 */6 * * *"). Only one run is ever in
+// flight: scheduled ticks that land on a running task are skipped, and manual
+// calls to run() share the in-flight promise.
+
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const CRON_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 6]];
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+function parseCronField(field, range) {
+  const [min, max] = range;
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr ? parseInt(stepStr, 10) : 1;
+    let lo = min, hi = max;
+    if (range !== '*') {
+      [lo, hi] = range.split('-').map(n => parseInt(n, 10));
+      if (hi === undefined) hi = stepStr ? max : lo;
+    }
+    if ([lo, hi, step].some(Number.isNaN) || lo < min || hi > max || step < 1) {
+      throw new Error(`Invalid cron field "${field}"`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const fields = expr.trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error(`Invalid cron expression "${expr}" (expected 5 fields)`);
+  const [minute, hour, dom, month, dow] = fields.map((f, i) => parseCronField(f, CRON_RANGES[i]));
+  // Like cron, a restricted day-of-month or day-of-week matches if either does
+  const domAny = fields[2] === '*', dowAny = fields[4] === '*';
+  return (d) => {
+    if (!minute.has(d.getMinutes()) || !hour.has(d.getHours()) || !month.has(d.getMonth() + 1)) return false;
+    const domMatch = dom.has(d.getDate()), dowMatch = dow.has(d.getDay());
+    if (domAny || dowAny) return domMatch && dowMatch;
+    return domMatch || dowMatch;
+  };
+}
+
+// Returns a function that, given the current time, yields the next run time
+export function parseSchedule(schedule) {
+  const interval = schedule.trim().match(/^(\d+)\s*([smhd])$/i);
+  if (interval) {
+    const ms = parseInt(interval[1], 10) * INTERVAL_UNITS[interval[2].toLowerCase()];
+    if (ms <= 0) throw new Error(`Invalid refresh interval "${schedule}"`);
+    return (from) => new Date(from.getTime() + ms);
+  }
+  const matches = parseCron(schedule);
+  return (from) => {
+    const d = new Date(from);
+    d.setSeconds(0, 0);
+    d.setMinutes(d.getMinutes() + 1);
+    // Walk forward minute by minute; a year bounds every valid expression
+    for (let i = 0; i < 366 * 24 * 60; i++) {
+      if (matches(d)) return d;
+      d.setMinutes(d.getMinutes() + 1);
+    }
+    throw new Error(`Cron expression "${schedule}" never matches`);
+  };
+}
+
+export function createScheduler(task, schedule, { name = 'refresh' } = {}) {
+  const nextRun = schedule ? parseSchedule(schedule) : null;
+  const state = {
+    schedule: schedule || null,
+    running: false,
+    lastRunAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    nextRunAt: null,
+  };
+  let inFlight = null;
+  let timer = null;
+
+  function run(...args) {
+    if (inFlight) return inFlight;
+    state.running = true;
+    state.lastRunAt = new Date().toISOString();
+    inFlight = (async () => {
+      try {
+        const result = await task(...args);
+        state.lastSuccessAt = new Date().toISOString();
+        state.lastError = null;
+        return result;
+      } catch (err) {
+        state.lastError = { at: new Date().toISOString(), message: err.message };
+        throw err;
+      } finally {
+        state.running = false;
+        inFlight = null;
+      }
+    })();
+    return inFlight;
+  }
+
+  function arm() {
+    const at = nextRun(new Date());
+    state.nextRunAt = at.toISOString();
+    const delay = Math.min(Math.max(at.getTime() - Date.now(), 0), MAX_TIMEOUT);
+    timer = setTimeout(() => {
+      // Long delays are capped by setTimeout; re-arm until the target time
+      if (Date.now() < at.getTime()) return arm();
+      if (inFlight) {
+        console.warn(`Scheduled ${name} skipped: previous run still in progress`);
+      } else {
+        run().catch(err => console.error(`Scheduled ${name} failed:`, err.message));
+      }
+      arm();
+    }, delay);
+    timer.unref();
+  }
+
+  return {
+    run,
+    start() {
+      if (nextRun && !timer) arm();
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+      state.nextRunAt = null;
+    },
+    status() {
+      return { ...state };
+    },
+  };
+}
@@ -0,0 +1,79 @@
+import { WEEKDAY_NAMES, isWeekend, isWorkingDay, weekdayOf } from './calendar.js';
+import { aggregateByDay, getDateRange } from './metrics.js';
+
+// ─── Day-of-Week & Seasonality ──────────────────────────────────────────────
+//
+// Weekends and holidays pull every daily average down. These views separate
+// them out: averages per day of week, and DAU/interactions over working days
+// only, with a rolling average over the last five working days instead of
+// the last seven calendar days. Holidays are left out of the day-of-week
+// averages and listed on their own.
+
+const ROLLING_WORKING_DAYS = 5;
+// Monday first
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// null when a filter leaves the count unavailable on every day (see lib/filters.js)
+function avg(list, key) {
+  if (list.length === 0) return 0;
+  if (list.every(t => t[key] === null)) return null;
+  return Math.round(list.reduce((s, t) => s + (t[key] || 0), 0) / list.length);
+}
+
+function averages(trends) {
+  return {
+    days: trends.length,
+    avgActiveUsers: avg(trends, 'activeUsers'),
+    avgInteractions: avg(trends, 'interactions'),
+    avgCodeGenerated: avg(trends, 'codeGenerated'),
+  };
+}
+
+// Averages per day of week; `activeUsersIndex` is DAU against the average working weekday (100 = typical)
+export function dayOfWeekProfile(records, holidays) {
+  const trends = aggregateByDay(records).filter(t => !holidays.has(t.day));
+  const profile = WEEK_ORDER.map(wd => ({
+    weekday: WEEKDAY_NAMES[wd],
+    ...averages(trends.filter(t => weekdayOf(t.day) === wd)),
+  }));
+  const weekdays = profile.filter((p, i) => i < 5 && p.days > 0);
+  const base = weekdays.reduce((s, p) => s + p.avgActiveUsers, 0) / (weekdays.length || 1);
+  return profile.map(p => ({ ...p, activeUsersIndex: base > 0 && p.days > 0 ? Math.round((p.avgActiveUsers / base) * 100) : null }));
+}
+
+// Daily totals for working days only, with rolling working-day averages
+export function workingDayTrends(records, holidays) {
+  const trends = aggregateByDay(records).filter(t => isWorkingDay(t.day, holidays));
+  return trends.map((t, i) => {
+    const window = trends.slice(Math.max(0, i - ROLLING_WORKING_DAYS + 1), i + 1);
+    return {
+      day: t.day,
+      activeUsers: t.activeUsers,
+      interactions: t.interactions,
+      codeGenerated: t.codeGenerated,
+      rollingActiveUsers: avg(window, 'activeUsers'),
+      rollingInteractions: avg(window, 'interactions'),
+    };
+  });
+}
+
+export function getSeasonality(records, holidays) {
+  const trends = aggregateByDay(records);
+  const working = trends.filter(t => isWorkingDay(t.day, holidays));
+  const weekends = trends.filter(t => isWeekend(t.day) && !holidays.has(t.day));
+  const holidayDays = trends.filter(t => holidays.has(t.day));
+  const workingAvg = averages(working);
+  const weekendAvg = averages(weekends);
+  return {
+    period: getDateRange(records),
+    dayOfWeek: dayOfWeekProfile(records, holidays),
+    workingDays: workingAvg,
+    weekends: weekendAvg,
+    // How much lower weekend DAU runs than working-day DAU
+    weekendDropPct: workingAvg.avgActiveUsers > 0 && weekends.length > 0
+      ? Math.round((1 - weekendAvg.avgActiveUsers / workingAvg.avgActiveUsers) * 1000) / 10
+      : null,
+    holidays: holidayDays.map(t => ({ day: t.day, name: holidays.get(t.day), activeUsers: t.activeUsers, interactions: t.interactions })),
+    workingDayTrends: workingDayTrends(records, holidays),
+  };
+}
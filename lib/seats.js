@@ -0,0 +1,115 @@
+import { readJsonFile, writeJsonFile } from './files.js';
+
+// ─── Seat Utilization ───────────────────────────────────────────────────────
+//
+// Copilot seats come from the billing/seats API, one entry per assigned user
+// with the time of their last Copilot activity. A seat counts as active when
+// that activity, or the user's latest day in the per-user reports, falls
+// within the last `inactiveDays` days; everything else is a candidate for
+// reclaiming. Seats already pending cancellation are listed but not counted
+// as reclaimable.
+//
+// The API only returns the current assignments, so each fetch replaces the
+// tenant's snapshot (kept next to its archive as `<tenant id>-seats.json`).
+
+export const DEFAULT_INACTIVE_DAYS = 30;
+
+const DAY_MS = 86400000;
+
+// Keep only the seat fields the report uses
+export function normalizeSeat(seat) {
+  return {
+    login: seat.assignee?.login || null,
+    team: seat.assigning_team?.slug || seat.assigning_team?.name || null,
+    plan: seat.plan_type || null,
+    assignedAt: seat.created_at || null,
+    pendingCancellationDate: seat.pending_cancellation_date || null,
+    lastActivityAt: seat.last_activity_at || null,
+    lastActivityEditor: seat.last_activity_editor || null,
+  };
+}
+
+// { fetchedAt, seats, error }; fetchedAt is null when seats were never
+// fetched or the snapshot is unreadable
+export function loadSeatSnapshot(file, warn = console.warn) {
+  const { fetchedAt = null, seats = [] } = readJsonFile(file, {}, warn) || {};
+  return { fetchedAt, seats: Array.isArray(seats) ? seats : [], error: null };
+}
+
+export function saveSeatSnapshot(file, snapshot) {
+  writeJsonFile(file, { fetchedAt: snapshot.fetchedAt, seats: snapshot.seats });
+}
+
+// Validate an inactivity threshold from a query string or tool arguments. Throws on anything invalid.
+export function parseInactiveDays(value, fallback = DEFAULT_INACTIVE_DAYS) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > 365) throw new Error(`"inactiveDays" must be a whole number from 1 to 365, got "${value}"`);
+  return days;
+}
+
+// The latest report day per tenant and login in the per-user records
+function lastReportedDays(userRecords) {
+  const last = new Map();
+  for (const r of userRecords) {
+    if (!r.user_login) continue;
+    const key = `${r.tenant}/${r.user_login.toLowerCase()}`;
+    if (!last.has(key) || r.day > last.get(key)) last.set(key, r.day);
+  }
+  return last;
+}
+
+// `snapshots` are the per-tenant entries of store.seats(); `userRecords` the
+// per-user records of the same view. `now` is injectable for reproducible output.
+export function getSeatUtilization(snapshots, userRecords = [], { inactiveDays = DEFAULT_INACTIVE_DAYS, now = new Date() } = {}) {
+  const lastDays = lastReportedDays(userRecords);
+  const cutoff = new Date(now.getTime() - inactiveDays * DAY_MS);
+
+  const seats = snapshots.flatMap(s => s.seats.map(seat => {
+    const reported = seat.login ? lastDays.get(`${s.tenant}/${seat.login.toLowerCase()}`) : null;
+    const fromSeat = seat.lastActivityAt ? new Date(seat.lastActivityAt) : null;
+    // Report days are whole UTC days; count activity on one as the end of that day
+    const fromReports = reported ? new Date(`${reported}T23:59:59Z`) : null;
+    const last = fromSeat && fromReports ? (fromSeat > fromReports ? fromSeat : fromReports) : fromSeat || fromReports;
+    return {
+      tenant: s.tenant,
+      login: seat.login,
+      team: seat.team,
+      plan: seat.plan,
+      assignedAt: seat.assignedAt,
+      lastActivityAt: last ? last.toISOString() : null,
+      lastActivitySource: !last ? null : last === fromSeat ? 'seats' : 'user reports',
+      lastActivityEditor: seat.lastActivityEditor,
+      daysSinceActivity: last ? Math.max(0, Math.floor((now.getTime() - last.getTime()) / DAY_MS)) : null,
+      pendingCancellationDate: seat.pendingCancellationDate,
+      active: !!last && last >= cutoff,
+    };
+  })).sort((a, b) => (a.lastActivityAt || '').localeCompare(b.lastActivityAt || '') || (a.login || '').localeCompare(b.login || ''));
+
+  const inactive = seats.filter(s => !s.active);
+  const reclaimable = inactive.filter(s => !s.pendingCancellationDate);
+  const count = (list, key) => Object.entries(list.reduce((acc, s) => {
+    const k = s[key] || 'unknown';
+    acc[k] = (acc[k] || 0) + 1;
+    return acc;
+  }, {})).map(([name, seatCount]) => ({ [key]: name, seats: seatCount })).sort((a, b) => b.seats - a.seats);
+
+  return {
+    asOf: now.toISOString(),
+    inactiveDays,
+    snapshots: snapshots.map(s => ({ tenant: s.tenant, label: s.label, fetchedAt: s.fetchedAt, seats: s.seats.length, error: s.error })),
+    summary: {
+      assigned: seats.length,
+      active: seats.length - inactive.length,
+      inactive: inactive.length,
+      neverUsed: seats.filter(s => !s.lastActivityAt).length,
+      pendingCancellation: seats.filter(s => s.pendingCancellationDate).length,
+      reclaimable: reclaimable.length,
+      utilizationPct: seats.length > 0 ? Math.round(((seats.length - inactive.length) / seats.length) * 1000) / 10 : null,
+    },
+    byPlan: count(seats, 'plan'),
+    // Oldest activity first, so the best reclaim candidates lead
+    inactiveSeats: inactive,
+    seats,
+  };
+}
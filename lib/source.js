@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+
+// ─── Metrics Sources (Tenants) ──────────────────────────────────────────────
+//
+// Where the daily usage reports come from: an enterprise (enterprise-1-day
+// reports) or a single organization (organization-1-day reports) for teams
+// that only have org-owner access. Both report formats share the same record
+// schema, so everything downstream of fetching treats them alike. Each source
+// also has a users-1-day report with one record per active user, and the
+// billing/seats list of Copilot seat assignments.
+//
+// One server can load several sources ("tenants"), listed in a JSON file:
+//
+//   [
+//     { "id": "prod", "label": "Production", "type": "enterprise", "slug": "acme" },
+//     { "id": "emu", "type": "enterprise", "slug": "acme-emu", "tokenEnv": "GH_TOKEN_EMU" },
+//     { "id": "acq", "type": "organization", "slug": "acquired-org" },
+//     { "id": "eu", "type": "enterprise", "slug": "acme", "apiBase": "https://api.acme-eu.ghe.com" }
+//   ]
+//
+// Without that file, the single source is configured through COPILOT_SOURCE,
+// COPILOT_ENTERPRISE and COPILOT_ORG.
+//
+// Each source talks to `apiBase` (COPILOT_API_BASE, default api.github.com):
+// https://api.<subdomain>.ghe.com for GHE.com data residency, or
+// https://<host>/api/v3 for GitHub Enterprise Server. `caFile` (COPILOT_CA_FILE)
+// adds a PEM CA bundle and `proxy` (COPILOT_PROXY, else HTTPS_PROXY) routes
+// requests through a corporate proxy.
+//
+// Instead of a token, a source can authenticate as a GitHub App: `appId`,
+// `installationId` and `privateKeyFile` (GITHUB_APP_ID,
+// GITHUB_APP_INSTALLATION_ID, GITHUB_APP_PRIVATE_KEY_FILE or the PEM itself
+// in GITHUB_APP_PRIVATE_KEY).
+//
+// Offline sources never call the API: they are read from exported report
+// files in `importDir` (COPILOT_IMPORT_DIR, or a subdirectory per tenant id)
+// and from uploads. COPILOT_OFFLINE=true makes every source offline.
+
+function resolveApp({ appId, installationId, privateKeyFile }, env) {
+  appId ||= env.GITHUB_APP_ID;
+  installationId ||= env.GITHUB_APP_INSTALLATION_ID;
+  if (!appId) return null;
+  if (!installationId) throw new Error(`GitHub App ${appId} needs an installation id (installationId or GITHUB_APP_INSTALLATION_ID).`);
+  const keyFile = privateKeyFile || env.GITHUB_APP_PRIVATE_KEY_FILE;
+  // Keys pasted into .env files usually have their newlines escaped
+  const privateKey = keyFile ? fs.readFileSync(keyFile, 'utf-8') : env.GITHUB_APP_PRIVATE_KEY?.replace(/\\n/g, '\n');
+  if (!privateKey) throw new Error(`GitHub App ${appId} needs a private key (privateKeyFile, GITHUB_APP_PRIVATE_KEY_FILE or GITHUB_APP_PRIVATE_KEY).`);
+  return { appId, installationId, privateKey };
+}
+
+// Tenant ids name the archive files, so they must be safe in a file name
+const TENANT_ID = /^[\w.-]+$/;
+
+function makeSource({
+  id = null, label = null, type = 'enterprise', slug, tokenEnv = null, importDir = null,
+  apiBase = null, caFile = null, proxy = null, appId = null, installationId = null, privateKeyFile = null,
+}, env) {
+  type = type.toLowerCase();
+  if (type === 'org') type = 'organization';
+  if (type !== 'enterprise' && type !== 'organization') {
+    throw new Error(`Unknown source type "${type}" (expected "enterprise" or "organization").`);
+  }
+  if (!slug) throw new Error(`Source ${id || ''} is missing its ${type === 'enterprise' ? 'enterprise slug' : 'organization login'}.`);
+  const base = type === 'enterprise' ? `/enterprises/${slug}` : `/orgs/${slug}`;
+  const report = type === 'enterprise' ? 'enterprise-1-day' : 'organization-1-day';
+  id = id || slug;
+  if (!TENANT_ID.test(id) || /^\.+$/.test(id)) {
+    throw new Error(`Tenant id "${id}" may only contain letters, digits, ".", "_" and "-".`);
+  }
+  return {
+    id,
+    type,
+    slug,
+    label: label || `${type} ${slug}`,
+    token: (tokenEnv ? env[tokenEnv] : null) || env.GH_TOKEN || env.GITHUB_TOKEN,
+    app: resolveApp({ appId, installationId, privateKeyFile }, env),
+    apiBase: (apiBase || env.COPILOT_API_BASE || 'https://api.github.com').replace(/\/+$/, ''),
+    caFile: caFile || env.COPILOT_CA_FILE || null,
+    proxy: proxy || env.COPILOT_PROXY || null,
+    importDir: importDir || null,
+    offline: !!importDir || env.COPILOT_OFFLINE === 'true',
+    reportPath: (day) => `${base}/copilot/metrics/reports/${report}?day=${day}`,
+    userReportPath: (day) => `${base}/copilot/metrics/reports/users-1-day?day=${day}`,
+    seatsPath: `${base}/copilot/billing/seats?per_page=100`,
+  };
+}
+
+export function resolveSource(env = process.env) {
+  const type = (env.COPILOT_SOURCE || 'enterprise').toLowerCase();
+  if (type === 'organization' || type === 'org') {
+    if (!env.COPILOT_ORG) throw new Error('COPILOT_SOURCE=organization requires COPILOT_ORG to be set.');
+    return makeSource({ type, slug: env.COPILOT_ORG, importDir: env.COPILOT_IMPORT_DIR }, env);
+  }
+  if (type !== 'enterprise') {
+    throw new Error(`Unknown COPILOT_SOURCE "${env.COPILOT_SOURCE}" (expected "enterprise" or "organization").`);
+  }
+  return makeSource({ type, slug: env.COPILOT_ENTERPRISE || 'github', importDir: env.COPILOT_IMPORT_DIR }, env);
+}
+
+export function loadTenants(file, env = process.env) {
+  if (!file || !fs.existsSync(file)) return [resolveSource(env)];
+  const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const list = Array.isArray(config) ? config : config.tenants;
+  if (!Array.isArray(list) || list.length === 0) throw new Error(`${file} must list at least one tenant.`);
+  const tenants = list.map(t => makeSource({
+    ...t,
+    importDir: t.importDir || (env.COPILOT_IMPORT_DIR && path.join(env.COPILOT_IMPORT_DIR, t.id || t.slug)),
+  }, env));
+  const ids = new Set();
+  for (const t of tenants) {
+    if (t.id === 'all') throw new Error('Tenant id "all" is reserved for the combined view.');
+    if (ids.has(t.id)) throw new Error(`Duplicate tenant id "${t.id}" in ${file}.`);
+    ids.add(t.id);
+  }
+  return tenants;
+}
+
+// Stamp each record with its tenant; org reports don't name their org either
+export function tagRecord(source, rec) {
+  rec.tenant = source.id;
+  if (source.type === 'organization' && !rec.organization_login) rec.organization_login = source.slug;
+  return rec;
+}
@@ -0,0 +1,340 @@
+import fs from 'fs';
+import path from 'path';
+import { loadArchive, mergeIntoArchive, recordKey, renameLegacyArchives, selectDaysToFetch, userRecordKey } from './archive.js';
+import { tagRecord } from './source.js';
+import { rollupByDay } from './rollup.js';
+import { importPath } from './importer.js';
+import { createApiClient, fetchReportRecords } from './github.js';
+import { assessQuality, loadIngestLog, noteFetch, noteImport, saveIngestLog } from './quality.js';
+import { shiftDay } from './calendar.js';
+import { loadSeatSnapshot, normalizeSeat, saveSeatSnapshot } from './seats.js';
+
+// ─── Metrics Store ──────────────────────────────────────────────────────────
+//
+// Loads every tenant's records (fetched from the API or imported from report
+// files), keeps them in the per-tenant NDJSON archives, and serves one view
+// per tenant plus the combined "all" rollup. The web server and the MCP
+// server both load through here, so they always see the same data.
+
+export const ALL_TENANTS = 'all';
+
+// The 28 days the API serves, most recent first
+export function apiWindowDays() {
+  const today = new Date().toISOString().slice(0, 10);
+  return Array.from({ length: 28 }, (_, i) => shiftDay(today, -(i + 1)));
+}
+
+// `log` gets progress messages and `warn` per-day failures; the MCP server
+// silences both, since its stdout carries the protocol
+export function createMetricsStore({
+  tenants,
+  archiveDir,
+  refetchRecentDays = 3,
+  userMetrics = true,
+  userHistoryDays = 90,
+  seats = true,
+  log = console.log,
+  warn = console.warn,
+}) {
+  let views = {};
+
+  // Refreshes and imports both rebuild `views` from the archives, so they take
+  // turns: each waits for the one before it to settle
+  let lock = Promise.resolve();
+
+  function exclusive(fn) {
+    const run = lock.then(() => fn());
+    lock = run.catch(() => {});
+    return run;
+  }
+
+  // Named after the tenant id: unlike the slug, it is unique across hosts
+  function archiveFile(source, suffix = '') {
+    return path.join(archiveDir, `${source.id}${suffix}.ndjson`);
+  }
+
+  renameLegacyArchives(archiveDir, tenants, { log, warn });
+
+  // One client per tenant, so rate-limit state carries over between refreshes
+  const apiClients = new Map();
+
+  function apiClientFor(source) {
+    if (!apiClients.has(source.id)) {
+      apiClients.set(source.id, createApiClient({ baseUrl: source.apiBase, token: source.token, app: source.app, proxy: source.proxy, caFile: source.caFile }));
+    }
+    return apiClients.get(source.id);
+  }
+
+  // Resolves to null when GitHub has no report for the day
+  async function fetchReport(source, reportPath) {
+    const result = await fetchReportRecords(apiClientFor(source), reportPath);
+    return result && { ...result, records: result.records.map(rec => tagRecord(source, rec)) };
+  }
+
+  // Days that fail are reported back rather than looking like zero usage; an
+  // auth failure stops the run, since every other day would fail the same way.
+  // `ingest` holds the outcome for every day attempted, for the ingestion log.
+  async function fetchDays(days, fetchForDay) {
+    let allRecords = [];
+    const failures = [];
+    const ingest = {};
+    for (let i = 0; i < days.length; i += 7) {
+      const batch = days.slice(i, i + 7);
+      log(`Fetching days: ${batch[0]} to ${batch[batch.length - 1]}...`);
+      const results = await Promise.allSettled(batch.map(day => fetchForDay(day)));
+      results.forEach((result, j) => {
+        if (result.status === 'rejected') {
+          const err = result.reason;
+          failures.push({ day: batch[j], kind: err.kind || 'error', status: err.status ?? null, message: err.message });
+          ingest[batch[j]] = { status: 'failed', records: 0, parseErrors: 0, error: err.message };
+        } else if (result.value === null) {
+          ingest[batch[j]] = { status: 'not_found', records: 0, parseErrors: 0 };
+        } else {
+          allRecords = allRecords.concat(result.value.records);
+          ingest[batch[j]] = { status: 'ok', records: result.value.records.length, parseErrors: result.value.parseErrors };
+        }
+      });
+      if (failures.some(f => f.kind === 'auth')) break;
+    }
+    return { records: allRecords, failures, ingest };
+  }
+
+  // Per-tenant log of what every fetch and import produced; see lib/quality.js
+  const ingestLogs = new Map();
+
+  function ingestLogFile(source) {
+    return path.join(archiveDir, `${source.id}-ingest.json`);
+  }
+
+  function ingestLogFor(source) {
+    if (!ingestLogs.has(source.id)) ingestLogs.set(source.id, loadIngestLog(ingestLogFile(source)));
+    return ingestLogs.get(source.id);
+  }
+
+  function logFetched(source, kind, ingest) {
+    const ingestLog = ingestLogFor(source);
+    for (const [day, entry] of Object.entries(ingest)) noteFetch(ingestLog, kind, day, entry);
+    saveIngestLog(ingestLogFile(source), ingestLog);
+  }
+
+  function logImported(source, imported) {
+    const ingestLog = ingestLogFor(source);
+    noteImport(ingestLog, { files: imported.files, records: imported.records.length, userRecords: imported.userRecords.length, parseErrors: imported.parseErrors });
+    saveIngestLog(ingestLogFile(source), ingestLog);
+  }
+
+  // Latest seat assignments per tenant; see lib/seats.js
+  const seatSnapshots = new Map();
+
+  function seatsFile(source) {
+    return path.join(archiveDir, `${source.id}-seats.json`);
+  }
+
+  function seatSnapshotFor(source) {
+    if (!seatSnapshots.has(source.id)) seatSnapshots.set(source.id, loadSeatSnapshot(seatsFile(source), warn));
+    return seatSnapshots.get(source.id);
+  }
+
+  // A failed fetch keeps the previous snapshot and records the error rather than failing the refresh
+  async function fetchSeats(source) {
+    try {
+      const list = await apiClientFor(source).paginate(source.seatsPath, body => body.seats || []);
+      const snapshot = { fetchedAt: new Date().toISOString(), seats: list.map(normalizeSeat), error: null };
+      saveSeatSnapshot(seatsFile(source), snapshot);
+      seatSnapshots.set(source.id, snapshot);
+      log(`Fetched ${list.length} Copilot seat(s) for ${source.label}`);
+    } catch (err) {
+      warn(`Could not fetch Copilot seats for ${source.label}: ${err.message}`);
+      seatSnapshots.set(source.id, { ...seatSnapshotFor(source), error: err.message });
+    }
+  }
+
+  function authFailureMessage(source, auth, what = '') {
+    return `GitHub rejected the ${source.app ? 'GitHub App credentials' : 'token'} for ${source.label}${what} (${auth.status}): ${auth.message}. ` +
+      (source.app
+        ? 'Check the app id, installation id and private key, and that the app has read access to Copilot metrics.'
+        : 'It needs manage_billing:copilot, plus read:enterprise (enterprise source) or read:org (organization source) scope.');
+  }
+
+  // A rejected token fails the refresh outright instead of looking like zero
+  // usage. Failures of the per-user report (`report` 'users') are only
+  // recorded: the aggregate data is still good, and the per-user views keep
+  // what was archived before.
+  function checkFailures(source, failures, report = null) {
+    const auth = failures.find(f => f.kind === 'auth');
+    if (auth && !report) throw new Error(authFailureMessage(source, auth));
+    if (auth) warn(authFailureMessage(source, auth, ` reading the ${report}-1-day reports`));
+    for (const f of failures.filter(f => f.kind !== 'auth')) {
+      warn(`Could not fetch ${f.day}${report ? ` (${report})` : ''} for ${source.label}: ${f.message}`);
+    }
+    return failures.map(f => ({ tenant: source.id, ...f, ...(report ? { report } : {}) }));
+  }
+
+  function userArchiveOpts(source) {
+    // Imported datasets may be replayed long after the fact, so offline tenants keep every day
+    if (source.offline) return { keyOf: userRecordKey };
+    return { keyOf: userRecordKey, since: shiftDay(new Date().toISOString().slice(0, 10), -userHistoryDays) };
+  }
+
+  // Merge imported report records into a tenant's archives, as if they had been fetched
+  function storeImported(source, imported) {
+    const seen = new Map();
+    for (const rec of imported.records) seen.set(recordKey(tagRecord(source, rec)), rec);
+    const tenantRecords = mergeIntoArchive(archiveFile(source), Array.from(seen.values()));
+    const tenantUserRecords = userMetrics
+      ? mergeIntoArchive(archiveFile(source, '-users'), imported.userRecords.map(rec => tagRecord(source, rec)), userArchiveOpts(source))
+      : [];
+    return { records: tenantRecords, userRecords: tenantUserRecords };
+  }
+
+  // Offline tenants are read from their import directory plus whatever was uploaded before
+  function loadOfflineTenant(source) {
+    let imported = { files: 0, records: [], userRecords: [], parseErrors: 0 };
+    if (source.importDir && fs.existsSync(source.importDir)) {
+      imported = importPath(source.importDir);
+      logImported(source, imported);
+    } else if (source.importDir) {
+      warn(`Import directory ${source.importDir} for ${source.label} does not exist`);
+    }
+    log(`Imported ${imported.records.length} records and ${imported.userRecords.length} per-user records from ${imported.files} file(s) for ${source.label}` +
+      (imported.parseErrors ? ` (${imported.parseErrors} unparseable line(s) skipped)` : ''));
+    return { ...storeImported(source, imported), fetchedDays: 0, failures: [] };
+  }
+
+  async function loadTenantData(source, windowDays, full) {
+    if (source.offline) return loadOfflineTenant(source);
+    const file = archiveFile(source);
+    // Only fetch days missing from the archive plus the most recent ones, unless a full refresh is requested
+    const days = full ? windowDays : selectDaysToFetch(windowDays, loadArchive(file), refetchRecentDays);
+    log(`Fetching metrics for ${source.label}: ${days.length} of ${windowDays.length} days`);
+    const fetched = await fetchDays(days, day => fetchReport(source, source.reportPath(day)));
+    logFetched(source, 'reports', fetched.ingest);
+    const failures = checkFailures(source, fetched.failures);
+
+    // Deduplicate by enterprise_id + day (or just day for single enterprise)
+    const seen = new Map();
+    for (const rec of fetched.records) {
+      seen.set(recordKey(rec), rec);
+    }
+    // Merge into the local archive so history survives past the 28-day API window
+    const tenantRecords = mergeIntoArchive(file, Array.from(seen.values()));
+    log(`Fetched ${seen.size} records; ${tenantRecords.length} days in archive (${file})`);
+
+    let tenantUserRecords = [];
+    if (userMetrics) {
+      const userFile = archiveFile(source, '-users');
+      const userOpts = userArchiveOpts(source);
+      const userDays = full ? windowDays : selectDaysToFetch(windowDays, loadArchive(userFile, userOpts), refetchRecentDays);
+      log(`Fetching per-user metrics for ${source.label}: ${userDays.length} days`);
+      const fetchedUsers = await fetchDays(userDays, day => fetchReport(source, source.userReportPath(day)));
+      logFetched(source, 'users', fetchedUsers.ingest);
+      failures.push(...checkFailures(source, fetchedUsers.failures, 'users'));
+      tenantUserRecords = mergeIntoArchive(userFile, fetchedUsers.records, userOpts);
+      log(`${tenantUserRecords.length} per-user records in archive (${userFile})`);
+    }
+    if (seats) await fetchSeats(source);
+    return { records: tenantRecords, userRecords: tenantUserRecords, fetchedDays: days.length, failures };
+  }
+
+  // Install freshly loaded tenant data; the "all tenants" view rolls every
+  // tenant's records up into one record per day
+  function setViews(loaded) {
+    loaded[ALL_TENANTS] = tenants.length === 1 ? loaded[tenants[0].id] : {
+      records: rollupByDay(tenants.flatMap(t => loaded[t.id].records)),
+      userRecords: tenants.flatMap(t => loaded[t.id].userRecords),
+    };
+    views = loaded;
+  }
+
+  // Tenants that can neither call the API nor fall back to imported files
+  function missingCredentials() {
+    return tenants.filter(t => !t.offline && !t.token && !t.app);
+  }
+
+  function loadAll(options) {
+    return exclusive(() => loadAllNow(options));
+  }
+
+  async function loadAllNow({ full = false } = {}) {
+    const missing = missingCredentials();
+    if (missing.length > 0) {
+      throw new Error(`No GitHub token for ${missing.map(t => t.label).join(', ')}. Set GH_TOKEN or GITHUB_TOKEN env var with manage_billing:copilot, plus read:enterprise (enterprise source) or read:org (organization source) scope, configure a GitHub App (GITHUB_APP_ID, GITHUB_APP_INSTALLATION_ID, GITHUB_APP_PRIVATE_KEY_FILE), or set COPILOT_IMPORT_DIR / COPILOT_OFFLINE=true to use exported report files.`);
+    }
+    const windowDays = apiWindowDays();
+    log(`${full ? 'Full' : 'Incremental'} refresh of ${tenants.length} tenant(s)`);
+
+    const loaded = {};
+    let fetchedDays = 0;
+    const failures = [];
+    for (const source of tenants) {
+      loaded[source.id] = await loadTenantData(source, windowDays, full);
+      fetchedDays += loaded[source.id].fetchedDays;
+      failures.push(...loaded[source.id].failures);
+    }
+    setViews(loaded);
+    return { fetchedDays, failures };
+  }
+
+  // Merge the output of importBuffer()/importPath() into one tenant and rebuild
+  // the views, once any refresh in progress has finished
+  function importInto(source, imported) {
+    return exclusive(() => importNow(source, imported));
+  }
+
+  function importNow(source, imported) {
+    if (!views[ALL_TENANTS]) throw new Error('No metrics loaded yet; import again once the first refresh has finished.');
+    logImported(source, imported);
+    const { [ALL_TENANTS]: _, ...loaded } = views;
+    loaded[source.id] = { ...storeImported(source, imported), fetchedDays: 0 };
+    setViews(loaded);
+    return {
+      files: imported.files,
+      records: imported.records.length,
+      userRecords: imported.userRecords.length,
+      parseErrors: imported.parseErrors,
+      archivedDays: loaded[source.id].records.length,
+    };
+  }
+
+  // { records, userRecords } for a tenant id or ALL_TENANTS; undefined if unknown or not loaded yet
+  function view(tenant = ALL_TENANTS) {
+    return views[tenant];
+  }
+
+  function viewIds() {
+    return Object.keys(views);
+  }
+
+  // Ingestion health for one tenant, or for each tenant in the combined view
+  function quality(tenant = ALL_TENANTS) {
+    const sources = tenant === ALL_TENANTS ? tenants : tenants.filter(t => t.id === tenant);
+    if (sources.length === 0) throw new Error(`Unknown tenant "${tenant}"`);
+    return {
+      generatedAt: new Date().toISOString(),
+      tenants: sources.map(source => ({
+        tenant: source.id,
+        label: source.label,
+        offline: source.offline,
+        ...assessQuality({
+          records: views[source.id]?.records || [],
+          userRecords: views[source.id]?.userRecords || [],
+          log: ingestLogFor(source),
+          windowDays: source.offline ? [] : apiWindowDays(),
+        }),
+      })),
+    };
+  }
+
+  // Seat snapshots for one tenant, or for each tenant in the combined view
+  function seatsOf(tenant = ALL_TENANTS) {
+    const sources = tenant === ALL_TENANTS ? tenants : tenants.filter(t => t.id === tenant);
+    if (sources.length === 0) throw new Error(`Unknown tenant "${tenant}"`);
+    return sources.map(source => ({ tenant: source.id, label: source.label, ...seatSnapshotFor(source) }));
+  }
+
+  function rateLimit(source) {
+    return apiClients.get(source.id)?.rateLimit || null;
+  }
+
+  return { tenants, loadAll, importInto, view, viewIds, quality, seats: seatsOf, rateLimit, missingCredentials };
+}
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import { readJsonFile, writeJsonFile } from './files.js';
+import { parseSchedule } from './scheduler.js';
+
+// ─── Email Subscriptions ────────────────────────────────────────────────────
+//
+// Recipients subscribed to a report by email, listed in a JSON file
+// (COPILOT_SUBSCRIPTIONS_FILE, default subscriptions.json), which the UI
+// writes to as well:
+//
+//   [
+//     { "id": "vp-weekly", "report": "executive-summary", "recipients": ["vp@example.com"], "frequency": "weekly" },
+//     { "report": "custom-1760000000000", "recipients": ["leads@example.com"], "frequency": "monthly", "tenant": "prod" }
+//   ]
+//
+// `report` is a standard report id or the id of a saved custom report.
+// Emails go out at COPILOT_EMAIL_HOUR (server time): daily, on Mondays
+// (weekly) or on the 1st of the month (monthly). When each subscription was
+// last sent is kept in a state file, so a restart neither repeats nor skips
+// a delivery; one missed while the server was down goes out when it is back.
+// A failed delivery is retried after 15 minutes, then after twice as long
+// each time, up to once a day, so a broken address or SMTP setup doesn't
+// regenerate and resend the report every tick.
+//
+// Saved custom reports (an agent answer kept with the prompt that produced
+// it) are stored here too, so subscriptions can name them.
+
+export const EMAIL_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const RETRY_BASE_MS = 15 * 60000;
+const RETRY_MAX_MS = 24 * 3600000;
+
+const EMAIL = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+const ID = /^[\w.-]+$/;
+
+// Validate one subscription from the file or a request; `reportIds` are the
+// reports that can be subscribed to. Throws on anything invalid.
+export function parseSubscription(input, reportIds) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('A subscription must be an object');
+  const { report, frequency, tenant } = input;
+  if (!reportIds.includes(report)) throw new Error(`Subscription "report" must be a standard or saved custom report id, got "${report}"`);
+  if (!EMAIL_FREQUENCIES.includes(frequency)) throw new Error(`Subscription "frequency" must be one of ${EMAIL_FREQUENCIES.join(', ')}, got "${frequency}"`);
+  const recipients = (Array.isArray(input.recipients) ? input.recipients : String(input.recipients || '').split(','))
+    .map(r => String(r).trim())
+    .filter(Boolean);
+  if (recipients.length === 0) throw new Error('Subscription "recipients" must list at least one email address');
+  const invalid = recipients.filter(r => !EMAIL.test(r));
+  if (invalid.length > 0) throw new Error(`Invalid email address(es): ${invalid.join(', ')}`);
+  if (tenant !== undefined && tenant !== null && typeof tenant !== 'string') throw new Error('Subscription "tenant" must be a tenant id');
+  const id = input.id ? String(input.id) : `${report}-${frequency}-${recipients[0].split('@')[0]}`.replace(/[^\w.-]/g, '-');
+  if (!ID.test(id)) throw new Error(`Subscription id "${id}" may only contain letters, digits, ".", "_" and "-"`);
+  return { id, report, recipients, frequency, tenant: tenant || null };
+}
+
+// Subscriptions from the file; none when it doesn't exist. Throws on invalid entries.
+export function loadSubscriptions(file, reportIds) {
+  if (!file || !fs.existsSync(file)) return [];
+  const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const list = Array.isArray(config) ? config : config.subscriptions;
+  if (!Array.isArray(list)) throw new Error(`${file} must be a list of subscriptions or { "subscriptions": [...] }.`);
+  const subscriptions = [];
+  for (const entry of list) {
+    let subscription;
+    try {
+      subscription = parseSubscription(entry, reportIds);
+    } catch (err) {
+      throw new Error(`Invalid subscription ${JSON.stringify(entry)} in ${file}: ${err.message}`);
+    }
+    if (subscriptions.some(s => s.id === subscription.id)) throw new Error(`Duplicate subscription id "${subscription.id}" in ${file}.`);
+    subscriptions.push(subscription);
+  }
+  return subscriptions;
+}
+
+export function saveSubscriptions(file, subscriptions) {
+  const list = subscriptions.map(({ id, report, recipients, frequency, tenant }) => ({ id, report, recipients, frequency, ...(tenant ? { tenant } : {}) }));
+  writeJsonFile(file, list);
+}
+
+// Delivery times as cron expressions for parseSchedule()
+function scheduleOf(frequency, hour) {
+  return { daily: `0 ${hour} * * *`, weekly: `0 ${hour} * * 1`, monthly: `0 ${hour} 1 * *` }[frequency];
+}
+
+// Validate COPILOT_EMAIL_HOUR
+export function parseEmailHour(value, fallback = 7) {
+  if (value === undefined || value === '') return fallback;
+  const hour = Number(value);
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) throw new Error(`Email hour must be a whole number from 0 to 23, got "${value}"`);
+  return hour;
+}
+
+// ─── Delivery State ─────────────────────────────────────────────────────────
+
+// { [subscription id]: { since, lastSentAt, lastError, failures, retryAt } };
+// an unreadable state file is reported through `warn` and starts afresh
+export function loadEmailState(file, warn = console.warn) {
+  const state = readJsonFile(file, {}, warn);
+  return state && typeof state === 'object' && !Array.isArray(state) ? state : {};
+}
+
+export function saveEmailState(file, state) {
+  writeJsonFile(file, state);
+}
+
+// The next delivery after the last one, or after the subscription was first
+// seen; records first sightings in `state`
+export function nextDelivery(subscription, state, hour, now = new Date()) {
+  const entry = (state[subscription.id] ||= { since: now.toISOString(), lastSentAt: null, lastError: null });
+  return parseSchedule(scheduleOf(subscription.frequency, hour))(new Date(entry.lastSentAt || entry.since));
+}
+
+// Subscriptions whose next delivery has come and that aren't backing off after a failure
+export function dueSubscriptions(subscriptions, state, hour, now = new Date()) {
+  return subscriptions.filter(s => nextDelivery(s, state, hour, now) <= now && !(state[s.id].retryAt && new Date(state[s.id].retryAt) > now));
+}
+
+// Record a delivery attempt (`error` is null on success) in the subscription's state entry
+export function recordDelivery(entry, error, now = new Date()) {
+  if (!error) {
+    Object.assign(entry, { lastSentAt: now.toISOString(), lastError: null, failures: 0, retryAt: null });
+    return;
+  }
+  const failures = (entry.failures || 0) + 1;
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (failures - 1), RETRY_MAX_MS);
+  Object.assign(entry, {
+    lastError: { at: now.toISOString(), message: error.message },
+    failures,
+    retryAt: new Date(now.getTime() + delay).toISOString(),
+  });
+}
+
+// ─── Saved Custom Reports ───────────────────────────────────────────────────
+
+export function parseCustomReport(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('A report must be an object');
+  const { title, prompt, markdown, chartData, chartsData, tenant } = input;
+  if (!title || typeof title !== 'string') throw new Error('Report "title" is required');
+  if (typeof markdown !== 'string') throw new Error('Report "markdown" must be a string');
+  if (prompt !== undefined && prompt !== null && typeof prompt !== 'string') throw new Error('Report "prompt" must be a string');
+  const id = input.id ? String(input.id) : `custom-${Date.now()}`;
+  if (!ID.test(id)) throw new Error(`Report id "${id}" may only contain letters, digits, ".", "_" and "-"`);
+  return {
+    id,
+    title: title.slice(0, 120),
+    prompt: prompt || null,
+    tenant: tenant || null,
+    markdown,
+    chartData: chartData || null,
+    chartsData: Array.isArray(chartsData) ? chartsData : null,
+    savedAt: input.savedAt || new Date().toISOString(),
+  };
+}
+
+// Saved reports; an unreadable file or entry is reported through `warn` and left out
+export function loadCustomReports(file, warn = console.warn) {
+  const list = readJsonFile(file, [], warn);
+  if (!Array.isArray(list)) {
+    warn(`Ignoring ${file}: expected a list of saved reports`);
+    return [];
+  }
+  return list.flatMap((entry) => {
+    try {
+      return [parseCustomReport(entry)];
+    } catch (err) {
+      warn(`Ignoring saved report ${JSON.stringify(entry?.id ?? null)} in ${file}: ${err.message}`);
+      return [];
+    }
+  });
+}
+
+export function saveCustomReports(file, reports) {
+  writeJsonFile(file, reports);
+}
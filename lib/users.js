@@ -0,0 +1,85 @@
+import { addCount } from './metrics.js';
+
+// ─── Per-User Aggregations ──────────────────────────────────────────────────
+//
+// Built from the users-1-day reports, which hold one record per active user
+// per day with the same totals_by_* breakdowns as the aggregate reports.
+
+function sumBreakdown(recs, listField, keyField) {
+  const totals = {};
+  for (const r of recs) {
+    for (const x of r[listField] || []) {
+      const key = x[keyField];
+      if (!totals[key]) totals[key] = { interactions: 0, codeGenerated: 0, codeAccepted: 0, locAdded: 0 };
+      totals[key].interactions += x.user_initiated_interaction_count || 0;
+      totals[key].codeGenerated += x.code_generation_activity_count || 0;
+      totals[key].codeAccepted += x.code_acceptance_activity_count || 0;
+      totals[key].locAdded += x.loc_added_sum || 0;
+    }
+  }
+  return Object.entries(totals)
+    .map(([name, d]) => ({ [keyField]: name, ...d }))
+    .sort((a, b) => (b.interactions + b.codeGenerated) - (a.interactions + a.codeGenerated));
+}
+
+export function aggregateTopUsers(userRecords, limit = 50) {
+  const users = {};
+  for (const r of userRecords) {
+    if (!r.user_login) continue;
+    if (!users[r.user_login]) {
+      users[r.user_login] = {
+        login: r.user_login,
+        interactions: null, codeGenerated: 0, codeAccepted: 0, locAdded: 0, locDeleted: 0,
+        days: new Set(), lastActiveDay: null, usedAgent: false, usedChat: false,
+      };
+    }
+    const u = users[r.user_login];
+    u.interactions = addCount(u.interactions, r.user_initiated_interaction_count);
+    u.codeGenerated += r.code_generation_activity_count || 0;
+    u.codeAccepted += r.code_acceptance_activity_count || 0;
+    u.locAdded += r.loc_added_sum || 0;
+    u.locDeleted += r.loc_deleted_sum || 0;
+    u.days.add(r.day);
+    if (!u.lastActiveDay || r.day > u.lastActiveDay) u.lastActiveDay = r.day;
+    u.usedAgent = u.usedAgent || !!r.used_agent;
+    u.usedChat = u.usedChat || !!r.used_chat;
+  }
+  return Object.values(users)
+    .map(({ days, ...u }) => ({ ...u, daysActive: days.size }))
+    .sort((a, b) => (b.interactions ?? 0) - (a.interactions ?? 0) || b.codeGenerated - a.codeGenerated)
+    .slice(0, limit);
+}
+
+export function getUserData(userRecords, username) {
+  const login = username.replace(/^@/, '').toLowerCase();
+  const recs = userRecords
+    .filter(r => (r.user_login || '').toLowerCase() === login)
+    .sort((a, b) => a.day.localeCompare(b.day));
+  if (recs.length === 0) return null;
+
+  const [summary] = aggregateTopUsers(recs, 1);
+  const features = sumBreakdown(recs, 'totals_by_feature', 'feature');
+  const topFeatures = features.slice(0, 5).map(f => f.feature);
+  return {
+    ...summary,
+    firstActiveDay: recs[0].day,
+    dailyTrends: recs.map(r => ({
+      day: r.day,
+      interactions: addCount(null, r.user_initiated_interaction_count),
+      codeGenerated: r.code_generation_activity_count || 0,
+      locAdded: r.loc_added_sum || 0,
+    })),
+    // Daily interactions + generations for the user's top features
+    featureTrends: {
+      days: recs.map(r => r.day),
+      series: Object.fromEntries(topFeatures.map(feature => [feature, recs.map(r => {
+        const f = (r.totals_by_feature || []).find(x => x.feature === feature);
+        return f ? (f.user_initiated_interaction_count || 0) + (f.code_generation_activity_count || 0) : 0;
+      })])),
+    },
+    features,
+    languages: sumBreakdown(recs, 'totals_by_language_feature', 'language'),
+    models: sumBreakdown(recs, 'totals_by_model_feature', 'model'),
+    ides: sumBreakdown(recs, 'totals_by_ide', 'ide'),
+  };
+}
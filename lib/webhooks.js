@@ -0,0 +1,113 @@
+import fs from 'fs';
+import { createTransport } from './github.js';
+
+// ─── Chat & Webhook Notifications ───────────────────────────────────────────
+//
+// Incoming webhooks that alerts and digests are posted to, listed in a JSON
+// file (COPILOT_WEBHOOKS_FILE, default webhooks.json):
+//
+//   [
+//     { "name": "eng-leads", "format": "slack", "urlEnv": "SLACK_WEBHOOK_URL" },
+//     { "name": "ops", "format": "teams", "url": "https://...", "events": ["alerts"] },
+//     { "name": "pager", "format": "json", "url": "https://...", "events": ["alerts"], "minSeverity": "critical" }
+//   ]
+//
+// `format` picks the payload: `json` (the raw event data), `slack` (Block
+// Kit) or `teams` (an Adaptive Card). `urlEnv` names an environment variable
+// holding the URL, since webhook URLs are secrets. `events` limits what a
+// webhook receives (default: every event). Requests go through COPILOT_PROXY /
+// HTTPS_PROXY like the GitHub API calls.
+
+export const WEBHOOK_FORMATS = ['json', 'slack', 'teams'];
+export const WEBHOOK_EVENTS = ['alerts', 'digest'];
+
+const TIMEOUT_MS = 15000;
+
+// Webhooks from the file; none when it doesn't exist. Throws on invalid entries.
+export function loadWebhooks(file, env = process.env) {
+  if (!file || !fs.existsSync(file)) return [];
+  const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const list = Array.isArray(config) ? config : config.webhooks;
+  if (!Array.isArray(list)) throw new Error(`${file} must be a list of webhooks or { "webhooks": [...] }.`);
+  const names = new Set();
+  return list.map((entry, i) => {
+    const name = entry.name || `webhook-${i + 1}`;
+    // Alert state remembers deliveries by name
+    if (names.has(name)) throw new Error(`Duplicate webhook name "${name}" in ${file}.`);
+    names.add(name);
+    const format = entry.format || 'json';
+    if (!WEBHOOK_FORMATS.includes(format)) throw new Error(`Webhook "${name}" in ${file} has unknown format "${format}" (expected ${WEBHOOK_FORMATS.join(', ')}).`);
+    const url = entry.urlEnv ? env[entry.urlEnv] : entry.url;
+    if (!url) throw new Error(`Webhook "${name}" in ${file} needs a "url"${entry.urlEnv ? `, and ${entry.urlEnv} is not set` : ' or "urlEnv"'}.`);
+    const events = entry.events || WEBHOOK_EVENTS;
+    const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) throw new Error(`Webhook "${name}" in ${file} has unknown event(s) ${unknown.join(', ')} (expected ${WEBHOOK_EVENTS.join(', ')}).`);
+    return { name, format, url, events, minSeverity: entry.minSeverity || null };
+  });
+}
+
+// Teams incoming webhooks take Adaptive Cards wrapped in a message
+export function adaptiveCardMessage(body, actions = []) {
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body,
+        ...(actions.length > 0 ? { actions } : {}),
+      },
+    }],
+  };
+}
+
+// Webhook URLs carry their secret in the path; keep it out of logs
+export function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.protocol}//${u.host}/…`;
+  } catch {
+    return '(invalid URL)';
+  }
+}
+
+// `send(event, render)` posts to every webhook subscribed to `event`, with
+// the payload `render(webhook)` returns for it (null skips the webhook).
+// Failures are reported back, never thrown, so one broken webhook doesn't
+// hold up the others.
+export function createWebhookSender({ webhooks, proxy = null, caFile = null, warn = console.warn }) {
+  let transport = null;
+
+  async function post(webhook, payload) {
+    transport ||= createTransport({ proxy, caFile });
+    const doFetch = await transport;
+    const res = await doFetch(webhook.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    if (!res.ok) throw new Error(`${res.status} ${(await res.text()).slice(0, 200)}`);
+  }
+
+  async function send(event, render) {
+    const results = [];
+    for (const webhook of webhooks.filter(w => w.events.includes(event))) {
+      const payload = render(webhook);
+      if (!payload) continue;
+      try {
+        await post(webhook, payload);
+        results.push({ webhook: webhook.name, ok: true });
+      } catch (err) {
+        const message = err.cause?.message || err.message;
+        warn(`Could not post ${event} to webhook ${webhook.name} (${redactUrl(webhook.url)}): ${message}`);
+        results.push({ webhook: webhook.name, ok: false, error: message });
+      }
+    }
+    return results;
+  }
+
+  return { webhooks, send };
+}
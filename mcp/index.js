@@ -4,6 +4,29 @@ import { z } from 'zod';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+// ./lib links to the repo's shared lib/; npm pack replaces the link with a copy, so the package is self-contained
+import { createScheduler } from './lib/scheduler.js';
+import { loadTenants } from './lib/source.js';
+import { importPath } from './lib/importer.js';
+import { ALL_TENANTS, createMetricsStore } from './lib/store.js';
+import { applyFilters, parseFilters, withoutDates } from './lib/filters.js';
+import { comparePeriods } from './lib/compare.js';
+import { loadHolidays } from './lib/calendar.js';
+import { getSeasonality } from './lib/seasonality.js';
+import { getActiveUsers } from './lib/engagement.js';
+import { DEFAULT_INACTIVE_DAYS, getSeatUtilization, parseInactiveDays } from './lib/seats.js';
+import { ROI_ASSUMPTIONS, estimateRoi, loadRoiAssumptions, parseRoiAssumptions } from './lib/roi.js';
+import { evaluateGoals, goalsFor, loadGoals } from './lib/goals.js';
+import { listAlerts, loadAlertRules, loadAlertState } from './lib/alerts.js';
+import { buildDigest } from './lib/digest.js';
+import { ANOMALY_METRICS, ANOMALY_SEVERITIES, detectAnomalies, parseAnomalyOptions } from './lib/anomalies.js';
+import { FORECAST_METRICS, forecastMetrics, parseTargets } from './lib/forecast.js';
+import { QUERY_DIMENSIONS, QUERY_MEASURES, parseQuery, runQuery } from './lib/query.js';
+import {
+  aggregateByDay, aggregateByFeature, aggregateByIDE, aggregateByLanguage, aggregateByModel,
+  getChatModeStats, getCodeGenerationStats, getPullRequestStats, getSummary,
+} from './lib/metrics.js';
+import { aggregateTopUsers, getUserData } from './lib/users.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,272 +51,70 @@ for (const envDir of [path.join(__dirname, '..'), __dirname]) {
   }
 }
 
-const ENTERPRISE = process.env.COPILOT_ENTERPRISE || 'github';
-const GITHUB_TOKEN = process.env.GH_TOKEN || process.env.GITHUB_TOKEN;
-const API_BASE = 'https://api.github.com';
+const TENANTS = loadTenants(process.env.COPILOT_TENANTS_FILE || path.join(__dirname, '..', 'tenants.json'));
+const HOLIDAYS = loadHolidays(process.env.COPILOT_HOLIDAYS_FILE || path.join(__dirname, '..', 'holidays.json'));
+const ARCHIVE_DIR = process.env.COPILOT_ARCHIVE_DIR || path.join(__dirname, '..', 'data');
+const REFETCH_RECENT_DAYS = parseInt(process.env.COPILOT_REFETCH_RECENT_DAYS || '3', 10);
+const REFRESH_SCHEDULE = process.env.COPILOT_REFRESH_SCHEDULE || '';
+const USER_METRICS = process.env.COPILOT_USER_METRICS !== 'false';
+const USER_HISTORY_DAYS = parseInt(process.env.COPILOT_USER_HISTORY_DAYS || '90', 10);
+const SEATS = process.env.COPILOT_SEATS !== 'false';
+const INACTIVE_SEAT_DAYS = parseInactiveDays(process.env.COPILOT_INACTIVE_SEAT_DAYS, DEFAULT_INACTIVE_DAYS);
+const ROI_DEFAULTS = loadRoiAssumptions();
+// Read on every call, since the web UI may have changed the goals since
+const GOALS_FILE = process.env.COPILOT_GOALS_FILE || path.join(__dirname, '..', 'goals.json');
+// Alerts are raised and notified by the web server's refreshes; this server only reads them
+const ALERTS_FILE = process.env.COPILOT_ALERTS_FILE || path.join(__dirname, '..', 'alerts.json');
+const ALERT_STATE_FILE = path.join(ARCHIVE_DIR, 'alerts-state.json');
 
 // ─── Data Loading ───────────────────────────────────────────────────────────
 
+// `records` and `userRecords` hold the tenant view being aggregated; see withTenant()
 let records = [];
+let userRecords = [];
+
+// Progress and per-day warnings are dropped: stdout belongs to the MCP protocol
+const quiet = () => {};
+const store = createMetricsStore({
+  tenants: TENANTS,
+  archiveDir: ARCHIVE_DIR,
+  refetchRecentDays: REFETCH_RECENT_DAYS,
+  userMetrics: USER_METRICS,
+  userHistoryDays: USER_HISTORY_DAYS,
+  seats: SEATS,
+  log: quiet,
+  warn: quiet,
+});
 
-async function fetchMetricsForDay(day) {
-  const url = `${API_BASE}/enterprises/${ENTERPRISE}/copilot/metrics/reports/enterprise-1-day?day=${day}`;
-  const res = await fetch(url, {
-    headers: {
-      'Accept': 'application/vnd.github+json',
-      'Authorization': `Bearer ${GITHUB_TOKEN}`,
-      'X-GitHub-Api-Version': '2022-11-28',
-    },
-  });
-  if (!res.ok) {
-    if (res.status === 404) return [];
-    return [];
-  }
-  const data = await res.json();
-  const allRecords = [];
-  const links = data.download_links || data.download_urls || [];
-  if (links.length > 0) {
-    for (const link of links) {
-      const dlUrl = typeof link === 'string' ? link : link.url;
-      const dlRes = await fetch(dlUrl);
-      if (!dlRes.ok) continue;
-      const text = await dlRes.text();
-      for (const line of text.split('\n')) {
-        const trimmed = line.trim();
-        if (!trimmed) continue;
-        try { allRecords.push(JSON.parse(trimmed)); } catch(e) {}
-      }
-    }
-  } else if (Array.isArray(data)) {
-    allRecords.push(...data);
-  }
-  return allRecords;
-}
-
-async function loadAllData() {
-  if (!GITHUB_TOKEN) {
-    throw new Error('No GitHub token. Set GH_TOKEN or GITHUB_TOKEN env var with manage_billing:copilot or read:enterprise scope.');
-  }
-  const today = new Date();
-  const days = [];
-  for (let i = 1; i <= 28; i++) {
-    const d = new Date(today);
-    d.setDate(d.getDate() - i);
-    days.push(d.toISOString().slice(0, 10));
-  }
-  let allRecords = [];
-  for (let i = 0; i < days.length; i += 7) {
-    const batch = days.slice(i, i + 7);
-    const results = await Promise.all(batch.map(day => fetchMetricsForDay(day)));
-    for (const recs of results) allRecords = allRecords.concat(recs);
-  }
-  const seen = new Map();
-  for (const rec of allRecords) {
-    const key = `${rec.enterprise_id || 'default'}|${rec.day}`;
-    seen.set(key, rec);
-  }
-  records = Array.from(seen.values());
-}
-
-// ─── Aggregation Helpers ────────────────────────────────────────────────────
-
-const FEATURE_DISPLAY = {
-  chat_panel_agent_mode: 'Agent Mode',
-  chat_panel_ask_mode: 'Ask Mode',
-  chat_panel_edit_mode: 'Edit Mode',
-  chat_panel_custom_mode: 'Custom Mode',
-  chat_inline: 'Inline Chat',
-  code_completion: 'Code Completion',
-  agent_edit: 'Agent Edit',
-  chat_panel_unknown_mode: 'Unknown Mode',
-};
-const AGENT_FEATURES = ['agent_edit', 'chat_panel_agent_mode', 'chat_panel_custom_mode', 'chat_panel_edit_mode'];
-const USER_INITIATED_FEATURES = ['code_completion', 'chat_panel_ask_mode', 'chat_inline'];
-const CHAT_MODES = ['chat_panel_agent_mode', 'chat_panel_ask_mode', 'chat_panel_edit_mode', 'chat_panel_custom_mode', 'chat_inline'];
-
-function fmt(n) { return n.toLocaleString('en-US'); }
-
-function getDateRange() {
-  let start = null, end = null;
-  for (const r of records) {
-    if (!start || r.day < start) start = r.day;
-    if (!end || r.day > end) end = r.day;
-  }
-  return { start, end };
-}
-
-function sumField(field) {
-  return records.reduce((s, r) => s + (r[field] || 0), 0);
-}
-
-function getSortedDays() {
-  return [...new Set(records.map(r => r.day))].sort();
-}
-
-function getSummary() {
-  const period = getDateRange();
-  const maxDau = records.reduce((m, r) => Math.max(m, r.daily_active_users || 0), 0);
-  const avgDau = records.length > 0 ? Math.round(records.reduce((s, r) => s + (r.daily_active_users || 0), 0) / records.length) : 0;
-  return {
-    period,
-    peakDailyActiveUsers: maxDau,
-    avgDailyActiveUsers: avgDau,
-    totalInteractions: sumField('user_initiated_interaction_count'),
-    totalCodeGenerated: sumField('code_generation_activity_count'),
-    totalCodeAccepted: sumField('code_acceptance_activity_count'),
-    totalLocAdded: sumField('loc_added_sum'),
-    totalLocDeleted: sumField('loc_deleted_sum'),
-    totalDays: records.length,
-  };
-}
-
-function getDailyTrends() {
-  return getSortedDays().map(day => {
-    const rec = records.find(r => r.day === day);
-    return {
-      day,
-      dailyActiveUsers: rec?.daily_active_users || 0,
-      interactions: rec?.user_initiated_interaction_count || 0,
-      codeGenerated: rec?.code_generation_activity_count || 0,
-      locAdded: rec?.loc_added_sum || 0,
-      locDeleted: rec?.loc_deleted_sum || 0,
-    };
-  });
-}
-
-function getFeatureUsage() {
-  const features = {};
-  for (const r of records) {
-    for (const f of r.totals_by_feature || []) {
-      if (!features[f.feature]) features[f.feature] = { interactions: 0, codeGenerated: 0, codeAccepted: 0, locAdded: 0 };
-      features[f.feature].interactions += f.user_initiated_interaction_count || 0;
-      features[f.feature].codeGenerated += f.code_generation_activity_count || 0;
-      features[f.feature].codeAccepted += f.code_acceptance_activity_count || 0;
-      features[f.feature].locAdded += f.loc_added_sum || 0;
-    }
-  }
-  return Object.entries(features)
-    .map(([feature, d]) => ({ feature, displayName: FEATURE_DISPLAY[feature] || feature, ...d }))
-    .sort((a, b) => b.codeGenerated - a.codeGenerated);
-}
-
-function getLanguageUsage() {
-  const langs = {};
-  for (const r of records) {
-    for (const l of r.totals_by_language_feature || []) {
-      if (!langs[l.language]) langs[l.language] = { codeGenerated: 0, codeAccepted: 0, locAdded: 0 };
-      langs[l.language].codeGenerated += l.code_generation_activity_count || 0;
-      langs[l.language].codeAccepted += l.code_acceptance_activity_count || 0;
-      langs[l.language].locAdded += l.loc_added_sum || 0;
-    }
-  }
-  return Object.entries(langs)
-    .map(([language, d]) => ({ language, ...d }))
-    .sort((a, b) => b.codeGenerated - a.codeGenerated)
-    .slice(0, 20);
-}
-
-function getModelUsage() {
-  const models = {};
-  for (const r of records) {
-    for (const m of r.totals_by_model_feature || []) {
-      if (!models[m.model]) models[m.model] = { interactions: 0, codeGenerated: 0 };
-      models[m.model].interactions += m.user_initiated_interaction_count || 0;
-      models[m.model].codeGenerated += m.code_generation_activity_count || 0;
-    }
-  }
-  return Object.entries(models)
-    .map(([model, d]) => ({ model, ...d }))
-    .sort((a, b) => b.interactions - a.interactions)
-    .slice(0, 15);
-}
-
-function getIDEUsage() {
-  const ides = {};
-  for (const r of records) {
-    for (const i of r.totals_by_ide || []) {
-      if (!ides[i.ide]) ides[i.ide] = { interactions: 0, codeGenerated: 0, locAdded: 0 };
-      ides[i.ide].interactions += i.user_initiated_interaction_count || 0;
-      ides[i.ide].codeGenerated += i.code_generation_activity_count || 0;
-      ides[i.ide].locAdded += i.loc_added_sum || 0;
-    }
-  }
-  return Object.entries(ides)
-    .map(([ide, d]) => ({ ide, ...d }))
-    .sort((a, b) => b.interactions - a.interactions);
-}
-
-function getChatModeStats() {
-  const modes = {};
-  for (const r of records) {
-    for (const f of r.totals_by_feature || []) {
-      if (CHAT_MODES.includes(f.feature)) {
-        const name = FEATURE_DISPLAY[f.feature];
-        if (!modes[name]) modes[name] = { interactions: 0, codeGenerated: 0 };
-        modes[name].interactions += f.user_initiated_interaction_count || 0;
-        modes[name].codeGenerated += f.code_generation_activity_count || 0;
-      }
-    }
-  }
-  return Object.entries(modes)
-    .map(([mode, d]) => ({ mode, ...d }))
-    .sort((a, b) => b.interactions - a.interactions);
-}
-
-function getCodeGenerationStats() {
-  let userSuggested = 0, userAdded = 0, agentAdded = 0, agentDeleted = 0;
-  for (const r of records) {
-    for (const f of r.totals_by_feature || []) {
-      if (USER_INITIATED_FEATURES.includes(f.feature)) {
-        userSuggested += f.loc_suggested_to_add_sum || 0;
-        userAdded += f.loc_added_sum || 0;
-      }
-      if (AGENT_FEATURES.includes(f.feature)) {
-        agentAdded += f.loc_added_sum || 0;
-        agentDeleted += f.loc_deleted_sum || 0;
-      }
-    }
-  }
-  const completions = { shown: 0, accepted: 0 };
-  for (const r of records) {
-    for (const f of r.totals_by_feature || []) {
-      if (f.feature === 'code_completion') {
-        completions.shown += f.code_generation_activity_count || 0;
-        completions.accepted += f.code_acceptance_activity_count || 0;
-      }
-    }
-  }
-  return {
-    userInitiated: { suggested: userSuggested, added: userAdded },
-    agentInitiated: { added: agentAdded, deleted: agentDeleted },
-    codeCompletions: completions,
-    acceptanceRate: completions.shown > 0 ? Math.round((completions.accepted / completions.shown) * 10000) / 100 : 0,
-  };
-}
-
-function getPullRequestStats() {
-  let totalReviewed = 0, totalCreated = 0, copilotCreated = 0, copilotReviewed = 0;
-  for (const r of records) {
-    if (r.pull_requests) {
-      totalReviewed += r.pull_requests.total_reviewed || 0;
-      totalCreated += r.pull_requests.total_created || 0;
-      copilotCreated += r.pull_requests.total_created_by_copilot || 0;
-      copilotReviewed += r.pull_requests.total_reviewed_by_copilot || 0;
-    }
+// Run `fn` against one tenant's data (or the combined "all" view), narrowed by `filters`
+function withTenant(tenant, fn, filters = null) {
+  const view = store.view(tenant || ALL_TENANTS);
+  if (!view) throw new Error(`Unknown tenant "${tenant}". Available: ${store.viewIds().join(', ')}`);
+  const prev = { records, userRecords };
+  records = applyFilters(view.records, filters);
+  userRecords = applyFilters(view.userRecords, filters);
+  try {
+    return fn();
+  } finally {
+    ({ records, userRecords } = prev);
   }
-  return { totalReviewed, totalCreated, copilotCreated, copilotReviewed };
 }
 
 // ─── Lazy data loading ──────────────────────────────────────────────────────
 
 let dataLoaded = false;
-let dataLoading = null;
+
+// With COPILOT_REFRESH_SCHEDULE set, the cache is refreshed in the background
+// so long-running CLI sessions don't keep serving stale data
+const refreshScheduler = createScheduler(async (opts) => {
+  const result = await store.loadAll(opts);
+  dataLoaded = true;
+  return result;
+}, REFRESH_SCHEDULE);
 
 async function ensureData() {
   if (dataLoaded) return;
-  if (dataLoading) return dataLoading;
-  dataLoading = loadAllData().then(() => { dataLoaded = true; });
-  return dataLoading;
+  await refreshScheduler.run();
 }
 
 // ─── MCP Server ─────────────────────────────────────────────────────────────
@@ -303,82 +124,324 @@ const server = new McpServer({
   version: '1.0.0',
 });
 
+// z.enum() takes a non-empty tuple; the lists it gets here are built at runtime
+const oneOf = (values) => z.enum([values[0], ...values.slice(1)]);
+
+// Every data tool can be pointed at one tenant; the default is all tenants combined
+const TENANT_ARG = {
+  tenant: z.string().optional().describe(`Tenant id to query (${[ALL_TENANTS, ...TENANTS.map(t => t.id)].join(', ')}); defaults to "${ALL_TENANTS}", every tenant combined`),
+};
+
+// ...and narrowed to a date range and to features, languages, models or IDEs (see lib/filters.js)
+const DATA_ARGS = {
+  ...TENANT_ARG,
+  from: z.string().optional().describe('First day to include, YYYY-MM-DD (default: earliest archived day)'),
+  to: z.string().optional().describe('Last day to include, YYYY-MM-DD (default: latest archived day)'),
+  feature: z.string().optional().describe('Only these features, comma-separated ids or names (e.g. "code_completion" or "Agent Mode")'),
+  language: z.string().optional().describe('Only these languages, comma-separated (e.g. "python,typescript")'),
+  model: z.string().optional().describe('Only these models, comma-separated (e.g. "gpt-4.1")'),
+  ide: z.string().optional().describe('Only these IDEs, comma-separated (e.g. "vscode"); cannot be combined with the other dimension filters'),
+};
+
 server.tool(
   'get_summary',
-  'Get a high-level summary of Copilot usage metrics for the enterprise including peak/avg daily active users, total interactions, code generated, LOC added/deleted over a 28-day period',
-  {},
-  async () => {
+  'Get a high-level summary of Copilot usage metrics for the configured enterprises/organizations (one tenant or all combined) including peak/avg daily active users, total interactions, code generated, LOC added/deleted over all archived days (the latest 28 days from the API plus older days kept in the local history archive)',
+  DATA_ARGS,
+  async ({ tenant, ...filters }) => {
     await ensureData();
-    return { content: [{ type: 'text', text: JSON.stringify(getSummary(), null, 2) }] };
+    return { content: [{ type: 'text', text: JSON.stringify(withTenant(tenant, () => getSummary(records), parseFilters(filters)), null, 2) }] };
   }
 );
 
 server.tool(
   'get_daily_trends',
-  'Get daily trend data showing daily active users, interactions, code generated, and LOC added/deleted for each day in the 28-day period',
-  {},
-  async () => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(getDailyTrends(), null, 2) }] }; }
+  'Get daily trend data showing daily active users, interactions, code generated, and LOC added/deleted for each archived day',
+  DATA_ARGS,
+  async ({ tenant, ...filters }) => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(withTenant(tenant, () => aggregateByDay(records), parseFilters(filters)), null, 2) }] }; }
 );
 
 server.tool(
   'get_feature_usage',
   'Get usage breakdown by Copilot feature (Agent Mode, Ask Mode, Edit Mode, Code Completion, Agent Edit, Inline Chat, etc.) showing interactions, code generated, code accepted, LOC added per feature',
-  {},
-  async () => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(getFeatureUsage(), null, 2) }] }; }
+  DATA_ARGS,
+  async ({ tenant, ...filters }) => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(withTenant(tenant, () => aggregateByFeature(records), parseFilters(filters)), null, 2) }] }; }
 );
 
 server.tool(
   'get_language_usage',
   'Get top 20 programming languages by code generation activity, showing code generated, code accepted, and LOC added per language',
-  {},
-  async () => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(getLanguageUsage(), null, 2) }] }; }
+  DATA_ARGS,
+  async ({ tenant, ...filters }) => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(withTenant(tenant, () => aggregateByLanguage(records), parseFilters(filters)), null, 2) }] }; }
 );
 
 server.tool(
   'get_model_usage',
   'Get AI model usage data showing interactions and code generated per model (e.g., claude-sonnet-4, gpt-4.1, etc.)',
-  {},
-  async () => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(getModelUsage(), null, 2) }] }; }
+  DATA_ARGS,
+  async ({ tenant, ...filters }) => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(withTenant(tenant, () => aggregateByModel(records), parseFilters(filters)), null, 2) }] }; }
 );
 
 server.tool(
   'get_ide_usage',
   'Get IDE distribution showing interactions, code generated, and LOC added per IDE (vscode, intellij, neovim, visualstudio, etc.)',
-  {},
-  async () => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(getIDEUsage(), null, 2) }] }; }
+  DATA_ARGS,
+  async ({ tenant, ...filters }) => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(withTenant(tenant, () => aggregateByIDE(records), parseFilters(filters)), null, 2) }] }; }
 );
 
 server.tool(
   'get_chat_mode_stats',
   'Get breakdown of chat interactions by mode (Agent Mode, Ask Mode, Edit Mode, Custom Mode, Inline Chat) showing interactions and code generated per mode',
-  {},
-  async () => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(getChatModeStats(), null, 2) }] }; }
+  DATA_ARGS,
+  async ({ tenant, ...filters }) => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(withTenant(tenant, () => getChatModeStats(records), parseFilters(filters)), null, 2) }] }; }
 );
 
 server.tool(
   'get_code_generation_stats',
   'Get code generation statistics including user-initiated vs agent-initiated code changes, code completion acceptance rate, and LOC suggested vs actually added',
-  {},
-  async () => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(getCodeGenerationStats(), null, 2) }] }; }
+  DATA_ARGS,
+  async ({ tenant, ...filters }) => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(withTenant(tenant, () => getCodeGenerationStats(records), parseFilters(filters)), null, 2) }] }; }
 );
 
 server.tool(
   'get_pull_request_stats',
   'Get pull request statistics including total PRs created, reviewed, and how many were created/reviewed by Copilot',
-  {},
-  async () => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(getPullRequestStats(), null, 2) }] }; }
+  DATA_ARGS,
+  async ({ tenant, ...filters }) => { await ensureData(); return { content: [{ type: 'text', text: JSON.stringify(withTenant(tenant, () => getPullRequestStats(records), parseFilters(filters)), null, 2) }] }; }
+);
+
+server.tool(
+  'get_top_users',
+  'Get the leaderboard of most active Copilot users from the per-user reports (recent days only), ranked by interactions, with code generated/accepted, LOC added/deleted, days active, last active day and agent/chat usage',
+  { limit: z.number().optional().describe('Number of top users to return (default 20)'), ...DATA_ARGS },
+  async ({ limit, tenant, ...filters }) => {
+    await ensureData();
+    const slice = parseFilters(filters);
+    const data = withTenant(tenant, () => userRecords.length > 0
+      ? aggregateTopUsers(userRecords, limit || 20)
+      : { message: slice ? 'No per-user activity matches these filters' : 'No per-user data loaded', data: [] }, slice);
+    return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+  }
+);
+
+server.tool(
+  'get_user_details',
+  'Get the Copilot usage profile for one user: totals, daily trend, and feature, language, model and IDE breakdowns over time',
+  { username: z.string().describe('The GitHub username to look up'), ...DATA_ARGS },
+  async ({ username, tenant, ...filters }) => {
+    await ensureData();
+    const data = withTenant(tenant, () => getUserData(userRecords, username), parseFilters(filters)) || { error: `No per-user data found for ${username}` };
+    return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+  }
+);
+
+server.tool(
+  'compare_periods',
+  'Compare a period with the previous equivalent period ("is that better than last month?"): avg/peak DAU, interactions, code generated/accepted, LOC, agent adoption %, completion acceptance rate, and the top languages, models and features, each with the previous value, absolute and percent change and an up/down trend. from/to pick the current period (default: the latest 28 days); the previous period is the same number of days just before it. If the periods have data for a different number of days, totalsComparable is false and totals have no change.',
+  {
+    workingDays: z.boolean().optional().describe('Compare working days only, leaving out weekends and configured holidays (default: false)'),
+    ...DATA_ARGS,
+  },
+  async ({ tenant, workingDays, ...params }) => {
+    await ensureData();
+    const filters = parseFilters(params);
+    const options = { workingDays: workingDays === true, holidays: HOLIDAYS };
+    // Only the dimension filters narrow the data; from/to choose the windows
+    const data = withTenant(tenant, () => comparePeriods(records, filters || {}, options), withoutDates(filters));
+    return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+  }
+);
+
+server.tool(
+  'get_anomalies',
+  'Find unusual days in the daily active users, interactions, code generations and completion acceptance rate series ("was there an outage?", "why did usage drop?"). Each day is compared with the same kind of day (weekday or weekend) over the previous 4 weeks; flagged days come with the expected value, deviation, severity (warning or critical) and a plain-language explanation. from/to limit the days reported; earlier days are still used as the baseline.',
+  {
+    metrics: z.array(oneOf(ANOMALY_METRICS)).optional().describe('Series to check (default: all)'),
+    minSeverity: oneOf(ANOMALY_SEVERITIES).optional().describe('Only report anomalies at least this severe (default: warning)'),
+    ...DATA_ARGS,
+  },
+  async ({ tenant, metrics, minSeverity, ...params }) => {
+    await ensureData();
+    const options = parseAnomalyOptions({ metrics, minSeverity });
+    const filters = parseFilters(params);
+    // Only the dimension filters narrow the data; earlier days form the baseline
+    const data = withTenant(tenant, () => detectAnomalies(records, { ...options, from: filters?.from, to: filters?.to, holidays: HOLIDAYS }), withoutDates(filters));
+    return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+  }
+);
+
+server.tool(
+  'get_forecast',
+  'Project daily active users, agent activity share (%) and completion acceptance rate 30, 60 and 90 days ahead from the current linear trend, with 90% ranges, and estimate when rollout targets will be reached ("when will we hit 1,500 DAU?"). Figures are weekday levels; from/to and the dimension filters choose the history the trend is fitted on.',
+  {
+    targets: z.object(Object.fromEntries(FORECAST_METRICS.map(m => [m, z.number().optional()]))).optional()
+      .describe('Targets to estimate a date for, e.g. { "dailyActiveUsers": 1500, "agentSharePct": 70, "acceptanceRate": 30 }'),
+    ...DATA_ARGS,
+  },
+  async ({ tenant, targets, ...filters }) => {
+    await ensureData();
+    const parsed = parseTargets(targets);
+    const data = withTenant(tenant, () => forecastMetrics(records, { targets: parsed, holidays: HOLIDAYS }), parseFilters(filters));
+    return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+  }
+);
+
+server.tool(
+  'get_active_users',
+  'Get daily, weekly and monthly active users and DAU/MAU stickiness per day. WAU/MAU are distinct users over the trailing 7/28 days, from the reports or the per-user data; values with source "approximate" are average DAU, not distinct users, and must be presented as approximations. from/to limit the days reported; earlier days still fill the windows.',
+  DATA_ARGS,
+  async ({ tenant, ...params }) => {
+    await ensureData();
+    const filters = parseFilters(params);
+    const range = { from: filters?.from, to: filters?.to };
+    const data = withTenant(tenant, () => getActiveUsers(records, userRecords, range), withoutDates(filters));
+    return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+  }
+);
+
+server.tool(
+  'get_seasonality',
+  'Get day-of-week usage patterns and working-day views: average DAU, interactions and code generated per weekday (with an index against the average working day), working-day vs weekend averages, how much lower weekends run, usage on configured holidays, and working-day-only daily DAU/interactions with a 5-working-day rolling average. Use it for "how big is the weekend dip?" or when weekends distort a trend.',
+  DATA_ARGS,
+  async ({ tenant, ...filters }) => {
+    await ensureData();
+    const data = withTenant(tenant, () => getSeasonality(records, HOLIDAYS), parseFilters(filters));
+    return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+  }
+);
+
+server.tool(
+  'query_metrics',
+  'Flexible group-by query for cross-tab questions the other tools can\'t answer, e.g. code generated per language per week, or acceptances by model for one feature. Groups by any of day, week, feature, language, model, ide (feature can be combined with language or model, and language with model) and sums the chosen measures. Measures a breakdown does not carry are listed in unavailableMeasures.',
+  {
+    dimensions: z.array(oneOf(QUERY_DIMENSIONS)).optional().describe('Dimensions to group by, in column order; none gives one total row'),
+    measures: z.array(oneOf(Object.keys(QUERY_MEASURES))).optional().describe('Measures to sum (default: all)'),
+    sort: z.string().optional().describe('Selected dimension or measure to sort by (default: the time dimension if first, else the first measure)'),
+    order: z.enum(['asc', 'desc']).optional(),
+    limit: z.number().optional().describe('Maximum rows to return (default 100)'),
+    ...DATA_ARGS,
+  },
+  async ({ tenant, ...params }) => {
+    await ensureData();
+    const query = parseQuery(params);
+    return { content: [{ type: 'text', text: JSON.stringify(withTenant(tenant, () => runQuery(records, query)), null, 2) }] };
+  }
+);
+
+server.tool(
+  'get_data_quality',
+  'Get the ingestion health and data-quality report: which days loaded, had no report (404) or failed to fetch, per-day record counts, NDJSON parse errors, and anomalies such as negative counts, missing totals_by_feature or sudden DAU drops',
+  TENANT_ARG,
+  async ({ tenant = ALL_TENANTS }) => {
+    await ensureData();
+    return { content: [{ type: 'text', text: JSON.stringify(store.quality(tenant), null, 2) }] };
+  }
+);
+
+server.tool(
+  'get_alerts',
+  'List threshold alerts raised by the web server after its data refreshes (e.g. DAU dropping day-over-day, acceptance rate below a threshold for several days, a new model appearing), with their status (open or resolved), plus the configured rules. Alerts are resolved in the web app or through its API.',
+  {
+    status: z.enum(['open', 'resolved']).optional().describe('Only open or only resolved alerts (default: both)'),
+    ...TENANT_ARG,
+  },
+  async ({ status, tenant }) => {
+    const data = {
+      rules: loadAlertRules(ALERTS_FILE),
+      alerts: listAlerts(loadAlertState(ALERT_STATE_FILE), { status: status || null, tenant: tenant || null }),
+    };
+    return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+  }
+);
+
+server.tool(
+  'get_weekly_digest',
+  'Weekly digest of the latest 7 days: executive-summary KPIs with their change on the previous 7 days, the languages and models that moved most, and notable days (busiest day, usage anomalies, holidays). The web server posts the same digest to chat webhooks on a schedule.',
+  TENANT_ARG,
+  async ({ tenant = ALL_TENANTS }) => {
+    await ensureData();
+    const view = store.view(tenant);
+    const data = view ? buildDigest(view.records, view.userRecords, { tenant, holidays: HOLIDAYS }) : { error: `Unknown tenant "${tenant}"` };
+    return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+  }
+);
+
+server.tool(
+  'get_goals',
+  'Check adoption goals (targets with a date for daily active users, agent activity share or completion acceptance rate, set in goals.json or the web UI): status (achieved, on track, at risk, off track, missed), current weekday-level value, progress %, projected completion date, and the weekly gain needed vs the current trend. Use it to answer "are we on track?".',
+  DATA_ARGS,
+  async ({ tenant = ALL_TENANTS, ...filters }) => {
+    await ensureData();
+    const goals = goalsFor(loadGoals(GOALS_FILE), tenant);
+    const data = withTenant(tenant, () => evaluateGoals(records, goals, { holidays: HOLIDAYS }), parseFilters(filters));
+    return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+  }
+);
+
+server.tool(
+  'get_roi',
+  'Estimate Copilot ROI: hours saved (from accepted completions, lines added through chat and lines added by agents, at fixed minutes per unit), their value at an hourly engineer cost, seat cost for the period, net value, value/cost, cost per active user and break-even hours. Always present the listed assumptions with the figures; they are estimates, not measurements.',
+  {
+    assumptions: z.object({
+      ...Object.fromEntries(ROI_ASSUMPTIONS.map(name => [name, z.number().optional()])),
+      currency: z.string().optional(),
+    }).optional().describe('Overrides of the configured assumptions, e.g. { "hourlyCost": 90, "minutesPerAgentLoc": 1 }'),
+    ...DATA_ARGS,
+  },
+  async ({ tenant = ALL_TENANTS, assumptions, ...filters }) => {
+    await ensureData();
+    const parsed = parseRoiAssumptions(assumptions, ROI_DEFAULTS);
+    const snapshots = store.seats(tenant).filter(snap => snap.fetchedAt);
+    const assignedSeats = snapshots.length > 0 ? snapshots.reduce((sum, snap) => sum + snap.seats.length, 0) : null;
+    const data = withTenant(tenant, () => estimateRoi(records, userRecords, { assumptions: parsed, assignedSeats }), parseFilters(filters));
+    return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+  }
+);
+
+server.tool(
+  'get_seat_utilization',
+  `Get Copilot seat utilization from the billing seat assignments: assigned vs active seats, seats with no activity in the last N days (default ${INACTIVE_SEAT_DAYS}), never-used seats, seats pending cancellation, and last activity per seat (the later of the seat record and the per-user reports). Use it to find licences to reclaim.`,
+  {
+    inactiveDays: z.number().optional().describe(`Days without activity after which a seat counts as inactive (default ${INACTIVE_SEAT_DAYS})`),
+    ...TENANT_ARG,
+  },
+  async ({ tenant = ALL_TENANTS, inactiveDays }) => {
+    await ensureData();
+    const data = getSeatUtilization(store.seats(tenant), store.view(tenant)?.userRecords || [], { inactiveDays: parseInactiveDays(inactiveDays, INACTIVE_SEAT_DAYS) });
+    return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+  }
 );
 
 server.tool(
   'refresh_data',
-  'Re-fetch the latest 28 days of Copilot metrics data from the GitHub API',
-  {},
-  async () => {
-    dataLoaded = false;
-    dataLoading = null;
-    await loadAllData();
-    dataLoaded = true;
-    return { content: [{ type: 'text', text: `Refreshed. Loaded ${records.length} days of data.` }] };
+  'Fetch new Copilot metrics from the GitHub API and merge them into the local history archive. By default only days missing from the archive and the most recent few days are fetched; pass full=true to re-fetch the whole 28-day window.',
+  { full: z.boolean().optional().describe('Re-fetch all 28 days instead of only missing and recent days') },
+  async ({ full }) => {
+    const { fetchedDays, failures } = await refreshScheduler.run({ full });
+    const perTenant = TENANTS.map(t => `${t.label}: ${store.view(t.id).records.length} days`).join('; ');
+    const failed = failures.length > 0
+      ? `\nCould not fetch ${failures.length} report(s):\n${failures.map(f => `- ${f.tenant} ${f.day}${f.report ? ` (${f.report})` : ''}: ${f.message}`).join('\n')}`
+      : '';
+    return { content: [{ type: 'text', text: `Refreshed. Fetched ${fetchedDays} days; archive holds ${perTenant}.${failed}` }] };
+  }
+);
+
+server.tool(
+  'import_reports',
+  'Import exported Copilot metrics report files (NDJSON/JSON, gzipped, or zip/tar archives of them) from a local file or directory into the history archive, without calling the GitHub API',
+  {
+    path: z.string().describe('Report file, archive, or directory of them'),
+    tenant: z.string().optional().describe(`Tenant id to import into (${TENANTS.map(t => t.id).join(', ')}); required when more than one tenant is configured`),
+  },
+  async ({ path: target, tenant }) => {
+    await ensureData();
+    const source = TENANTS.find(t => t.id === (tenant || (TENANTS.length === 1 ? TENANTS[0].id : null)));
+    if (!source) throw new Error(`Pick the tenant to import into: ${TENANTS.map(t => t.id).join(', ')}`);
+    const imported = importPath(path.resolve(target));
+    if (imported.records.length === 0 && imported.userRecords.length === 0) {
+      throw new Error(`No report records found in ${target} (${imported.files} report file(s), ${imported.parseErrors} unreadable record(s)).`);
+    }
+    const data = { tenant: source.id, ...(await store.importInto(source, imported)) };
+    return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
   }
 );
 
@@ -389,6 +452,7 @@ async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
   // Data is loaded lazily on first tool call via ensureData()
+  refreshScheduler.start();
 }
 
 main().catch(err => {
@@ -3,6 +3,43 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { CopilotClient, defineTool } from '@github/copilot-sdk';
+import { createScheduler } from './lib/scheduler.js';
+import { loadTenants } from './lib/source.js';
+import { importBuffer, ImportTooLargeError } from './lib/importer.js';
+import { ALL_TENANTS, createMetricsStore } from './lib/store.js';
+import { applyFilters, describeFilters, parseFilters, withoutDates } from './lib/filters.js';
+import { comparePeriods, formatChange } from './lib/compare.js';
+import { loadHolidays } from './lib/calendar.js';
+import { getSeasonality } from './lib/seasonality.js';
+import { getActiveUsers } from './lib/engagement.js';
+import { DEFAULT_INACTIVE_DAYS, getSeatUtilization, parseInactiveDays } from './lib/seats.js';
+import { ROI_ASSUMPTIONS, estimateRoi, loadRoiAssumptions, parseRoiAssumptions } from './lib/roi.js';
+import { evaluateGoals, goalsFor, loadGoals, parseGoal, saveGoals } from './lib/goals.js';
+import {
+  ALERT_RULE_TYPES, alertPayload, evaluateAlertRules, listAlerts, loadAlertRules, loadAlertState, markNotified, pendingAlerts,
+  recordAlerts, resolveAlert, saveAlertState,
+} from './lib/alerts.js';
+import { createWebhookSender, loadWebhooks } from './lib/webhooks.js';
+import { buildDigest, digestPayload } from './lib/digest.js';
+import { createMailer, loadSmtpConfig, renderReportEmail } from './lib/mailer.js';
+import {
+  dueSubscriptions, loadCustomReports, loadEmailState, loadSubscriptions, nextDelivery, parseCustomReport, parseEmailHour,
+  parseSubscription, recordDelivery, saveCustomReports, saveEmailState, saveSubscriptions,
+} from './lib/subscriptions.js';
+import { ANOMALY_METRICS, ANOMALY_SEVERITIES, detectAnomalies, parseAnomalyOptions } from './lib/anomalies.js';
+import { FORECAST_HORIZONS, FORECAST_METRICS, forecastMetrics, forecastSeries, parseTargets } from './lib/forecast.js';
+import { QUERY_DIMENSIONS, QUERY_MEASURES, parseQuery, runQuery } from './lib/query.js';
+import {
+  AGENT_FEATURES, CHAT_MODES, FEATURE_DISPLAY,
+  aggregateAgentCodeChangesByLanguage, aggregateAgentCodeChangesByModel, aggregateAgentInitiatedCodeChanges,
+  aggregateAvgChatRequestsPerActiveUser, aggregateByDay, aggregateByFeature, aggregateByIDE, aggregateByLanguage,
+  aggregateByModel, aggregateChatModelDistribution, aggregateCodeCompletionAcceptanceRate, aggregateCodeCompletions,
+  aggregateDailyActiveUsers, aggregateDailyLocAddedDeleted, aggregateLanguageDistribution, aggregateLanguageUsagePerDay,
+  aggregateModelUsagePerChatMode, aggregateModelUsagePerDay, aggregateModelUsagePerLanguage, aggregateRequestsPerChatMode,
+  aggregateUserCodeChangesByLanguage, aggregateUserCodeChangesByModel, aggregateUserInitiatedCodeChanges,
+  countUsersWhere, getAgentAdoptionPct, getDateRange, getFeatureActivity, getSummary, getUniqueUsers, sumField,
+} from './lib/metrics.js';
+import * as users from './lib/users.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,720 +62,408 @@ if (fs.existsSync(envPath)) {
 const app = express();
 const PORT = 3000;
 
+// Uploads are read as raw bytes whatever their content type, so this has to
+// run before express.json() claims application/json bodies
+app.use('/api/import', express.raw({ type: () => true, limit: '500mb' }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ─── In-memory data store ───────────────────────────────────────────────────
+// `records` and `userRecords` hold the tenant view being aggregated; see withTenant()
 let records = [];
-let preGeneratedReports = {};
+let userRecords = [];
+let reportsByTenant = {};
 
 // ─── Data Loading ───────────────────────────────────────────────────────────
 
-const ENTERPRISE = process.env.COPILOT_ENTERPRISE || 'github';
-const GITHUB_TOKEN = process.env.GH_TOKEN || process.env.GITHUB_TOKEN;
-const API_BASE = 'https://api.github.com';
-
-async function fetchMetricsForDay(day) {
-  const url = `${API_BASE}/enterprises/${ENTERPRISE}/copilot/metrics/reports/enterprise-1-day?day=${day}`;
-  const res = await fetch(url, {
-    headers: {
-      'Accept': 'application/vnd.github+json',
-      'Authorization': `Bearer ${GITHUB_TOKEN}`,
-      'X-GitHub-Api-Version': '2022-11-28',
-    },
-  });
-  if (!res.ok) {
-    if (res.status === 404) return [];
-    console.warn(`API error for ${day}: ${res.status} ${res.statusText}`);
-    return [];
-  }
-  const data = await res.json();
-  const allRecords = [];
-  const links = data.download_links || data.download_urls || [];
-  if (links.length > 0) {
-    for (const link of links) {
-      const dlUrl = typeof link === 'string' ? link : link.url;
-      const dlRes = await fetch(dlUrl);
-      if (!dlRes.ok) continue;
-      const text = await dlRes.text();
-      for (const line of text.split('\n')) {
-        const trimmed = line.trim();
-        if (!trimmed) continue;
-        try { allRecords.push(JSON.parse(trimmed)); } catch(e) {}
-      }
-    }
-  } else if (Array.isArray(data)) {
-    allRecords.push(...data);
-  }
-  return allRecords;
-}
+const TENANTS_FILE = process.env.COPILOT_TENANTS_FILE || path.join(__dirname, 'tenants.json');
+const TENANTS = loadTenants(TENANTS_FILE);
+// Days left out of working-day views, on top of weekends
+const HOLIDAYS = loadHolidays(process.env.COPILOT_HOLIDAYS_FILE || path.join(__dirname, 'holidays.json'));
+// One archive per source, so enterprise and org histories never mix
+const ARCHIVE_DIR = process.env.COPILOT_ARCHIVE_DIR || path.join(__dirname, 'data');
+// Most recent days re-fetched on every refresh, since GitHub may still revise them
+const REFETCH_RECENT_DAYS = parseInt(process.env.COPILOT_REFETCH_RECENT_DAYS || '3', 10);
+// Background refresh cadence: an interval ("6h") or a cron expression ("0 6 * * *"); unset disables it
+const REFRESH_SCHEDULE = process.env.COPILOT_REFRESH_SCHEDULE || '';
+// When the weekly digest is posted to the webhooks, e.g. "0 9 * * 1"; unset disables it
+const DIGEST_SCHEDULE = process.env.COPILOT_DIGEST_SCHEDULE || '';
+// Per-user reports power the leaderboard and user profiles; they are large, so only recent days are kept
+const USER_METRICS = process.env.COPILOT_USER_METRICS !== 'false';
+const USER_HISTORY_DAYS = parseInt(process.env.COPILOT_USER_HISTORY_DAYS || '90', 10);
+// Seat assignments for the utilization report; a seat with no activity for this many days counts as unused
+const SEATS = process.env.COPILOT_SEATS !== 'false';
+const INACTIVE_SEAT_DAYS = parseInactiveDays(process.env.COPILOT_INACTIVE_SEAT_DAYS, DEFAULT_INACTIVE_DAYS);
+// Seat and engineer costs and minutes saved per unit of activity for the ROI report (COPILOT_ROI_*)
+const ROI_DEFAULTS = loadRoiAssumptions();
+// Adoption goals with target dates; edited through the UI as well, which writes them back
+const GOALS_FILE = process.env.COPILOT_GOALS_FILE || path.join(__dirname, 'goals.json');
+let goals = loadGoals(GOALS_FILE);
+// Threshold alert rules checked after every refresh, and the chat/webhook endpoints notified
+const ALERT_RULES = loadAlertRules(process.env.COPILOT_ALERTS_FILE || path.join(__dirname, 'alerts.json'));
+const ALERT_STATE_FILE = path.join(ARCHIVE_DIR, 'alerts-state.json');
+const webhooks = createWebhookSender({
+  webhooks: loadWebhooks(process.env.COPILOT_WEBHOOKS_FILE || path.join(__dirname, 'webhooks.json')),
+  proxy: process.env.COPILOT_PROXY || null,
+  caFile: process.env.COPILOT_CA_FILE || null,
+});
+// Linked from notifications when set, e.g. https://copilot-metrics.example.com
+const DASHBOARD_URL = process.env.COPILOT_DASHBOARD_URL || null;
+// Report emails: SMTP settings (COPILOT_SMTP_*; unset disables email), who gets which report, and when
+const SMTP = loadSmtpConfig();
+const SUBSCRIPTIONS_FILE = process.env.COPILOT_SUBSCRIPTIONS_FILE || path.join(__dirname, 'subscriptions.json');
+const EMAIL_HOUR = parseEmailHour(process.env.COPILOT_EMAIL_HOUR);
+const EMAIL_STATE_FILE = path.join(ARCHIVE_DIR, 'email-state.json');
+// Custom reports saved from the UI, so they survive reloads and can be emailed
+const CUSTOM_REPORTS_FILE = path.join(ARCHIVE_DIR, 'custom-reports.json');
+
+const store = createMetricsStore({
+  tenants: TENANTS,
+  archiveDir: ARCHIVE_DIR,
+  refetchRecentDays: REFETCH_RECENT_DAYS,
+  userMetrics: USER_METRICS,
+  userHistoryDays: USER_HISTORY_DAYS,
+  seats: SEATS,
+});
 
-async function loadAllData() {
-  if (!GITHUB_TOKEN) {
-    console.error('ERROR: No GitHub token found. Set GH_TOKEN or GITHUB_TOKEN environment variable.');
-    console.error('Token needs manage_billing:copilot or read:enterprise scope.');
+async function loadAllData(opts) {
+  const missingToken = store.missingCredentials();
+  if (missingToken.length > 0) {
+    console.error(`ERROR: No GitHub token found for ${missingToken.map(t => t.label).join(', ')}. Set GH_TOKEN or GITHUB_TOKEN environment variable, or configure a GitHub App (GITHUB_APP_ID, GITHUB_APP_INSTALLATION_ID, GITHUB_APP_PRIVATE_KEY_FILE).`);
+    console.error('Token needs manage_billing:copilot, plus read:enterprise (enterprise source) or read:org (organization source) scope.');
+    console.error('To analyse exported report files without API access, set COPILOT_IMPORT_DIR or COPILOT_OFFLINE=true.');
     process.exit(1);
   }
-
-  console.log(`Fetching metrics for enterprise: ${ENTERPRISE}`);
-  const today = new Date();
-  const days = [];
-  for (let i = 1; i <= 28; i++) {
-    const d = new Date(today);
-    d.setDate(d.getDate() - i);
-    days.push(d.toISOString().slice(0, 10));
-  }
-
-  let allRecords = [];
-  for (let i = 0; i < days.length; i += 7) {
-    const batch = days.slice(i, i + 7);
-    console.log(`Fetching days: ${batch[0]} to ${batch[batch.length - 1]}...`);
-    const results = await Promise.all(batch.map(day => fetchMetricsForDay(day)));
-    for (const recs of results) {
-      allRecords = allRecords.concat(recs);
-    }
-  }
-
-  // Deduplicate by enterprise_id + day (or just day for single enterprise)
-  const seen = new Map();
-  for (const rec of allRecords) {
-    const key = `${rec.enterprise_id || 'default'}|${rec.day}`;
-    seen.set(key, rec);
-  }
-  records = Array.from(seen.values());
-  console.log(`Total unique records: ${records.length}`);
-}
-
-// ─── Aggregation Helpers ────────────────────────────────────────────────────
-
-function getDateRange() {
-  let start = null, end = null;
-  for (const r of records) {
-    if (!start || r.day < start) start = r.day;
-    if (!end || r.day > end) end = r.day;
-  }
-  return { start, end };
-}
-
-function getUniqueUsers() {
-  // Enterprise data has daily_active_users count, not individual user_login
-  // Return a pseudo-set with .size = max daily_active_users across all days
-  const maxDau = records.reduce((m, r) => Math.max(m, r.daily_active_users || 0), 0);
-  return { size: maxDau };
-}
-
-function sumField(field) {
-  return records.reduce((s, r) => s + (r[field] || 0), 0);
-}
-
-function countUsersWhere(predicate) {
-  // Not applicable for enterprise-level data; return aggregate approximation
-  let count = 0;
-  for (const r of records) {
-    if (predicate(r)) count++;
-  }
-  return count;
-}
-
-function aggregateByDay() {
-  const days = {};
-  for (const r of records) {
-    if (!days[r.day]) {
-      days[r.day] = { interactions: 0, codeGenerated: 0, locAdded: 0, activeUsers: 0 };
-    }
-    const d = days[r.day];
-    d.interactions += r.user_initiated_interaction_count || 0;
-    d.codeGenerated += r.code_generation_activity_count || 0;
-    d.locAdded += r.loc_added_sum || 0;
-    d.activeUsers = r.daily_active_users || 0;
-  }
-  return Object.entries(days)
-    .map(([day, d]) => ({
-      day,
-      interactions: d.interactions,
-      codeGenerated: d.codeGenerated,
-      locAdded: d.locAdded,
-      activeUsers: d.activeUsers,
-    }))
-    .sort((a, b) => a.day.localeCompare(b.day));
+  const result = await store.loadAll(opts);
+  ({ records, userRecords } = store.view(ALL_TENANTS));
+  return result;
 }
 
-function aggregateByFeature() {
-  const features = {};
-  for (const r of records) {
-    for (const f of r.totals_by_feature || []) {
-      if (!features[f.feature]) {
-        features[f.feature] = { interactions: 0, codeGenerated: 0, locAdded: 0 };
-      }
-      features[f.feature].interactions += f.user_initiated_interaction_count || 0;
-      features[f.feature].codeGenerated += f.code_generation_activity_count || 0;
-      features[f.feature].locAdded += f.loc_added_sum || 0;
-    }
-  }
-  return Object.entries(features)
-    .map(([feature, d]) => ({ feature, ...d }))
-    .sort((a, b) => b.interactions - a.interactions);
+// Merge an unpacked upload (see importBuffer) into one tenant and rebuild its views
+async function importUpload(source, imported) {
+  const result = await store.importInto(source, imported);
+  ({ records, userRecords } = store.view(ALL_TENANTS));
+  generateReports();
+  return result;
 }
 
-function aggregateByLanguage() {
-  const langs = {};
-  for (const r of records) {
-    for (const l of r.totals_by_language_feature || []) {
-      if (!langs[l.language]) {
-        langs[l.language] = { codeGenerated: 0, locAdded: 0 };
-      }
-      langs[l.language].codeGenerated += l.code_generation_activity_count || 0;
-      langs[l.language].locAdded += l.loc_added_sum || 0;
-    }
+// Run `fn` with `records`/`userRecords` pointing at one tenant's data (or the
+// combined view), narrowed by `filters` from parseFilters(). Aggregations are
+// synchronous, so the swap can't leak.
+function withTenant(tenant, fn, filters = null) {
+  const view = store.view(tenant || ALL_TENANTS);
+  if (!view) throw new Error(`Unknown tenant "${tenant}"`);
+  const prev = { records, userRecords };
+  records = applyFilters(view.records, filters);
+  userRecords = applyFilters(view.userRecords, filters);
+  try {
+    return fn();
+  } finally {
+    ({ records, userRecords } = prev);
   }
-  return Object.entries(langs)
-    .map(([language, d]) => ({ language, ...d }))
-    .sort((a, b) => b.codeGenerated - a.codeGenerated)
-    .slice(0, 15);
 }
 
-function aggregateByModel() {
-  const models = {};
-  for (const r of records) {
-    for (const m of r.totals_by_model_feature || []) {
-      if (!models[m.model]) {
-        models[m.model] = { interactions: 0, codeGenerated: 0 };
-      }
-      models[m.model].interactions += m.user_initiated_interaction_count || 0;
-      models[m.model].codeGenerated += m.code_generation_activity_count || 0;
-    }
-  }
-  return Object.entries(models)
-    .map(([model, d]) => ({ model, ...d }))
-    .sort((a, b) => b.interactions - a.interactions)
-    .slice(0, 15);
+function listTenants() {
+  const list = TENANTS.map(t => ({ id: t.id, label: t.label, type: t.type, slug: t.slug, apiBase: t.apiBase }));
+  if (TENANTS.length > 1) list.unshift({ id: ALL_TENANTS, label: 'All tenants', type: 'rollup' });
+  return list;
 }
 
-function aggregateByIDE() {
-  const ides = {};
-  for (const r of records) {
-    for (const i of r.totals_by_ide || []) {
-      if (!ides[i.ide]) {
-        ides[i.ide] = { interactions: 0, codeGenerated: 0 };
-      }
-      ides[i.ide].interactions += i.user_initiated_interaction_count || 0;
-      ides[i.ide].codeGenerated += i.code_generation_activity_count || 0;
-    }
-  }
-  return Object.entries(ides)
-    .map(([ide, d]) => ({ ide, interactions: d.interactions, codeGenerated: d.codeGenerated }))
-    .sort((a, b) => b.interactions - a.interactions);
-}
+// ─── Aggregation Helpers ────────────────────────────────────────────────────
+// The metrics themselves live in lib/metrics.js, shared with the MCP server
 
 function aggregateTopUsers(limit = 50) {
-  // Enterprise-level data does not include per-user breakdowns
-  return [];
+  return users.aggregateTopUsers(userRecords, limit);
 }
 
 function getUserData(username) {
-  // Enterprise-level data does not include per-user breakdowns
-  return null;
+  return users.getUserData(userRecords, username);
 }
 
 // ─── Report Generation ─────────────────────────────────────────────────────
 
+// Filtered views can leave a count unavailable (null); show that rather than 0
 function fmt(n) {
-  return n.toLocaleString('en-US');
+  return n === null ? '—' : n.toLocaleString('en-US');
 }
 
 function fmtShort(n) {
+  if (n === null) return '—';
   if (n >= 1e9) return (n / 1e9).toFixed(1) + 'b';
   if (n >= 1e6) return (n / 1e6).toFixed(1) + 'm';
   if (n >= 1e3) return (n / 1e3).toFixed(1) + 'k';
   return String(n);
 }
 
-const FEATURE_DISPLAY = {
-  chat_panel_agent_mode: 'Agent Mode',
-  chat_panel_ask_mode: 'Ask Mode',
-  chat_panel_edit_mode: 'Edit Mode',
-  chat_panel_custom_mode: 'Custom Mode',
-  chat_inline: 'Inline Chat',
-  code_completion: 'Code Completion',
-  agent_edit: 'Agent Edit',
-  chat_panel_unknown_mode: 'Unknown Mode',
+const KPI_LABELS = {
+  avgDailyActiveUsers: 'Avg Daily Active Users',
+  peakDailyActiveUsers: 'Peak Daily Active Users',
+  interactions: 'Interactions',
+  codeGenerated: 'Code Generations',
+  codeAccepted: 'Code Acceptances',
+  locAdded: 'Lines Added',
+  locDeleted: 'Lines Deleted',
+  agentAdoptionPct: 'Agent Adoption',
+  acceptanceRate: 'Completion Acceptance Rate',
 };
 
-const AGENT_FEATURES = ['agent_edit', 'chat_panel_agent_mode', 'chat_panel_custom_mode', 'chat_panel_edit_mode'];
-const USER_INITIATED_FEATURES = ['code_completion', 'chat_panel_ask_mode', 'chat_inline'];
-const CHAT_MODES = ['chat_panel_agent_mode', 'chat_panel_ask_mode', 'chat_panel_edit_mode', 'chat_panel_custom_mode', 'chat_inline'];
-
-function getSortedDays() {
-  const daySet = new Set(records.map(r => r.day));
-  return Array.from(daySet).sort();
-}
-
-function getRecordsByDay() {
-  const byDay = {};
-  for (const r of records) {
-    if (!byDay[r.day]) byDay[r.day] = [];
-    byDay[r.day].push(r);
-  }
-  return byDay;
-}
-
-function topN(arr, key, n = 5) {
-  const sorted = [...arr].sort((a, b) => b[key] - a[key]);
-  const top = sorted.slice(0, n);
-  const rest = sorted.slice(n);
-  const otherVal = rest.reduce((s, x) => s + x[key], 0);
-  return { top, otherVal };
-}
-
-function aggregateDailyActiveUsers() {
-  return getSortedDays().map(day => {
-    const rec = records.find(r => r.day === day);
-    return { day, users: rec ? (rec.daily_active_users || 0) : 0 };
-  });
-}
-
-function aggregateWeeklyActiveUsers() {
-  const days = getSortedDays();
-  const dauByDay = {};
-  for (const r of records) {
-    dauByDay[r.day] = r.daily_active_users || 0;
-  }
-  return days.map((day, idx) => {
-    // 7-day rolling average of daily active users
-    const windowDays = days.slice(Math.max(0, idx - 6), idx + 1);
-    const sum = windowDays.reduce((s, d) => s + (dauByDay[d] || 0), 0);
-    return { day, users: Math.round(sum / windowDays.length) };
-  });
-}
-
-function aggregateAvgChatRequestsPerActiveUser() {
-  return getSortedDays().map(day => {
-    const rec = records.find(r => r.day === day);
-    if (!rec) return { day, avg: 0 };
-    let totalChat = 0;
-    for (const f of (rec.totals_by_feature || [])) {
-      if (f.feature !== 'code_completion') {
-        totalChat += f.user_initiated_interaction_count || 0;
-      }
-    }
-    const dau = rec.daily_active_users || 1;
-    return { day, avg: Math.round((totalChat / dau) * 100) / 100 };
-  });
-}
-
-function aggregateRequestsPerChatMode() {
-  const byDay = getRecordsByDay();
-  const days = getSortedDays();
-  const series = {};
-  for (const feat of CHAT_MODES) {
-    series[FEATURE_DISPLAY[feat]] = [];
-  }
-  for (const day of days) {
-    const counts = {};
-    for (const feat of CHAT_MODES) counts[FEATURE_DISPLAY[feat]] = 0;
-    for (const r of byDay[day]) {
-      for (const f of (r.totals_by_feature || [])) {
-        if (CHAT_MODES.includes(f.feature)) {
-          counts[FEATURE_DISPLAY[f.feature]] += f.user_initiated_interaction_count || 0;
-        }
-      }
-    }
-    for (const name of Object.keys(series)) {
-      series[name].push(counts[name]);
-    }
-  }
-  return { days, series };
-}
-
-function aggregateCodeCompletions() {
-  const byDay = getRecordsByDay();
-  return getSortedDays().map(day => {
-    let shown = 0, accepted = 0;
-    for (const r of byDay[day]) {
-      for (const f of (r.totals_by_feature || [])) {
-        if (f.feature === 'code_completion') {
-          shown += f.code_generation_activity_count || 0;
-          accepted += f.code_acceptance_activity_count || 0;
-        }
-      }
-    }
-    return { day, shown, accepted };
-  });
+// WAU/MAU with approximations marked; see the note from activeUsersNote()
+function fmtActive(value, source) {
+  return source === 'approximate' ? `≈${fmt(value)}*` : fmt(value);
 }
 
-function aggregateCodeCompletionAcceptanceRate() {
-  return aggregateCodeCompletions().map(d => ({
-    day: d.day,
-    rate: d.shown > 0 ? Math.round((d.accepted / d.shown) * 10000) / 100 : 0,
-  }));
+function activeUsersNote(engagement) {
+  const approximate = engagement.latest && [engagement.latest.wauSource, engagement.latest.mauSource].includes('approximate');
+  return approximate ? [`\n*\\* Approximation: average DAU over the window, not distinct users (the reports for this period carry no weekly/monthly counts and the per-user data doesn't cover it).*`] : [];
 }
 
-function aggregateModelUsagePerDay() {
-  const byDay = getRecordsByDay();
-  const days = getSortedDays();
-  const modelTotals = {};
-  for (const r of records) {
-    for (const m of (r.totals_by_model_feature || [])) {
-      const cnt = (m.user_initiated_interaction_count || 0) + (m.code_generation_activity_count || 0);
-      modelTotals[m.model] = (modelTotals[m.model] || 0) + cnt;
-    }
-  }
-  const sorted = Object.entries(modelTotals).sort((a, b) => b[1] - a[1]);
-  const topModels = sorted.slice(0, 5).map(e => e[0]);
-
-  const series = {};
-  for (const m of topModels) series[m] = [];
-  series['Other'] = [];
-
-  for (const day of days) {
-    const dayCounts = {};
-    for (const m of topModels) dayCounts[m] = 0;
-    dayCounts['Other'] = 0;
-    for (const r of byDay[day]) {
-      for (const m of (r.totals_by_model_feature || [])) {
-        const cnt = (m.user_initiated_interaction_count || 0) + (m.code_generation_activity_count || 0);
-        if (topModels.includes(m.model)) {
-          dayCounts[m.model] += cnt;
-        } else {
-          dayCounts['Other'] += cnt;
-        }
-      }
-    }
-    const total = Object.values(dayCounts).reduce((s, v) => s + v, 0);
-    for (const key of [...topModels, 'Other']) {
-      series[key].push(total > 0 ? Math.round((dayCounts[key] / total) * 10000) / 100 : 0);
-    }
-  }
-  return { days, series };
+function fmtMoney(value, currency) {
+  return `${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}`;
 }
 
-function aggregateChatModelDistribution() {
-  const modelCounts = {};
-  for (const r of records) {
-    for (const m of (r.totals_by_model_feature || [])) {
-      if (m.feature !== 'code_completion') {
-        const cnt = (m.user_initiated_interaction_count || 0);
-        modelCounts[m.model] = (modelCounts[m.model] || 0) + cnt;
-      }
-    }
-  }
-  return Object.entries(modelCounts)
-    .map(([model, count]) => ({ model, count }))
-    .sort((a, b) => b.count - a.count);
+function fmtKpi(value, unit) {
+  if (value === null) return '—';
+  return unit === 'pct' ? `${value.toFixed(1)}%` : fmt(value);
 }
 
-function aggregateModelUsagePerChatMode() {
-  const modelTotals = {};
-  for (const r of records) {
-    for (const m of (r.totals_by_model_feature || [])) {
-      if (CHAT_MODES.includes(m.feature)) {
-        modelTotals[m.model] = (modelTotals[m.model] || 0) + (m.user_initiated_interaction_count || 0);
-      }
-    }
-  }
-  const sorted = Object.entries(modelTotals).sort((a, b) => b[1] - a[1]);
-  const topModels = sorted.slice(0, 5).map(e => e[0]);
-
-  const data = {};
-  for (const feat of CHAT_MODES) {
-    data[FEATURE_DISPLAY[feat]] = {};
-    for (const m of topModels) data[FEATURE_DISPLAY[feat]][m] = 0;
-    data[FEATURE_DISPLAY[feat]]['Other'] = 0;
-  }
-  for (const r of records) {
-    for (const m of (r.totals_by_model_feature || [])) {
-      if (CHAT_MODES.includes(m.feature)) {
-        const displayFeat = FEATURE_DISPLAY[m.feature];
-        const cnt = m.user_initiated_interaction_count || 0;
-        if (topModels.includes(m.model)) {
-          data[displayFeat][m.model] += cnt;
-        } else {
-          data[displayFeat]['Other'] += cnt;
-        }
-      }
-    }
+// Period-over-period section of the executive summary (and, on working days, the seasonality report)
+function comparisonMarkdown(comparison, title = 'Period over Period') {
+  if (!comparison) return [];
+  const { current, previous } = comparison;
+  const row = (label, c) => `| ${label} | ${fmtKpi(c.current, c.unit)} | ${fmtKpi(c.previous, c.unit)} | ${formatChange(c)} |`;
+  const working = comparison.basis === 'working days';
+  const lines = [
+    ``,
+    `## ${title}`,
+    `**${current.start} to ${current.end}** vs **${previous.start} to ${previous.end}** (${current.days} days each${working ? `; ${current.workingDays} and ${previous.workingDays} working days` : ''})\n`,
+  ];
+  if (previous.daysWithData === 0) {
+    lines.push(`> The archive has no data for the previous period yet, so there is nothing to compare against.`);
+    return lines;
   }
-  // Convert to % per chat mode
-  const labels = CHAT_MODES.map(f => FEATURE_DISPLAY[f]);
-  const seriesKeys = [...topModels, 'Other'];
-  const datasets = seriesKeys.map(model => ({
-    label: model,
-    data: labels.map(feat => {
-      const total = Object.values(data[feat]).reduce((s, v) => s + v, 0);
-      return total > 0 ? Math.round((data[feat][model] / total) * 10000) / 100 : 0;
-    }),
-  }));
-  return { labels, datasets };
-}
-
-function aggregateLanguageUsagePerDay() {
-  const byDay = getRecordsByDay();
-  const days = getSortedDays();
-  const langTotals = {};
-  for (const r of records) {
-    for (const l of (r.totals_by_language_feature || [])) {
-      langTotals[l.language] = (langTotals[l.language] || 0) + (l.code_generation_activity_count || 0);
-    }
+  lines.push(
+    `| Metric | Current | Previous | Change |`,
+    `|--------|---------|----------|--------|`,
+    ...Object.entries(comparison.kpis).map(([name, c]) => row(KPI_LABELS[name], c)),
+  );
+  const expected = (w) => (working ? w.workingDays : w.days);
+  if (!comparison.totalsComparable) {
+    lines.push(``, `> ${working ? 'Working days' : 'Days'} with data: ${current.daysWithData} of ${expected(current)} (current), ${previous.daysWithData} of ${expected(previous)} (previous). Totals over different coverage are not like for like, so only averages and rates show a change.`);
   }
-  const sorted = Object.entries(langTotals).sort((a, b) => b[1] - a[1]);
-  const topLangs = sorted.slice(0, 5).map(e => e[0]);
-
-  const series = {};
-  for (const l of topLangs) series[l] = [];
-  series['Other'] = [];
-
-  for (const day of days) {
-    const dayCounts = {};
-    for (const l of topLangs) dayCounts[l] = 0;
-    dayCounts['Other'] = 0;
-    for (const r of byDay[day]) {
-      for (const l of (r.totals_by_language_feature || [])) {
-        if (topLangs.includes(l.language)) {
-          dayCounts[l.language] += l.code_generation_activity_count || 0;
-        } else {
-          dayCounts['Other'] += l.code_generation_activity_count || 0;
-        }
-      }
-    }
-    const total = Object.values(dayCounts).reduce((s, v) => s + v, 0);
-    for (const key of [...topLangs, 'Other']) {
-      series[key].push(total > 0 ? Math.round((dayCounts[key] / total) * 10000) / 100 : 0);
-    }
+  for (const [title, list, key] of [['Top Languages (code generations)', comparison.languages, 'language'], ['Top Models (interactions)', comparison.models, 'model']]) {
+    if (!list || list.length === 0) continue;
+    lines.push(
+      ``,
+      `### ${title}`,
+      `| ${key === 'language' ? 'Language' : 'Model'} | Current | Previous | Change |`,
+      `|---|---|---|---|`,
+      ...list.map(e => row(e[key], e)),
+    );
   }
-  return { days, series };
+  return lines;
 }
 
-function aggregateLanguageDistribution() {
-  const langCounts = {};
-  for (const r of records) {
-    for (const l of (r.totals_by_language_feature || [])) {
-      langCounts[l.language] = (langCounts[l.language] || 0) + (l.code_generation_activity_count || 0);
-    }
-  }
-  return Object.entries(langCounts)
-    .map(([language, count]) => ({ language, count }))
-    .sort((a, b) => b.count - a.count);
+const ANOMALY_COLORS = { critical: '#f85149', warning: '#d29922' };
+
+// Scatter overlay marking a metric's anomalous days on a daily line chart
+function anomalyOverlay(anomalies, metric, label, days, values) {
+  const byDay = new Map(anomalies.filter(a => a.metric === metric).map(a => [a.day, a]));
+  if (byDay.size === 0) return [];
+  return [{
+    label: `⚠ ${label}`,
+    data: days.map((day, i) => (byDay.has(day) ? values[i] : null)),
+    showLine: false,
+    pointStyle: 'triangle',
+    pointRadius: 7,
+    pointBackgroundColor: days.map(day => ANOMALY_COLORS[byDay.get(day)?.severity] || 'transparent'),
+    borderColor: ANOMALY_COLORS.warning,
+  }];
 }
 
-function aggregateModelUsagePerLanguage() {
-  const langTotals = {};
-  for (const r of records) {
-    for (const l of (r.totals_by_language_model || [])) {
-      langTotals[l.language] = (langTotals[l.language] || 0) + (l.code_generation_activity_count || 0);
-    }
-  }
-  const sortedLangs = Object.entries(langTotals).sort((a, b) => b[1] - a[1]);
-  const topLangs = sortedLangs.slice(0, 5).map(e => e[0]);
-
-  const modelTotals = {};
-  for (const r of records) {
-    for (const l of (r.totals_by_language_model || [])) {
-      if (topLangs.includes(l.language)) {
-        modelTotals[l.model] = (modelTotals[l.model] || 0) + (l.code_generation_activity_count || 0);
-      }
-    }
-  }
-  const sortedModels = Object.entries(modelTotals).sort((a, b) => b[1] - a[1]);
-  const topModels = sortedModels.slice(0, 5).map(e => e[0]);
-
-  const data = {};
-  for (const lang of topLangs) {
-    data[lang] = {};
-    for (const m of topModels) data[lang][m] = 0;
-    data[lang]['Other'] = 0;
-  }
-  for (const r of records) {
-    for (const l of (r.totals_by_language_model || [])) {
-      if (topLangs.includes(l.language)) {
-        const cnt = l.code_generation_activity_count || 0;
-        if (topModels.includes(l.model)) {
-          data[l.language][l.model] += cnt;
-        } else {
-          data[l.language]['Other'] += cnt;
-        }
-      }
-    }
-  }
-  const labels = topLangs;
-  const seriesKeys = [...topModels, 'Other'];
-  const datasets = seriesKeys.map(model => ({
-    label: model,
-    data: labels.map(lang => {
-      const total = Object.values(data[lang]).reduce((s, v) => s + v, 0);
-      return total > 0 ? Math.round((data[lang][model] / total) * 10000) / 100 : 0;
-    }),
-  }));
-  return { labels, datasets };
+const FORECAST_CHART_DAYS = 30;
+
+// Dashed projection and its 90% band continuing a daily line chart; returns the extended labels too
+function forecastExtension(forecast, days, values, aheadDays = FORECAST_CHART_DAYS) {
+  if (!forecast || forecast.unavailable) return { labels: days, datasets: [] };
+  const ahead = forecast.daily.slice(0, aheadDays);
+  const labels = [...days, ...ahead.map(p => p.day).filter(day => day > days[days.length - 1])];
+  const byDay = new Map(ahead.map(p => [p.day, p]));
+  // Start the dashed lines at the last actual value so they join the history
+  const anchor = forecast.history.end;
+  const anchorValue = values[days.indexOf(anchor)] ?? null;
+  const line = (field) => labels.map(day => (day === anchor ? anchorValue : byDay.get(day)?.[field] ?? null));
+  const band = { borderDash: [2, 3], borderWidth: 1, pointRadius: 0, borderColor: 'rgba(139,148,158,0.5)' };
+  return {
+    labels,
+    datasets: [
+      { label: 'Forecast', data: line('expected'), borderDash: [6, 4], pointRadius: 0, borderColor: '#8b949e' },
+      { label: 'Forecast low (90%)', data: line('lower'), ...band },
+      { label: 'Forecast high (90%)', data: line('upper'), ...band, fill: '-1', backgroundColor: 'rgba(139,148,158,0.12)' },
+    ],
+  };
 }
 
-function aggregateDailyLocAddedDeleted() {
-  const byDay = getRecordsByDay();
-  return getSortedDays().map(day => {
-    let added = 0, deleted = 0;
-    for (const r of byDay[day]) {
-      added += r.loc_added_sum || 0;
-      deleted += r.loc_deleted_sum || 0;
-    }
-    return { day, added, deleted };
-  });
+function fmtForecast(value, unit) {
+  return unit === 'pct' ? `${value.toFixed(1)}%` : fmt(value);
 }
 
-function aggregateUserInitiatedCodeChanges() {
-  let suggested = 0, added = 0;
-  for (const r of records) {
-    for (const f of (r.totals_by_feature || [])) {
-      if (USER_INITIATED_FEATURES.includes(f.feature)) {
-        suggested += f.loc_suggested_to_add_sum || 0;
-        added += f.loc_added_sum || 0;
-      }
+function forecastMarkdown(result) {
+  if (!result) return [];
+  const metrics = Object.values(result.metrics);
+  const lines = [
+    ``,
+    `## Forecast`,
+    `Weekday level if the current linear trend continues, with the 90% range in brackets.\n`,
+    `| Metric | Now | ${FORECAST_HORIZONS.map(d => `In ${d} days`).join(' | ')} | Trend per Week |`,
+    `|--------|-----|${FORECAST_HORIZONS.map(() => '---').join('|')}|----------------|`,
+  ];
+  for (const m of metrics) {
+    if (m.unavailable) {
+      lines.push(`| ${m.label} | — | ${FORECAST_HORIZONS.map(() => '—').join(' | ')} | ${m.unavailable} |`);
+      continue;
     }
+    const cell = (p) => `${fmtForecast(p.expected, m.unit)} (${fmtForecast(p.lower, m.unit)}–${fmtForecast(p.upper, m.unit)})`;
+    const trend = `${m.trendPerWeek >= 0 ? '+' : ''}${m.unit === 'pct' ? `${m.trendPerWeek.toFixed(2)} pts` : fmt(Math.round(m.trendPerWeek))}`;
+    lines.push(`| ${m.label} | ${fmtForecast(m.current.expected, m.unit)} | ${m.horizons.map(cell).join(' | ')} | ${trend} |`);
   }
-  return { suggested, added };
+  return lines;
 }
 
-function aggregateAgentInitiatedCodeChanges() {
-  let added = 0, deleted = 0;
-  for (const r of records) {
-    for (const f of (r.totals_by_feature || [])) {
-      if (AGENT_FEATURES.includes(f.feature)) {
-        added += f.loc_added_sum || 0;
-        deleted += f.loc_deleted_sum || 0;
-      }
-    }
+function anomaliesMarkdown(result) {
+  if (!result) return [];
+  const lines = [``, `## Anomalies`];
+  if (result.anomalies.length === 0) {
+    lines.push(`No unusual days: every day is within the normal range for its weekday or weekend.`);
+    return lines;
   }
-  return { added, deleted };
+  lines.push(
+    `${result.summary.critical} critical, ${result.summary.warning} warning (compared with the same kind of day over the previous 4 weeks)\n`,
+    ...result.anomalies.map(a => `- ${a.severity === 'critical' ? '🔴' : '🟠'} **${a.day}** — ${a.explanation}`),
+  );
+  return lines;
 }
 
-function aggregateUserCodeChangesByModel() {
-  const models = {};
-  for (const r of records) {
-    for (const m of (r.totals_by_model_feature || [])) {
-      if (!AGENT_FEATURES.includes(m.feature)) {
-        if (!models[m.model]) models[m.model] = { suggested: 0, added: 0 };
-        models[m.model].suggested += m.loc_suggested_to_add_sum || 0;
-        models[m.model].added += m.loc_added_sum || 0;
-      }
-    }
-  }
-  return Object.entries(models)
-    .map(([model, d]) => ({ model, ...d }))
-    .sort((a, b) => (b.suggested + b.added) - (a.suggested + a.added));
-}
+const GOAL_STATUS_LABELS = {
+  'missed': '❌ Missed',
+  'off track': '🔴 Off track',
+  'at risk': '🟠 At risk',
+  'on track': '🟢 On track',
+  'achieved': '✅ Achieved',
+  'unavailable': '➖ Not enough data',
+};
 
-function aggregateAgentCodeChangesByModel() {
-  const models = {};
-  for (const r of records) {
-    for (const m of (r.totals_by_model_feature || [])) {
-      if (AGENT_FEATURES.includes(m.feature)) {
-        if (!models[m.model]) models[m.model] = { added: 0, deleted: 0 };
-        models[m.model].added += m.loc_added_sum || 0;
-        models[m.model].deleted += m.loc_deleted_sum || 0;
-      }
-    }
+function goalsReport(evaluation, forecast) {
+  const lines = [`# 🎯 Goals`];
+  if (evaluation.goals.length === 0) {
+    lines.push(`\nNo goals set for this tenant. Add them with **🎯 Manage Goals…** in the sidebar or in \`goals.json\` (\`COPILOT_GOALS_FILE\`), each with a metric (${FORECAST_METRICS.join(', ')}), a target and a date.`);
+    return { markdown: lines.join('\n'), chartData: null };
   }
-  return Object.entries(models)
-    .map(([model, d]) => ({ model, ...d }))
-    .sort((a, b) => (b.added + b.deleted) - (a.added + a.deleted));
-}
-
-function aggregateUserCodeChangesByLanguage() {
-  const langs = {};
-  for (const r of records) {
-    for (const l of (r.totals_by_language_feature || [])) {
-      if (!AGENT_FEATURES.includes(l.feature)) {
-        if (!langs[l.language]) langs[l.language] = { suggested: 0, added: 0 };
-        langs[l.language].suggested += l.loc_suggested_to_add_sum || 0;
-        langs[l.language].added += l.loc_added_sum || 0;
-      }
-    }
+  const s = evaluation.summary;
+  lines.push(
+    `${s['on track'] + s.achieved} of ${evaluation.goals.length} goal(s) achieved or on track. Status follows the current linear trend (weekday level); see the Usage Trends forecast.\n`,
+    `| Goal | Target | By | Now | Progress | Status | Projected | Needed / Week | Trend / Week |`,
+    `|------|--------|----|-----|----------|--------|-----------|---------------|--------------|`,
+    ...evaluation.goals.map(g => {
+      if (g.status === 'unavailable') return `| ${g.name} | ${fmtForecast(g.target, g.unit)} | ${g.by} | — | — | ${GOAL_STATUS_LABELS[g.status]} | ${g.reason} | — | — |`;
+      const weekly = (v) => (v === null ? '—' : `${v >= 0 ? '+' : ''}${g.unit === 'pct' ? `${v.toFixed(2)} pts` : fmt(Math.round(v))}`);
+      return `| ${g.name} | ${fmtForecast(g.target, g.unit)} | ${g.by} | ${fmtForecast(g.current, g.unit)} | ${g.progressPct}% | ${GOAL_STATUS_LABELS[g.status]} | ` +
+        `${g.status === 'achieved' ? 'reached' : g.projectedCompletion || 'not within a year'} | ${weekly(g.neededPerWeek)} | ${weekly(g.trendPerWeek)} |`;
+    }),
+  );
+  const charts = [{
+    title: 'Progress towards Goals',
+    type: 'bar',
+    labels: evaluation.goals.map(g => g.name),
+    datasets: [{ label: 'Progress %', data: evaluation.goals.map(g => g.progressPct ?? 0) }],
+  }];
+  // One chart per goal: history, projection up to the goal date (at most the forecast horizon) and the target
+  for (const g of evaluation.goals.filter(goal => goal.status !== 'unavailable')) {
+    const history = forecastSeries(records, g.metric);
+    const days = history.map(p => p.day);
+    const values = history.map(p => p.value);
+    const metricForecast = forecast.metrics[g.metric];
+    const aheadDays = metricForecast.unavailable ? 0 : metricForecast.daily.filter(p => p.day <= g.by).length;
+    const ext = forecastExtension(metricForecast, days, values, aheadDays);
+    charts.push({
+      title: g.name,
+      type: 'line',
+      labels: ext.labels,
+      datasets: [
+        { label: g.label, data: values },
+        ...ext.datasets,
+        { label: 'Target', data: ext.labels.map(() => g.target), borderDash: [4, 4], pointRadius: 0, borderColor: '#3fb950' },
+      ],
+    });
   }
-  return Object.entries(langs)
-    .map(([language, d]) => ({ language, ...d }))
-    .sort((a, b) => (b.suggested + b.added) - (a.suggested + a.added));
+  return { markdown: lines.join('\n'), chartData: null, chartsData: charts };
 }
 
-function aggregateAgentCodeChangesByLanguage() {
-  const langs = {};
-  for (const r of records) {
-    for (const l of (r.totals_by_language_feature || [])) {
-      if (AGENT_FEATURES.includes(l.feature)) {
-        if (!langs[l.language]) langs[l.language] = { added: 0, deleted: 0 };
-        langs[l.language].added += l.loc_added_sum || 0;
-        langs[l.language].deleted += l.loc_deleted_sum || 0;
-      }
+// `comparison`/`workingDayComparison` are comparePeriods() on calendar and working days, and
+// `anomalies` detectAnomalies(), over the same tenant and dimension filters; `goals` are the
+// goals that apply to the tenant
+function generateTenantReports({ comparison = null, workingDayComparison = null, anomalies = null, assignedSeats = null, tenantGoals = [] } = {}) {
+  const reports = {};
+  if (records.length === 0) {
+    for (const r of REPORT_LIST) {
+      reports[r.id] = { markdown: `# ${r.icon} ${r.title}\n\nNo data loaded for this tenant yet.`, chartData: null };
     }
+    return reports;
   }
-  return Object.entries(langs)
-    .map(([language, d]) => ({ language, ...d }))
-    .sort((a, b) => (b.added + b.deleted) - (a.added + a.deleted));
-}
-
-function generateReports() {
-  const period = getDateRange();
-  const allUsers = getUniqueUsers();
-  const totalInteractions = sumField('user_initiated_interaction_count');
-  const totalCodeGenerated = sumField('code_generation_activity_count');
-  const totalLocAdded = sumField('loc_added_sum');
-  const totalLocDeleted = sumField('loc_deleted_sum');
+  const period = getDateRange(records);
+  const allUsers = getUniqueUsers(records);
+  const totalInteractions = sumField(records, 'user_initiated_interaction_count');
+  const totalCodeGenerated = sumField(records, 'code_generation_activity_count');
+  const totalLocAdded = sumField(records, 'loc_added_sum');
+  const totalLocDeleted = sumField(records, 'loc_deleted_sum');
   const activeUsers = allUsers.size; // max DAU
+  // Sum of DAU: each active user counted once per day they were active
+  const userDays = sumField(records, 'daily_active_users');
   const totalDays = records.length;
-  // Compute agent/chat activity from totals_by_feature
-  let totalAgentActivity = 0, totalChatActivity = 0;
-  for (const r of records) {
-    for (const f of (r.totals_by_feature || [])) {
-      if (AGENT_FEATURES.includes(f.feature)) {
-        totalAgentActivity += (f.user_initiated_interaction_count || 0) + (f.code_generation_activity_count || 0);
-      }
-      if (CHAT_MODES.includes(f.feature)) {
-        totalChatActivity += (f.user_initiated_interaction_count || 0);
-      }
-    }
-  }
-  const trends = aggregateByDay();
-  const features = aggregateByFeature();
-  const languages = aggregateByLanguage();
-  const models = aggregateByModel();
-  const ides = aggregateByIDE();
+  // Agent/chat activity from totals_by_feature; null when a filter leaves it unknown
+  const featureActivity = getFeatureActivity(records);
+  const totalAgentActivity = featureActivity?.agent ?? null;
+  const totalChatActivity = featureActivity?.chat ?? null;
+  const trends = aggregateByDay(records);
+  // Breakdowns a filter can't narrow are null; their reports are left empty
+  const features = aggregateByFeature(records) || [];
+  const languages = aggregateByLanguage(records) || [];
+  const models = aggregateByModel(records) || [];
+  const ides = aggregateByIDE(records) || [];
   const topUsers = aggregateTopUsers(20);
+  const engagement = getActiveUsers(records, userRecords);
+  const latestActive = engagement.latest;
 
   // ── Copilot Usage Dashboard ──
   {
-    const dailyActive = aggregateDailyActiveUsers();
-    const weeklyActive = aggregateWeeklyActiveUsers();
-    const avgChat = aggregateAvgChatRequestsPerActiveUser();
-    const chatMode = aggregateRequestsPerChatMode();
-    const completions = aggregateCodeCompletions();
-    const acceptRate = aggregateCodeCompletionAcceptanceRate();
-    const modelPerDay = aggregateModelUsagePerDay();
-    const chatModelDist = aggregateChatModelDistribution();
-    const modelPerChatMode = aggregateModelUsagePerChatMode();
-    const langPerDay = aggregateLanguageUsagePerDay();
-    const langDist = aggregateLanguageDistribution();
-    const modelPerLang = aggregateModelUsagePerLanguage();
+    const dailyActive = aggregateDailyActiveUsers(records);
+    const avgChat = aggregateAvgChatRequestsPerActiveUser(records);
+    const chatMode = aggregateRequestsPerChatMode(records);
+    const completions = aggregateCodeCompletions(records);
+    const acceptRate = aggregateCodeCompletionAcceptanceRate(records);
+    const modelPerDay = aggregateModelUsagePerDay(records);
+    const chatModelDist = aggregateChatModelDistribution(records);
+    const modelPerChatMode = aggregateModelUsagePerChatMode(records);
+    const langPerDay = aggregateLanguageUsagePerDay(records);
+    const langDist = aggregateLanguageDistribution(records);
+    const modelPerLang = aggregateModelUsagePerLanguage(records);
 
     // KPI: Max Daily Active Users in period
     const maxDau = records.reduce((m, r) => Math.max(m, r.daily_active_users || 0), 0);
     const avgDau = records.length > 0 ? Math.round(records.reduce((s, r) => s + (r.daily_active_users || 0), 0) / records.length) : 0;
     // KPI: Agent Adoption (% of total activity from agent features)
-    let totalActivity = 0, agentActivity = 0;
-    for (const r of records) {
-      for (const f of (r.totals_by_feature || [])) {
-        const act = (f.user_initiated_interaction_count || 0) + (f.code_generation_activity_count || 0);
-        totalActivity += act;
-        if (AGENT_FEATURES.includes(f.feature)) agentActivity += act;
-      }
-    }
-    const agentAdoptionPct = totalActivity > 0 ? ((agentActivity / totalActivity) * 100).toFixed(1) : '0.0';
+    const agentAdoptionPct = getAgentAdoptionPct(records);
+    const agentAdoption = agentAdoptionPct === null ? '—' : `${agentAdoptionPct.toFixed(1)}%`;
     // KPI: Most Used Chat Model
     const mostUsedChatModel = chatModelDist.length > 0 ? chatModelDist[0].model : 'N/A';
 
-    preGeneratedReports['copilot-usage'] = {
+    reports['copilot-usage'] = {
       markdown: [
         `# Copilot IDE Usage`,
         ``,
-        `| Avg Daily Active Users | Peak DAU | Agent Activity | Most Used Chat Model |`,
-        `|:---:|:---:|:---:|:---:|`,
-        `| **${fmt(avgDau)}** | **${fmt(maxDau)}** | **${agentAdoptionPct}%** of total | **${mostUsedChatModel}** |`,
+        `| Avg Daily Active Users | Peak DAU | Weekly Active Users | Monthly Active Users | DAU/MAU | Agent Activity | Most Used Chat Model |`,
+        `|:---:|:---:|:---:|:---:|:---:|:---:|:---:|`,
+        `| **${fmt(avgDau)}** | **${fmt(maxDau)}** | **${fmtActive(latestActive.wau, latestActive.wauSource)}** | **${fmtActive(latestActive.mau, latestActive.mauSource)}** | **${latestActive.stickinessPct !== null ? `${latestActive.stickinessPct}%` : 'n/a'}** | **${agentAdoption}** of total | **${mostUsedChatModel}** |`,
+        ...activeUsersNote(engagement),
       ].join('\n'),
       chartData: null,
       chartsData: [
@@ -749,10 +474,13 @@ function generateReports() {
           datasets: [{ label: 'Active Users', data: dailyActive.map(d => d.users) }],
         },
         {
-          title: 'IDE Weekly Active Users',
+          title: 'IDE Weekly & Monthly Active Users',
           type: 'line',
-          labels: weeklyActive.map(d => d.day),
-          datasets: [{ label: 'Weekly Active Users', data: weeklyActive.map(d => d.users) }],
+          labels: engagement.daily.map(d => d.day),
+          datasets: [
+            { label: engagement.sources.weekly.approximate > 0 ? 'Weekly Active Users (partly approximated)' : 'Weekly Active Users', data: engagement.daily.map(d => d.wau) },
+            { label: engagement.sources.monthly.approximate > 0 ? 'Monthly Active Users (partly approximated)' : 'Monthly Active Users', data: engagement.daily.map(d => d.mau) },
+          ],
         },
         {
           title: 'Average Chat Requests per Active User',
@@ -826,13 +554,13 @@ function generateReports() {
 
   // ── Code Generation Dashboard ──
   {
-    const dailyLoc = aggregateDailyLocAddedDeleted();
-    const userChanges = aggregateUserInitiatedCodeChanges();
-    const agentChanges = aggregateAgentInitiatedCodeChanges();
-    const userByModel = aggregateUserCodeChangesByModel();
-    const agentByModel = aggregateAgentCodeChangesByModel();
-    const userByLang = aggregateUserCodeChangesByLanguage();
-    const agentByLang = aggregateAgentCodeChangesByLanguage();
+    const dailyLoc = aggregateDailyLocAddedDeleted(records);
+    const userChanges = aggregateUserInitiatedCodeChanges(records);
+    const agentChanges = aggregateAgentInitiatedCodeChanges(records);
+    const userByModel = aggregateUserCodeChangesByModel(records);
+    const agentByModel = aggregateAgentCodeChangesByModel(records);
+    const userByLang = aggregateUserCodeChangesByLanguage(records);
+    const agentByLang = aggregateAgentCodeChangesByLanguage(records);
 
     // KPI: Total LOC changed
     const totalLocChanged = totalLocAdded + totalLocDeleted;
@@ -842,7 +570,7 @@ function generateReports() {
     // KPI: Avg lines deleted by agent per day
     const avgAgentDeletedPerDay = totalDays > 0 ? Math.round(agentChanges.deleted / totalDays) : 0;
 
-    preGeneratedReports['code-generation'] = {
+    reports['code-generation'] = {
       markdown: [
         `# IDE Code Generation`,
         ``,
@@ -914,24 +642,29 @@ function generateReports() {
   }
 
   // Executive Summary
-  preGeneratedReports['executive-summary'] = {
+  reports['executive-summary'] = {
     markdown: [
       `# 📊 Executive Summary`,
       `**Period:** ${period.start} to ${period.end}\n`,
       `| Metric | Value |`,
       `|--------|-------|`,
       `| Peak Daily Active Users | ${fmt(allUsers.size)} |`,
+      `| Weekly Active Users (latest) | ${fmtActive(latestActive.wau, latestActive.wauSource)} |`,
+      `| Monthly Active Users (latest) | ${fmtActive(latestActive.mau, latestActive.mauSource)} |`,
+      `| DAU/MAU Stickiness (avg) | ${engagement.avgStickinessPct !== null ? `${engagement.avgStickinessPct}%` : 'n/a'} |`,
       `| Total Interactions | ${fmt(totalInteractions)} |`,
       `| Code Generations | ${fmt(totalCodeGenerated)} |`,
       `| Lines Added | ${fmt(totalLocAdded)} |`,
       `| Lines Deleted | ${fmt(totalLocDeleted)} |`,
       `| Agent Activity (interactions) | ${fmt(totalAgentActivity)} |`,
       `| Chat Activity (interactions) | ${fmt(totalChatActivity)} |`,
+      ...activeUsersNote(engagement),
       ``,
       `## Key Insights`,
-      `- Average **${activeUsers > 0 ? (totalInteractions / activeUsers).toFixed(1) : 0}** interactions per active user per day.`,
-      `- Agent features account for **${totalInteractions > 0 ? ((totalAgentActivity / (totalInteractions + totalCodeGenerated)) * 100).toFixed(1) : 0}%** of total activity.`,
+      `- Average **${totalInteractions === null ? '—' : userDays > 0 ? (totalInteractions / userDays).toFixed(1) : 0}** interactions per active user per day.`,
+      `- Agent features account for **${totalInteractions === null || totalAgentActivity === null ? '—' : `${totalInteractions > 0 ? ((totalAgentActivity / (totalInteractions + totalCodeGenerated)) * 100).toFixed(1) : 0}%`}** of total activity.`,
       `- Average **${activeUsers > 0 ? Math.round(totalLocAdded / totalDays) : 0}** lines of code added per day.`,
+      ...comparisonMarkdown(comparison),
     ].join('\n'),
     chartData: {
       type: 'doughnut',
@@ -943,33 +676,192 @@ function generateReports() {
     },
   };
 
+  // ROI
+  {
+    const roi = estimateRoi(records, userRecords, { assumptions: ROI_DEFAULTS, assignedSeats });
+    const money = (n) => fmtMoney(n, roi.currency);
+    const h = roi.hoursSaved;
+    reports.roi = {
+      markdown: [
+        `# 💰 ROI`,
+        `**Period:** ${roi.period.start} to ${roi.period.end} (${roi.period.days} days)\n`,
+        `| Metric | Value |`,
+        `|--------|-------|`,
+        `| Estimated Hours Saved | ${fmt(h.total)} |`,
+        `| Hours Saved per Active User | ${h.perActiveUser !== null ? fmt(h.perActiveUser) : '—'} |`,
+        `| Estimated Value | ${money(roi.value)} |`,
+        `| Seat Cost | ${money(roi.cost)} |`,
+        `| Net Value | ${money(roi.netValue)} |`,
+        `| Value / Cost | ${roi.roiMultiple !== null ? `${fmt(roi.roiMultiple)}×` : '—'} |`,
+        `| Cost per Active User | ${roi.costPerActiveUser !== null ? money(roi.costPerActiveUser) : '—'} |`,
+        `| Break-even | ${roi.breakEvenHours !== null ? `${fmt(roi.breakEvenHours)} hours saved` : '—'} |`,
+        ``,
+        `## Where the Time Comes From`,
+        `| Source | Activity | Hours Saved |`,
+        `|--------|----------|-------------|`,
+        `| Accepted completions | ${fmt(roi.activity.acceptedCompletions)} completions | ${fmt(h.completions)} |`,
+        `| Chat (ask mode, inline chat) | ${fmt(roi.activity.chatLocAdded)} lines added | ${fmt(h.chat)} |`,
+        `| Agent features | ${fmt(roi.activity.agentLocAdded)} lines added | ${fmt(h.agent)} |`,
+        ``,
+        `## Assumptions`,
+        `| Assumption | Value | Source |`,
+        `|------------|-------|--------|`,
+        ...roi.assumptions.map(x => `| ${x.label} | ${fmt(x.value)} ${x.unit} | ${x.source} |`),
+        ``,
+        ...roi.notes.map(n => `> ${n}\n`),
+      ].join('\n'),
+      chartData: null,
+      chartsData: [
+        {
+          title: 'Estimated Hours Saved per Day',
+          type: 'bar',
+          labels: roi.daily.map(d => d.day),
+          datasets: [{ label: 'Hours Saved', data: roi.daily.map(d => d.hoursSaved) }],
+        },
+        {
+          title: `Value vs Seat Cost (${roi.currency})`,
+          type: 'bar',
+          labels: ['Estimated Value', 'Seat Cost', 'Net Value'],
+          datasets: [{ label: roi.currency, data: [roi.value, roi.cost, roi.netValue] }],
+        },
+      ],
+    };
+  }
+
+  const forecast = forecastMetrics(records, { holidays: HOLIDAYS });
+  reports.goals = goalsReport(evaluateGoals(records, tenantGoals, { holidays: HOLIDAYS }), forecast);
+
   // Usage Trends
-  preGeneratedReports['usage-trends'] = {
-    markdown: [
-      `# 📈 Usage Trends`,
+  {
+    const days = trends.map(t => t.day);
+    const flagged = anomalies?.anomalies || [];
+    const rates = new Map(aggregateCodeCompletionAcceptanceRate(records).map(d => [d.day, d.rate]));
+    const agentShare = new Map(forecastSeries(records, 'agentSharePct').map(d => [d.day, d.value]));
+    const series = {
+      dailyActiveUsers: trends.map(t => t.activeUsers),
+      interactions: trends.map(t => t.interactions),
+      codeGenerated: trends.map(t => t.codeGenerated),
+      acceptanceRate: days.map(day => rates.get(day) ?? null),
+      agentSharePct: days.map(day => agentShare.get(day) ?? null),
+    };
+    const dauForecast = forecastExtension(forecast.metrics.dailyActiveUsers, days, series.dailyActiveUsers);
+    const rateForecast = forecastExtension(forecast.metrics.acceptanceRate, days, series.acceptanceRate);
+    const agentForecast = forecastExtension(forecast.metrics.agentSharePct, days, series.agentSharePct);
+    reports['usage-trends'] = {
+      markdown: [
+        `# 📈 Usage Trends`,
+        `**Period:** ${period.start} to ${period.end}\n`,
+        `| Day | Active Users | Interactions | Code Generated | LOC Added |`,
+        `|-----|-------------|-------------|----------------|-----------|`,
+        ...trends.map(t =>
+          `| ${t.day} | ${fmt(t.activeUsers)} | ${fmt(t.interactions)} | ${fmt(t.codeGenerated)} | ${fmt(t.locAdded)} |`
+        ),
+        ``,
+        `## Summary`,
+        `- Peak active users: **${fmt(Math.max(...trends.map(t => t.activeUsers)))}** on ${trends.reduce((a, b) => a.activeUsers > b.activeUsers ? a : b).day}`,
+        trends.some(t => t.interactions !== null)
+          ? `- Peak interactions: **${fmt(Math.max(...trends.map(t => t.interactions)))}** on ${trends.reduce((a, b) => a.interactions > b.interactions ? a : b).day}`
+          : `- Peak interactions: **—** (not reported for this filter)`,
+        ...anomaliesMarkdown(anomalies),
+        ...forecastMarkdown(forecast),
+      ].join('\n'),
+      chartData: null,
+      chartsData: [
+        {
+          title: 'Daily Active Users',
+          type: 'line',
+          labels: dauForecast.labels,
+          datasets: [
+            { label: 'Active Users', data: series.dailyActiveUsers },
+            ...anomalyOverlay(flagged, 'dailyActiveUsers', 'Anomaly', days, series.dailyActiveUsers),
+            ...dauForecast.datasets,
+          ],
+        },
+        {
+          title: 'Interactions & Code Generations',
+          type: 'line',
+          labels: days,
+          datasets: [
+            { label: 'Interactions', data: series.interactions },
+            { label: 'Code Generations', data: series.codeGenerated },
+            ...anomalyOverlay(flagged, 'interactions', 'Interactions anomaly', days, series.interactions),
+            ...anomalyOverlay(flagged, 'codeGenerated', 'Code generations anomaly', days, series.codeGenerated),
+          ],
+        },
+        {
+          title: 'Code Completion Acceptance Rate (%)',
+          type: 'line',
+          labels: rateForecast.labels,
+          datasets: [
+            { label: 'Acceptance Rate', data: series.acceptanceRate },
+            ...anomalyOverlay(flagged, 'acceptanceRate', 'Anomaly', days, series.acceptanceRate),
+            ...rateForecast.datasets,
+          ],
+        },
+        {
+          title: 'Agent Activity Share (%)',
+          type: 'line',
+          labels: agentForecast.labels,
+          datasets: [
+            { label: 'Agent Share', data: series.agentSharePct },
+            ...agentForecast.datasets,
+          ],
+        },
+      ],
+    };
+  }
+
+  // Day-of-Week & Seasonality
+  {
+    const season = getSeasonality(records, HOLIDAYS);
+    const working = season.workingDayTrends;
+    const lines = [
+      `# 🗓️ Day-of-Week & Seasonality`,
       `**Period:** ${period.start} to ${period.end}\n`,
-      `| Day | Active Users | Interactions | Code Generated | LOC Added |`,
-      `|-----|-------------|-------------|----------------|-----------|`,
-      ...trends.map(t =>
-        `| ${t.day} | ${fmt(t.activeUsers)} | ${fmt(t.interactions)} | ${fmt(t.codeGenerated)} | ${fmt(t.locAdded)} |`
+      `## By Day of Week`,
+      `| Day | Days | Avg Active Users | DAU Index | Avg Interactions | Avg Code Generated |`,
+      `|-----|------|------------------|-----------|------------------|--------------------|`,
+      ...season.dayOfWeek.map(d =>
+        `| ${d.weekday} | ${d.days} | ${fmt(d.avgActiveUsers)} | ${d.activeUsersIndex ?? '—'} | ${fmt(d.avgInteractions)} | ${fmt(d.avgCodeGenerated)} |`
       ),
+      `\n> DAU index: 100 = the average working weekday. Holidays are left out of these averages.`,
       ``,
-      `## Summary`,
-      `- Peak active users: **${fmt(Math.max(...trends.map(t => t.activeUsers)))}** on ${trends.reduce((a, b) => a.activeUsers > b.activeUsers ? a : b).day}`,
-      `- Peak interactions: **${fmt(Math.max(...trends.map(t => t.interactions)))}** on ${trends.reduce((a, b) => a.interactions > b.interactions ? a : b).day}`,
-    ].join('\n'),
-    chartData: {
-      type: 'line',
-      labels: trends.map(t => t.day),
-      datasets: [
-        { label: 'Active Users', data: trends.map(t => t.activeUsers) },
-        { label: 'Interactions', data: trends.map(t => t.interactions) },
+      `## Working Days vs Weekends`,
+      `| | Days | Avg Active Users | Avg Interactions | Avg Code Generated |`,
+      `|---|------|------------------|------------------|--------------------|`,
+      `| Working days | ${season.workingDays.days} | ${fmt(season.workingDays.avgActiveUsers)} | ${fmt(season.workingDays.avgInteractions)} | ${fmt(season.workingDays.avgCodeGenerated)} |`,
+      `| Weekends | ${season.weekends.days} | ${fmt(season.weekends.avgActiveUsers)} | ${fmt(season.weekends.avgInteractions)} | ${fmt(season.weekends.avgCodeGenerated)} |`,
+    ];
+    if (season.weekendDropPct !== null) {
+      lines.push(``, `- Weekend DAU runs **${Math.abs(season.weekendDropPct)}%** ${season.weekendDropPct >= 0 ? 'below' : 'above'} working-day DAU.`);
+    }
+    lines.push(``, `## Holidays`);
+    if (HOLIDAYS.size === 0) {
+      lines.push(`No holiday calendar configured; set \`COPILOT_HOLIDAYS_FILE\` to leave holidays out of working-day views.`);
+    } else if (season.holidays.length === 0) {
+      lines.push(`No configured holidays fall in this period.`);
+    } else {
+      lines.push(
+        `| Day | Holiday | Active Users | Interactions |`,
+        `|-----|---------|--------------|--------------|`,
+        ...season.holidays.map(h => `| ${h.day} | ${h.name} | ${fmt(h.activeUsers)} | ${fmt(h.interactions)} |`),
+      );
+    }
+    lines.push(...comparisonMarkdown(workingDayComparison, 'Period over Period (Working Days)'));
+    reports['seasonality'] = {
+      markdown: lines.join('\n'),
+      chartData: null,
+      chartsData: [
+        { title: 'Average Active Users by Day of Week', type: 'bar', labels: season.dayOfWeek.map(d => d.weekday), datasets: [{ label: 'Avg Active Users', data: season.dayOfWeek.map(d => d.avgActiveUsers) }] },
+        { title: 'Average Interactions by Day of Week', type: 'bar', labels: season.dayOfWeek.map(d => d.weekday), datasets: [{ label: 'Avg Interactions', data: season.dayOfWeek.map(d => d.avgInteractions) }] },
+        { title: 'Working-Day Active Users', type: 'line', labels: working.map(d => d.day), datasets: [{ label: 'Active Users', data: working.map(d => d.activeUsers) }, { label: '5-Working-Day Average', data: working.map(d => d.rollingActiveUsers), borderDash: [6, 4] }] },
+        { title: 'Working-Day Interactions', type: 'line', labels: working.map(d => d.day), datasets: [{ label: 'Interactions', data: working.map(d => d.interactions) }, { label: '5-Working-Day Average', data: working.map(d => d.rollingInteractions), borderDash: [6, 4] }] },
       ],
-    },
-  };
+    };
+  }
 
   // Feature Adoption
-  preGeneratedReports['feature-adoption'] = {
+  reports['feature-adoption'] = {
     markdown: [
       `# 🤖 Feature Adoption`,
       `\n| Feature | Interactions | Code Generated | LOC Added |`,
@@ -979,7 +871,9 @@ function generateReports() {
       ),
       ``,
       `## Insights`,
-      `- Most used feature: **${features[0]?.feature}** with ${fmt(features[0]?.interactions || 0)} interactions.`,
+      features[0]?.interactions === null
+        ? `- Interactions per feature are not reported for this filter.`
+        : `- Most used feature: **${features[0]?.feature}** with ${fmt(features[0]?.interactions ?? 0)} interactions.`,
       `- ${features.length} distinct features in use across the organization.`,
     ].join('\n'),
     chartData: {
@@ -993,14 +887,14 @@ function generateReports() {
   };
 
   // Language Breakdown
-  preGeneratedReports['language-breakdown'] = {
+  reports['language-breakdown'] = {
     markdown: [
       `# 💻 Language Breakdown`,
-      `\nTop 15 languages by code generation activity.\n`,
-      `| Language | Code Generated | LOC Added |`,
-      `|----------|----------------|-----------|`,
+      `\nTop 20 languages by code generation activity.\n`,
+      `| Language | Code Generated | Code Accepted | LOC Added |`,
+      `|----------|----------------|---------------|-----------|`,
       ...languages.map(l =>
-        `| ${l.language} | ${fmt(l.codeGenerated)} | ${fmt(l.locAdded)} |`
+        `| ${l.language} | ${fmt(l.codeGenerated)} | ${fmt(l.codeAccepted)} | ${fmt(l.locAdded)} |`
       ),
     ].join('\n'),
     chartData: {
@@ -1014,7 +908,7 @@ function generateReports() {
   };
 
   // Model Usage
-  preGeneratedReports['model-usage'] = {
+  reports['model-usage'] = {
     markdown: [
       `# 🧠 Model Usage`,
       `\nTop 15 models by interaction count.\n`,
@@ -1035,7 +929,7 @@ function generateReports() {
   };
 
   // IDE Distribution
-  preGeneratedReports['ide-distribution'] = {
+  reports['ide-distribution'] = {
     markdown: [
       `# 🖥️ IDE Distribution`,
       `\n| IDE | Interactions | Code Generated |`,
@@ -1054,64 +948,272 @@ function generateReports() {
     },
   };
 
-  // Top Users (not available in enterprise-level data)
-  preGeneratedReports['top-users'] = {
-    markdown: [
-      `# 🏆 Top Users`,
-      `\n> Per-user data is not available in enterprise-level reports. This report requires the user-level Copilot metrics export.\n`,
-      `## Enterprise Summary`,
-      `| Metric | Value |`,
-      `|--------|-------|`,
-      `| Peak Daily Active Users | ${fmt(allUsers.size)} |`,
-      `| Total Interactions | ${fmt(totalInteractions)} |`,
-      `| Total Code Generations | ${fmt(totalCodeGenerated)} |`,
-    ].join('\n'),
-    chartData: null,
-  };
-
-  console.log(`Generated ${Object.keys(preGeneratedReports).length} standard reports`);
-}
-
-// ─── Query Handler ──────────────────────────────────────────────────────────
-
-function handleQuery(prompt) {
-  const lower = prompt.toLowerCase();
-
-  // Detect report/dashboard creation requests and return rich multi-chart responses
-  const isReport = /\b(generate|create|build|make|produce|give me)\b.*\b(report|dashboard|breakdown|analysis|overview)\b/i.test(prompt);
-
-  if (isReport) {
-    // Determine what the report is about and compose a multi-chart response
-    if (lower.includes('language') || lower.includes('lang')) {
-      const langDist = aggregateLanguageDistribution();
-      const langPerDay = aggregateLanguageUsagePerDay();
-      const userByLang = aggregateUserCodeChangesByLanguage().slice(0, 10);
-      const agentByLang = aggregateAgentCodeChangesByLanguage().slice(0, 10);
-      const top = langDist.slice(0, 10);
-      return {
-        markdown: [
-          `# Language Adoption Report`,
-          `\n| Language | Code Generations | % of Total |`,
-          `|----------|-----------------|------------|`,
-          ...top.map(l => {
-            const total = langDist.reduce((s, x) => s + x.count, 0);
-            return `| ${l.language} | ${fmt(l.count)} | ${(l.count / total * 100).toFixed(1)}% |`;
-          }),
-        ].join('\n'),
-        chartData: null,
-        chartsData: [
-          { title: 'Language Distribution', type: 'pie', labels: top.map(l => l.language), datasets: [{ label: 'Code Generations', data: top.map(l => l.count) }] },
-          { title: 'Language Usage Trend (%)', type: 'bar', stacked: true, labels: langPerDay.days, datasets: Object.entries(langPerDay.series).map(([label, data]) => ({ label, data })) },
-          { title: 'User-Initiated LOC by Language', type: 'bar', labels: userByLang.map(l => l.language), datasets: [{ label: 'Suggested', data: userByLang.map(l => l.suggested) }, { label: 'Added', data: userByLang.map(l => l.added) }] },
+  // Top Users (from the per-user reports)
+  if (topUsers.length > 0) {
+    const everyone = aggregateTopUsers(Infinity);
+    const agentUsers = everyone.filter(u => u.usedAgent).length;
+    const userDays = [...new Set(userRecords.map(r => r.day))].sort();
+    const byLoc = [...topUsers].sort((a, b) => b.locAdded - a.locAdded);
+    const userIdes = {};
+    for (const r of userRecords) {
+      for (const i of r.totals_by_ide || []) {
+        if (!userIdes[i.ide]) userIdes[i.ide] = new Set();
+        userIdes[i.ide].add(r.user_login);
+      }
+    }
+    reports['top-users'] = {
+      markdown: [
+        `# 🏆 Top Users`,
+        `**Period:** ${userDays[0]} to ${userDays[userDays.length - 1]}\n`,
+        `| Active Users | Used Agent | Avg Interactions/User | Avg Days Active |`,
+        `|:---:|:---:|:---:|:---:|`,
+        `| **${fmt(everyone.length)}** | **${fmt(agentUsers)}** (${((agentUsers / everyone.length) * 100).toFixed(1)}%) | **${everyone.some(u => u.interactions === null) ? '—' : fmt(Math.round(everyone.reduce((s, u) => s + u.interactions, 0) / everyone.length))}** | **${(everyone.reduce((s, u) => s + u.daysActive, 0) / everyone.length).toFixed(1)}** |`,
+        ``,
+        `## Leaderboard`,
+        `| Rank | User | Interactions | Code Generated | Accepted | LOC Added | Days Active | Agent |`,
+        `|------|------|-------------|----------------|----------|-----------|-------------|-------|`,
+        ...topUsers.map((u, i) =>
+          `| ${i + 1} | ${u.login} | ${fmt(u.interactions)} | ${fmt(u.codeGenerated)} | ${fmt(u.codeAccepted)} | ${fmt(u.locAdded)} | ${u.daysActive} | ${u.usedAgent ? '✅' : '—'} |`
+        ),
+      ].join('\n'),
+      chartData: null,
+      chartsData: [
+        {
+          title: 'Top 20 Users by Interactions',
+          type: 'bar',
+          labels: topUsers.map(u => u.login),
+          datasets: [{ label: 'Interactions', data: topUsers.map(u => u.interactions) }],
+        },
+        {
+          title: 'Top 20 Users by Lines Added',
+          type: 'bar',
+          labels: byLoc.map(u => u.login),
+          datasets: [{ label: 'LOC Added', data: byLoc.map(u => u.locAdded) }],
+        },
+        {
+          title: 'Agent Usage among Active Users',
+          type: 'doughnut',
+          labels: ['Used Agent', 'No Agent'],
+          datasets: [{ label: 'Users', data: [agentUsers, everyone.length - agentUsers] }],
+        },
+        {
+          title: 'Users per IDE',
+          type: 'pie',
+          labels: Object.keys(userIdes),
+          datasets: [{ label: 'Users', data: Object.values(userIdes).map(set => set.size) }],
+        },
+      ],
+    };
+  } else {
+    reports['top-users'] = {
+      markdown: [
+        `# 🏆 Top Users`,
+        `\n> No per-user data loaded. The leaderboard is built from the users-1-day reports; check that the token can read them and that \`COPILOT_USER_METRICS\` is not set to \`false\`.\n`,
+        `## Summary`,
+        `| Metric | Value |`,
+        `|--------|-------|`,
+        `| Peak Daily Active Users | ${fmt(allUsers.size)} |`,
+        `| Total Interactions | ${fmt(totalInteractions)} |`,
+        `| Total Code Generations | ${fmt(totalCodeGenerated)} |`,
+      ].join('\n'),
+      chartData: null,
+    };
+  }
+
+  return reports;
+}
+
+const STATUS_LABELS = { loaded: '✅ Loaded', missing: '⚠️ Missing', no_report: '➖ No report (404)', failed: '❌ Failed' };
+
+function generateQualityReport(tenant) {
+  const { tenants } = store.quality(tenant);
+  const lines = [`# 🩺 Data Quality`];
+  for (const q of tenants) {
+    const s = q.summary;
+    if (tenants.length > 1) lines.push(`\n## ${q.label}`);
+    lines.push(
+      `**Period:** ${q.period.start || '—'} to ${q.period.end || '—'}${q.offline ? ' (offline import)' : ''}\n`,
+      `| Days | Loaded | Missing | No Report | Failed | Parse Errors | Anomalies |`,
+      `|:---:|:---:|:---:|:---:|:---:|:---:|:---:|`,
+      `| ${s.days} | ${s.loaded} | ${s.missing} | ${s.noReport} | ${s.failed} | ${fmt(s.parseErrors)} | ${s.anomalies} |`,
+    );
+    const problems = q.days.filter(d => d.status !== 'loaded' || d.parseErrors > 0 || d.error);
+    if (problems.length > 0) {
+      lines.push(
+        `\n### Days Needing Attention`,
+        `| Day | Status | Records | User Records | Parse Errors | Details |`,
+        `|-----|--------|---------|--------------|--------------|---------|`,
+        ...problems.map(d => `| ${d.day} | ${STATUS_LABELS[d.status]} | ${d.records} | ${d.userRecords} | ${d.parseErrors} | ${d.error || (d.status === 'missing' ? 'Not fetched yet' : '')} |`),
+      );
+    }
+    if (q.anomalies.length > 0) {
+      lines.push(
+        `\n### Anomalies`,
+        `| Day | Type | Severity | Details |`,
+        `|-----|------|----------|---------|`,
+        ...q.anomalies.map(a => `| ${a.day} | ${a.type} | ${a.severity} | ${a.message} |`),
+      );
+    }
+    if (problems.length === 0 && q.anomalies.length === 0) {
+      lines.push(`\n✅ Every day loaded cleanly and no anomalies were found.`);
+    }
+    if (q.imports.length > 0) {
+      const last = q.imports[q.imports.length - 1];
+      lines.push(`\n*Last import ${last.at}: ${last.files} file(s), ${fmt(last.records)} records, ${fmt(last.userRecords)} per-user records, ${last.parseErrors} parse error(s).*`);
+    }
+  }
+  const q = tenants.length === 1 ? tenants[0] : null;
+  return {
+    markdown: lines.join('\n'),
+    chartData: null,
+    chartsData: q && q.days.length > 0 ? [
+      {
+        title: 'Per-User Records per Day',
+        type: 'bar',
+        labels: q.days.map(d => d.day),
+        datasets: [{ label: 'User Records', data: q.days.map(d => d.userRecords) }],
+      },
+      {
+        title: 'Daily Active Users',
+        type: 'line',
+        labels: q.days.map(d => d.day),
+        datasets: [{ label: 'DAU', data: q.days.map(d => store.view(q.tenant)?.records.find(r => r.day === d.day)?.daily_active_users ?? null) }],
+      },
+    ] : null,
+  };
+}
+
+function seatUtilization(tenant, inactiveDays = INACTIVE_SEAT_DAYS) {
+  return getSeatUtilization(store.seats(tenant), store.view(tenant)?.userRecords || [], { inactiveDays });
+}
+
+// Seats in the tenant's seat snapshots; null when none were ever fetched
+function assignedSeatCount(tenant) {
+  const snapshots = store.seats(tenant).filter(snap => snap.fetchedAt);
+  return snapshots.length > 0 ? snapshots.reduce((sum, snap) => sum + snap.seats.length, 0) : null;
+}
+
+function generateSeatReport(tenant) {
+  const u = seatUtilization(tenant);
+  const s = u.summary;
+  const lines = [`# 💺 Seat Utilization`];
+  for (const snap of u.snapshots) {
+    const label = u.snapshots.length > 1 ? `${snap.label}: ` : '';
+    if (snap.error) lines.push(`> ⚠️ ${label}could not fetch seats${snap.fetchedAt ? `; showing the snapshot from ${snap.fetchedAt}` : ''}: ${snap.error}\n`);
+    else if (!snap.fetchedAt) lines.push(`> ${label}no seat data yet. Seats are fetched from the billing/seats API on each refresh unless \`COPILOT_SEATS\` is \`false\`; offline imports have none.\n`);
+  }
+  if (s.assigned === 0) {
+    return { markdown: lines.join('\n'), chartData: null };
+  }
+  const fetchedAt = u.snapshots.map(snap => snap.fetchedAt).filter(Boolean).sort()[0];
+  lines.push(
+    `**Seats as of:** ${fetchedAt}  \n**Inactive after:** ${u.inactiveDays} days without activity\n`,
+    `| Assigned | Active | Inactive | Never Used | Pending Cancellation | Reclaimable | Utilization |`,
+    `|:---:|:---:|:---:|:---:|:---:|:---:|:---:|`,
+    `| ${fmt(s.assigned)} | ${fmt(s.active)} | ${fmt(s.inactive)} | ${fmt(s.neverUsed)} | ${fmt(s.pendingCancellation)} | ${fmt(s.reclaimable)} | ${s.utilizationPct}% |`,
+  );
+  if (u.inactiveSeats.length > 0) {
+    const multi = u.snapshots.length > 1;
+    lines.push(
+      `\n## Inactive Seats`,
+      `Oldest activity first. Last activity is the later of the seat's own record and the user's latest day in the per-user reports.\n`,
+      `| ${multi ? 'Tenant | ' : ''}User | Team | Assigned | Last Activity | Days Idle | Editor | Pending Cancellation |`,
+      `|${multi ? '--------|' : ''}------|------|----------|---------------|-----------|--------|----------------------|`,
+      ...u.inactiveSeats.map(seat => `| ${multi ? `${seat.tenant} | ` : ''}${seat.login || '—'} | ${seat.team || '—'} | ${seat.assignedAt?.slice(0, 10) || '—'} | ` +
+        `${seat.lastActivityAt?.slice(0, 10) || 'never'} | ${seat.daysSinceActivity ?? '—'} | ${seat.lastActivityEditor || '—'} | ${seat.pendingCancellationDate || ''} |`),
+    );
+  } else {
+    lines.push(`\n✅ Every assigned seat was used in the last ${u.inactiveDays} days.`);
+  }
+  // Days since last activity, bucketed
+  const buckets = [['≤ 7 days', 0, 7], ['8–30 days', 8, 30], ['31–60 days', 31, 60], ['61–90 days', 61, 90], ['> 90 days', 91, Infinity]];
+  return {
+    markdown: lines.join('\n'),
+    chartData: null,
+    chartsData: [
+      {
+        title: 'Active vs Inactive Seats',
+        type: 'doughnut',
+        labels: ['Active', 'Inactive (reclaimable)', 'Inactive (pending cancellation)'],
+        datasets: [{ label: 'Seats', data: [s.active, s.reclaimable, s.inactive - s.reclaimable] }],
+      },
+      {
+        title: 'Seats by Time Since Last Activity',
+        type: 'bar',
+        labels: [...buckets.map(b => b[0]), 'Never'],
+        datasets: [{
+          label: 'Seats',
+          data: [
+            ...buckets.map(([, min, max]) => u.seats.filter(seat => seat.daysSinceActivity !== null && seat.daysSinceActivity >= min && seat.daysSinceActivity <= max).length),
+            s.neverUsed,
+          ],
+        }],
+      },
+    ],
+  };
+}
+
+function generateReports() {
+  const byTenant = {};
+  for (const id of store.viewIds()) {
+    // With a single tenant, the combined view is the same data; don't build it twice
+    const same = Object.keys(byTenant).find(k => store.view(k) === store.view(id));
+    byTenant[id] = same ? byTenant[same] : {
+      ...withTenant(id, () => generateTenantReports({
+        comparison: comparePeriods(records),
+        workingDayComparison: comparePeriods(records, {}, { workingDays: true, holidays: HOLIDAYS }),
+        anomalies: detectAnomalies(records, { holidays: HOLIDAYS }),
+        assignedSeats: assignedSeatCount(id),
+        tenantGoals: goalsFor(goals, id),
+      })),
+      'data-quality': generateQualityReport(id),
+      'seat-utilization': generateSeatReport(id),
+    };
+  }
+  reportsByTenant = byTenant;
+  console.log(`Generated ${REPORT_LIST.length} standard reports for ${Object.keys(byTenant).length} tenant view(s)`);
+}
+
+// ─── Query Handler ──────────────────────────────────────────────────────────
+
+function handleQuery(prompt) {
+  const lower = prompt.toLowerCase();
+
+  // Detect report/dashboard creation requests and return rich multi-chart responses
+  const isReport = /\b(generate|create|build|make|produce|give me)\b.*\b(report|dashboard|breakdown|analysis|overview)\b/i.test(prompt);
+
+  if (isReport) {
+    // Determine what the report is about and compose a multi-chart response
+    if (lower.includes('language') || lower.includes('lang')) {
+      const langDist = aggregateLanguageDistribution(records);
+      const langPerDay = aggregateLanguageUsagePerDay(records);
+      const userByLang = aggregateUserCodeChangesByLanguage(records).slice(0, 10);
+      const agentByLang = aggregateAgentCodeChangesByLanguage(records).slice(0, 10);
+      const top = langDist.slice(0, 10);
+      return {
+        markdown: [
+          `# Language Adoption Report`,
+          `\n| Language | Code Generations | % of Total |`,
+          `|----------|-----------------|------------|`,
+          ...top.map(l => {
+            const total = langDist.reduce((s, x) => s + x.count, 0);
+            return `| ${l.language} | ${fmt(l.count)} | ${(l.count / total * 100).toFixed(1)}% |`;
+          }),
+        ].join('\n'),
+        chartData: null,
+        chartsData: [
+          { title: 'Language Distribution', type: 'pie', labels: top.map(l => l.language), datasets: [{ label: 'Code Generations', data: top.map(l => l.count) }] },
+          { title: 'Language Usage Trend (%)', type: 'bar', stacked: true, labels: langPerDay.days, datasets: Object.entries(langPerDay.series).map(([label, data]) => ({ label, data })) },
+          { title: 'User-Initiated LOC by Language', type: 'bar', labels: userByLang.map(l => l.language), datasets: [{ label: 'Suggested', data: userByLang.map(l => l.suggested) }, { label: 'Added', data: userByLang.map(l => l.added) }] },
           { title: 'Agent-Initiated LOC by Language', type: 'bar', labels: agentByLang.map(l => l.language), datasets: [{ label: 'Added', data: agentByLang.map(l => l.added) }, { label: 'Deleted', data: agentByLang.map(l => l.deleted) }] },
         ],
       };
     }
     if (lower.includes('model')) {
-      const modelDist = aggregateChatModelDistribution();
-      const modelPerDay = aggregateModelUsagePerDay();
-      const modelPerChat = aggregateModelUsagePerChatMode();
-      const agentByModel = aggregateAgentCodeChangesByModel().slice(0, 10);
+      const modelDist = aggregateChatModelDistribution(records);
+      const modelPerDay = aggregateModelUsagePerDay(records);
+      const modelPerChat = aggregateModelUsagePerChatMode(records);
+      const agentByModel = aggregateAgentCodeChangesByModel(records).slice(0, 10);
       const top = modelDist.slice(0, 10);
       return {
         markdown: [
@@ -1133,11 +1235,11 @@ function handleQuery(prompt) {
       };
     }
     if (lower.includes('agent') || lower.includes('adoption') || lower.includes('feature')) {
-      const features = aggregateByFeature();
-      const chatMode = aggregateRequestsPerChatMode();
-      const agentChanges = aggregateAgentInitiatedCodeChanges();
-      const userChanges = aggregateUserInitiatedCodeChanges();
-      const totalLoc = sumField('loc_added_sum') + sumField('loc_deleted_sum');
+      const features = aggregateByFeature(records);
+      const chatMode = aggregateRequestsPerChatMode(records);
+      const agentChanges = aggregateAgentInitiatedCodeChanges(records);
+      const userChanges = aggregateUserInitiatedCodeChanges(records);
+      const totalLoc = sumField(records, 'loc_added_sum') + sumField(records, 'loc_deleted_sum');
       const agentPct = totalLoc > 0 ? ((agentChanges.added + agentChanges.deleted) / totalLoc * 100).toFixed(1) : '0';
       return {
         markdown: [
@@ -1157,39 +1259,41 @@ function handleQuery(prompt) {
       };
     }
     if (lower.includes('trend') || lower.includes('usage') || lower.includes('active') || lower.includes('daily') || lower.includes('weekly')) {
-      const dailyActive = aggregateDailyActiveUsers();
-      const weeklyActive = aggregateWeeklyActiveUsers();
-      const avgChat = aggregateAvgChatRequestsPerActiveUser();
-      const completions = aggregateCodeCompletions();
+      const dailyActive = aggregateDailyActiveUsers(records);
+      const engagement = getActiveUsers(records, userRecords);
+      const approximated = engagement.sources.weekly.approximate > 0;
+      const avgChat = aggregateAvgChatRequestsPerActiveUser(records);
+      const completions = aggregateCodeCompletions(records);
       return {
         markdown: [
           `# Usage Trends Report`,
-          `\n**Period:** ${getDateRange().start} to ${getDateRange().end}`,
+          `\n**Period:** ${getDateRange(records).start} to ${getDateRange(records).end}`,
           `\n- Peak daily active users: **${fmt(Math.max(...dailyActive.map(d => d.users)))}**`,
-          `- Peak weekly active users: **${fmt(Math.max(...weeklyActive.map(d => d.users)))}**`,
+          `- Peak weekly active users: **${fmt(engagement.peakWeeklyActiveUsers)}**${approximated ? ' (partly approximated from average DAU)' : ''}`,
+          `- Average DAU/MAU stickiness: **${engagement.avgStickinessPct !== null ? `${engagement.avgStickinessPct}%` : 'n/a'}**`,
           `- Average chat requests per user: **${(avgChat.reduce((s, d) => s + d.avg, 0) / avgChat.length).toFixed(1)}**`,
         ].join('\n'),
         chartData: null,
         chartsData: [
           { title: 'Daily Active Users', type: 'line', labels: dailyActive.map(d => d.day), datasets: [{ label: 'Active Users', data: dailyActive.map(d => d.users) }] },
-          { title: 'Weekly Active Users (7-day rolling)', type: 'line', labels: weeklyActive.map(d => d.day), datasets: [{ label: 'Weekly Active', data: weeklyActive.map(d => d.users) }] },
+          { title: 'Weekly & Monthly Active Users', type: 'line', labels: engagement.daily.map(d => d.day), datasets: [{ label: approximated ? 'Weekly Active (partly approximated)' : 'Weekly Active', data: engagement.daily.map(d => d.wau) }, { label: 'Monthly Active', data: engagement.daily.map(d => d.mau) }] },
           { title: 'Avg Chat Requests per Active User', type: 'line', labels: avgChat.map(d => d.day), datasets: [{ label: 'Avg Requests', data: avgChat.map(d => d.avg) }] },
           { title: 'Code Completions (Shown vs Accepted)', type: 'line', labels: completions.map(d => d.day), datasets: [{ label: 'Shown', data: completions.map(d => d.shown) }, { label: 'Accepted', data: completions.map(d => d.accepted) }] },
         ],
       };
     }
     if (lower.includes('code') || lower.includes('loc') || lower.includes('line')) {
-      const dailyLoc = aggregateDailyLocAddedDeleted();
-      const userChanges = aggregateUserInitiatedCodeChanges();
-      const agentChanges = aggregateAgentInitiatedCodeChanges();
-      const agentByModel = aggregateAgentCodeChangesByModel().slice(0, 8);
+      const dailyLoc = aggregateDailyLocAddedDeleted(records);
+      const userChanges = aggregateUserInitiatedCodeChanges(records);
+      const agentChanges = aggregateAgentInitiatedCodeChanges(records);
+      const agentByModel = aggregateAgentCodeChangesByModel(records).slice(0, 8);
       return {
         markdown: [
           `# Code Generation Report`,
           `\n| Metric | Value |`,
           `|--------|-------|`,
-          `| Total Lines Added | ${fmt(sumField('loc_added_sum'))} |`,
-          `| Total Lines Deleted | ${fmt(sumField('loc_deleted_sum'))} |`,
+          `| Total Lines Added | ${fmt(sumField(records, 'loc_added_sum'))} |`,
+          `| Total Lines Deleted | ${fmt(sumField(records, 'loc_deleted_sum'))} |`,
           `| User-Initiated Suggested | ${fmt(userChanges.suggested)} |`,
           `| User-Initiated Added | ${fmt(userChanges.added)} |`,
           `| Agent Added | ${fmt(agentChanges.added)} |`,
@@ -1204,20 +1308,20 @@ function handleQuery(prompt) {
       };
     }
     // Generic report fallback — give an executive dashboard
-    const dailyActive = aggregateDailyActiveUsers();
-    const features = aggregateByFeature();
-    const modelDist = aggregateChatModelDistribution().slice(0, 8);
-    const langDist = aggregateLanguageDistribution().slice(0, 8);
+    const dailyActive = aggregateDailyActiveUsers(records);
+    const features = aggregateByFeature(records);
+    const modelDist = aggregateChatModelDistribution(records).slice(0, 8);
+    const langDist = aggregateLanguageDistribution(records).slice(0, 8);
     return {
       markdown: [
         `# Custom Report`,
-        `\n**Period:** ${getDateRange().start} to ${getDateRange().end}`,
+        `\n**Period:** ${getDateRange(records).start} to ${getDateRange(records).end}`,
         `\n| Metric | Value |`,
         `|--------|-------|`,
-        `| Active Users | ${fmt(countUsersWhere(r => (r.user_initiated_interaction_count || 0) > 0))} |`,
-        `| Total Interactions | ${fmt(sumField('user_initiated_interaction_count'))} |`,
-        `| Code Generations | ${fmt(sumField('code_generation_activity_count'))} |`,
-        `| Lines Added | ${fmt(sumField('loc_added_sum'))} |`,
+        `| Active Users | ${fmt(countUsersWhere(records, r => (r.user_initiated_interaction_count || 0) > 0))} |`,
+        `| Total Interactions | ${fmt(sumField(records, 'user_initiated_interaction_count'))} |`,
+        `| Code Generations | ${fmt(sumField(records, 'code_generation_activity_count'))} |`,
+        `| Lines Added | ${fmt(sumField(records, 'loc_added_sum'))} |`,
       ].join('\n'),
       chartData: null,
       chartsData: [
@@ -1251,6 +1355,11 @@ function handleQuery(prompt) {
         `| Days Active | ${userData.daysActive} |`,
         `| Used Agent | ${userData.usedAgent ? 'Yes' : 'No'} |`,
         `| Used Chat | ${userData.usedChat ? 'Yes' : 'No'} |`,
+        `| Last Active | ${userData.lastActiveDay} |`,
+        `| Top Features | ${userData.features.slice(0, 3).map(f => FEATURE_DISPLAY[f.feature] || f.feature).join(', ') || '—'} |`,
+        `| Top Languages | ${userData.languages.slice(0, 3).map(l => l.language).join(', ') || '—'} |`,
+        `| Top Models | ${userData.models.slice(0, 3).map(m => m.model).join(', ') || '—'} |`,
+        `| IDEs | ${userData.ides.map(i => i.ide).join(', ') || '—'} |`,
       ].join('\n'),
       chartData: {
         type: 'line',
@@ -1287,7 +1396,7 @@ function handleQuery(prompt) {
 
   // Trends
   if (lower.includes('trend')) {
-    const trends = aggregateByDay();
+    const trends = aggregateByDay(records);
     return {
       markdown: [
         `# Usage Trends`,
@@ -1310,7 +1419,7 @@ function handleQuery(prompt) {
 
   // Languages
   if (lower.includes('language')) {
-    const languages = aggregateByLanguage();
+    const languages = aggregateByLanguage(records);
     return {
       markdown: [
         `# Language Breakdown`,
@@ -1330,7 +1439,7 @@ function handleQuery(prompt) {
 
   // Models
   if (lower.includes('model')) {
-    const models = aggregateByModel();
+    const models = aggregateByModel(records);
     return {
       markdown: [
         `# Model Usage`,
@@ -1350,7 +1459,7 @@ function handleQuery(prompt) {
 
   // Features / compare agent vs chat
   if (lower.includes('feature') || lower.includes('compare') || lower.includes('agent') || lower.includes('chat')) {
-    const features = aggregateByFeature();
+    const features = aggregateByFeature(records);
     return {
       markdown: [
         `# Feature Comparison`,
@@ -1373,7 +1482,7 @@ function handleQuery(prompt) {
 
   // IDE
   if (lower.includes('ide')) {
-    const ides = aggregateByIDE();
+    const ides = aggregateByIDE(records);
     return {
       markdown: [
         `# IDE Distribution`,
@@ -1393,8 +1502,8 @@ function handleQuery(prompt) {
 
   // Active / summary
   if (lower.includes('active') || lower.includes('summary') || lower.includes('how many')) {
-    const period = getDateRange();
-    const allUsers = getUniqueUsers();
+    const period = getDateRange(records);
+    const allUsers = getUniqueUsers(records);
     let agentAct = 0, chatAct = 0;
     for (const r of records) {
       for (const f of (r.totals_by_feature || [])) {
@@ -1409,32 +1518,32 @@ function handleQuery(prompt) {
         `| Metric | Value |`,
         `|--------|-------|`,
         `| Peak Daily Active Users | ${fmt(allUsers.size)} |`,
-        `| Total Interactions | ${fmt(sumField('user_initiated_interaction_count'))} |`,
-        `| Code Generations | ${fmt(sumField('code_generation_activity_count'))} |`,
-        `| LOC Added | ${fmt(sumField('loc_added_sum'))} |`,
-        `| LOC Deleted | ${fmt(sumField('loc_deleted_sum'))} |`,
+        `| Total Interactions | ${fmt(sumField(records, 'user_initiated_interaction_count'))} |`,
+        `| Code Generations | ${fmt(sumField(records, 'code_generation_activity_count'))} |`,
+        `| LOC Added | ${fmt(sumField(records, 'loc_added_sum'))} |`,
+        `| LOC Deleted | ${fmt(sumField(records, 'loc_deleted_sum'))} |`,
         `| Agent Activity | ${fmt(agentAct)} |`,
         `| Chat Activity | ${fmt(chatAct)} |`,
       ].join('\n'),
       chartData: {
         type: 'doughnut',
         labels: ['Interactions', 'Code Generations'],
-        datasets: [{ label: 'Activity', data: [sumField('user_initiated_interaction_count'), sumField('code_generation_activity_count')] }],
+        datasets: [{ label: 'Activity', data: [sumField(records, 'user_initiated_interaction_count'), sumField(records, 'code_generation_activity_count')] }],
       },
     };
   }
 
   // Fallback: return a general summary
-  const period = getDateRange();
-  const allUsers = getUniqueUsers();
+  const period = getDateRange(records);
+  const allUsers = getUniqueUsers(records);
   return {
     markdown: [
       `# Query Results`,
       `\nI wasn't sure exactly what you were looking for. Here's a general summary:\n`,
-      `- **${fmt(allUsers.size)}** total users, period ${period.start} to ${period.end}`,
-      `- **${fmt(sumField('user_initiated_interaction_count'))}** total interactions`,
-      `- **${fmt(sumField('code_generation_activity_count'))}** code generations`,
-      `- **${fmt(sumField('loc_added_sum'))}** lines of code added`,
+      `- **${fmt(allUsers.size)}** peak daily active users, period ${period.start} to ${period.end}`,
+      `- **${fmt(sumField(records, 'user_initiated_interaction_count'))}** total interactions`,
+      `- **${fmt(sumField(records, 'code_generation_activity_count'))}** code generations`,
+      `- **${fmt(sumField(records, 'loc_added_sum'))}** lines of code added`,
       `\nTry asking about: top users, trends, languages, models, features, IDEs, or a specific @username.`,
     ].join('\n'),
     chartData: null,
@@ -1443,67 +1552,255 @@ function handleQuery(prompt) {
 
 // ─── API Endpoints ──────────────────────────────────────────────────────────
 
-app.get('/api/summary', (_req, res) => {
+// Every data endpoint takes ?tenant=<id>; without it the combined view is used
+app.use('/api', (req, res, next) => {
+  const { tenant } = req.query;
+  if (tenant && !store.view(tenant)) {
+    return res.status(400).json({ error: `Unknown tenant "${tenant}"` });
+  }
+  // ?from=&to=&feature=&language=&model=&ide= narrow every data endpoint
   try {
-    const period = getDateRange();
-    const allUsers = getUniqueUsers();
-    res.json({
-      period,
-      peakDailyActiveUsers: allUsers.size,
-      totalInteractions: sumField('user_initiated_interaction_count'),
-      totalCodeGenerated: sumField('code_generation_activity_count'),
-      totalLocAdded: sumField('loc_added_sum'),
-      totalLocDeleted: sumField('loc_deleted_sum'),
-      totalDays: records.length,
-    });
+    req.filters = parseFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  next();
+});
+
+app.get('/api/tenants', (_req, res) => {
+  res.json(listTenants());
+});
+
+app.get('/api/summary', (req, res) => {
+  try {
+    const summary = withTenant(req.query.tenant, () => getSummary(records), req.filters);
+    const comparison = withTenant(req.query.tenant, () => comparePeriods(records, req.filters || {}), withoutDates(req.filters));
+    res.json({ ...summary, comparison });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Current period vs the one before it; ?from=&to= pick the current period (default: latest 28 days),
+// ?workingDays=true leaves weekends and holidays out
+app.get('/api/compare', (req, res) => {
+  try {
+    const options = { workingDays: req.query.workingDays === 'true', holidays: HOLIDAYS };
+    res.json(withTenant(req.query.tenant, () => comparePeriods(records, req.filters || {}, options), withoutDates(req.filters)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Unusual days per metric; ?metrics=&minSeverity= narrow the result, ?from=&to= the days reported
+app.get('/api/anomalies', (req, res) => {
+  let options;
+  try {
+    options = parseAnomalyOptions(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const range = { from: req.filters?.from, to: req.filters?.to };
+    res.json(withTenant(req.query.tenant, () => detectAnomalies(records, { ...options, ...range, holidays: HOLIDAYS }), withoutDates(req.filters)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 30/60/90-day projections; ?targets[dailyActiveUsers]=1500 adds when each target is reached
+app.get('/api/forecast', (req, res) => {
+  let targets;
+  try {
+    targets = parseTargets(req.query.targets);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    res.json(withTenant(req.query.tenant, () => forecastMetrics(records, { targets, holidays: HOLIDAYS }), req.filters));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DAU, WAU, MAU and stickiness per day; ?from=&to= limit the days reported, earlier days still fill the windows
+app.get('/api/active-users', (req, res) => {
+  try {
+    const range = { from: req.filters?.from, to: req.filters?.to };
+    res.json(withTenant(req.query.tenant, () => getActiveUsers(records, userRecords, range), withoutDates(req.filters)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Day-of-week averages and working-day DAU/interactions, without weekends and configured holidays
+app.get('/api/seasonality', (req, res) => {
+  try {
+    res.json(withTenant(req.query.tenant, () => getSeasonality(records, HOLIDAYS), req.filters));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/trends', (req, res) => {
+  try {
+    res.json(withTenant(req.query.tenant, () => aggregateByDay(records), req.filters));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/features', (req, res) => {
+  try {
+    res.json(withTenant(req.query.tenant, () => aggregateByFeature(records), req.filters));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/languages', (req, res) => {
+  try {
+    res.json(withTenant(req.query.tenant, () => aggregateByLanguage(records), req.filters));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/models', (req, res) => {
+  try {
+    res.json(withTenant(req.query.tenant, () => aggregateByModel(records), req.filters));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/ides', (req, res) => {
+  try {
+    res.json(withTenant(req.query.tenant, () => aggregateByIDE(records), req.filters));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/users', (req, res) => {
+  try {
+    res.json(withTenant(req.query.tenant, () => aggregateTopUsers(50), req.filters));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/trends', (_req, res) => {
+app.get('/api/users/:login', (req, res) => {
   try {
-    res.json(aggregateByDay());
+    const user = withTenant(req.query.tenant, () => getUserData(req.params.login), req.filters);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/features', (_req, res) => {
+app.get('/api/quality', (req, res) => {
   try {
-    res.json(aggregateByFeature());
+    res.json(store.quality(req.query.tenant));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/languages', (_req, res) => {
+// Goals that apply to the tenant with their status; ?from=&to= and the dimension filters choose the history
+app.get('/api/goals', (req, res) => {
   try {
-    res.json(aggregateByLanguage());
+    const tenant = req.query.tenant || ALL_TENANTS;
+    res.json(withTenant(tenant, () => evaluateGoals(records, goalsFor(goals, tenant), { holidays: HOLIDAYS }), req.filters));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/models', (_req, res) => {
+// Add a goal: { name, metric, target, by, tenant }; saved to the goals file
+app.post('/api/goals', (req, res) => {
+  let goal;
+  try {
+    goal = parseGoal(req.body || {});
+    if (goal.tenant && !TENANTS.some(t => t.id === goal.tenant)) throw new Error(`Unknown tenant "${goal.tenant}"`);
+    if (goals.some(g => g.id === goal.id)) throw new Error(`A goal with id "${goal.id}" already exists`);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   try {
-    res.json(aggregateByModel());
+    saveGoals(GOALS_FILE, [...goals, goal]);
+    goals = [...goals, goal];
+    generateReports();
+    res.status(201).json(goal);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/goals/:id', (req, res) => {
+  try {
+    if (!goals.some(g => g.id === req.params.id)) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+    const remaining = goals.filter(g => g.id !== req.params.id);
+    saveGoals(GOALS_FILE, remaining);
+    goals = remaining;
+    generateReports();
+    res.json({ deleted: req.params.id });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/ides', (_req, res) => {
+// Estimated hours saved, value and cost; ?assumptions[hourlyCost]=90 etc. override the configured assumptions
+app.get('/api/roi', (req, res) => {
+  let assumptions;
   try {
-    res.json(aggregateByIDE());
+    assumptions = parseRoiAssumptions(req.query.assumptions, ROI_DEFAULTS);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const tenant = req.query.tenant || ALL_TENANTS;
+    res.json(withTenant(tenant, () => estimateRoi(records, userRecords, { assumptions, assignedSeats: assignedSeatCount(tenant) }), req.filters));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/users', (_req, res) => {
+// Assigned vs active seats and the inactive ones; ?inactiveDays= overrides COPILOT_INACTIVE_SEAT_DAYS
+app.get('/api/seats', (req, res) => {
+  let inactiveDays;
+  try {
+    inactiveDays = parseInactiveDays(req.query.inactiveDays, INACTIVE_SEAT_DAYS);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   try {
-    res.json(aggregateTopUsers(50));
+    res.json(seatUtilization(req.query.tenant || ALL_TENANTS, inactiveDays));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Ad-hoc group-by: { tenant, dimensions: ['week', 'language'], measures: ['generations'],
+// filters: { from, to, feature, language, model, ide }, sort, order, limit }; see lib/query.js
+app.post('/api/query/structured', (req, res) => {
+  const { tenant = ALL_TENANTS } = req.body || {};
+  if (!store.view(tenant)) {
+    return res.status(400).json({ error: `Unknown tenant "${tenant}"` });
+  }
+  let query;
+  try {
+    query = parseQuery(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    res.json(withTenant(tenant, () => runQuery(records, query)));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1513,98 +1810,166 @@ app.get('/api/users', (_req, res) => {
 
 let copilotClient = null;
 
-function createMetricsTools() {
-  return [
+function createMetricsTools(defaultTenant = ALL_TENANTS) {
+  const tools = [
     defineTool('get_summary', {
-      description: 'Get a high-level summary of Copilot usage metrics including peak daily active users, interactions, code generated, LOC added/deleted',
+      description: 'Get a high-level summary of Copilot usage metrics including peak daily active users, interactions, code generated, LOC added/deleted. Use compare_periods for the change against the previous period',
       parameters: { type: 'object', properties: {}, required: [] },
-      handler: async () => {
-        const period = getDateRange();
-        const allUsers = getUniqueUsers();
-        return {
-          period,
-          peakDailyActiveUsers: allUsers.size,
-          avgDailyActiveUsers: records.length > 0 ? Math.round(records.reduce((s, r) => s + (r.daily_active_users || 0), 0) / records.length) : 0,
-          totalInteractions: sumField('user_initiated_interaction_count'),
-          totalCodeGenerated: sumField('code_generation_activity_count'),
-          totalLocAdded: sumField('loc_added_sum'),
-          totalLocDeleted: sumField('loc_deleted_sum'),
-          totalDays: records.length,
-        };
-      },
+      handler: async () => getSummary(records),
     }),
 
     defineTool('get_daily_trends', {
       description: 'Get daily trend data showing active users, interactions, code generated, and LOC added for each day in the period',
       parameters: { type: 'object', properties: {}, required: [] },
-      handler: async () => aggregateByDay(),
+      handler: async () => aggregateByDay(records),
     }),
 
     defineTool('get_feature_usage', {
       description: 'Get usage breakdown by feature (agent_edit, chat_panel_agent_mode, code_completion, etc.) showing interactions, code generated, LOC added per feature',
       parameters: { type: 'object', properties: {}, required: [] },
-      handler: async () => aggregateByFeature(),
+      handler: async () => aggregateByFeature(records),
     }),
 
     defineTool('get_language_usage', {
-      description: 'Get top 15 programming languages by code generation activity, showing code generated and LOC added per language',
+      description: 'Get top 20 programming languages by code generation activity, showing code generated, code accepted and LOC added per language',
       parameters: { type: 'object', properties: {}, required: [] },
-      handler: async () => aggregateByLanguage(),
+      handler: async () => aggregateByLanguage(records),
     }),
 
     defineTool('get_model_usage', {
       description: 'Get AI model usage data showing interactions and code generated per model (claude-opus-4.5, gpt-5.2, etc.)',
       parameters: { type: 'object', properties: {}, required: [] },
-      handler: async () => aggregateByModel(),
+      handler: async () => aggregateByModel(records),
     }),
 
     defineTool('get_ide_usage', {
       description: 'Get IDE distribution showing user count and interactions per IDE (vscode, intellij, neovim, etc.)',
       parameters: { type: 'object', properties: {}, required: [] },
-      handler: async () => aggregateByIDE(),
+      handler: async () => aggregateByIDE(records),
     }),
 
     defineTool('get_top_users', {
-      description: 'Enterprise-level data does not include per-user breakdowns. Returns empty array. Suggest using get_summary or get_daily_active_users instead.',
+      description: 'Get the leaderboard of most active Copilot users from the per-user reports, ranked by interactions, with code generated/accepted, LOC added/deleted, days active, last active day and whether they used agent or chat',
       parameters: {
         type: 'object',
         properties: { limit: { type: 'number', description: 'Number of top users to return (default 20)' } },
       },
-      handler: async (args) => ({ message: 'Per-user data is not available in enterprise-level reports', data: [] }),
+      handler: async (args) => {
+        if (userRecords.length === 0) return { message: parseFilters(args) ? 'No per-user activity matches these filters' : 'No per-user data loaded', data: [] };
+        return aggregateTopUsers(args?.limit || 20);
+      },
     }),
 
     defineTool('get_user_details', {
-      description: 'Enterprise-level data does not include per-user breakdowns. Returns null.',
+      description: 'Get the Copilot usage profile for one user: totals, daily trend, and feature, language, model and IDE breakdowns over time',
       parameters: {
         type: 'object',
         properties: { username: { type: 'string', description: 'The GitHub username to look up' } },
         required: ['username'],
       },
       handler: async (args) => {
-        return { error: 'Per-user data is not available in enterprise-level reports' };
+        return getUserData(args.username) || { error: `No per-user data found for ${args.username}` };
       },
     }),
 
-    defineTool('get_daily_active_users', {
-      description: 'Get daily and weekly active user counts over the period',
+    defineTool('get_data_quality', {
+      description: 'Get the ingestion health and data-quality report: which days loaded, had no report (404) or failed to fetch, per-day record counts, NDJSON parse errors, and anomalies such as negative counts, missing breakdowns or sudden DAU drops',
       parameters: { type: 'object', properties: {}, required: [] },
-      handler: async () => ({
-        daily: aggregateDailyActiveUsers(),
-        weekly: aggregateWeeklyActiveUsers(),
+      handler: async (args) => store.quality(args.tenant),
+    }),
+
+    defineTool('get_alerts', {
+      description: `List threshold alerts raised after data refreshes (rule types: ${ALERT_RULE_TYPES.join(', ')}; e.g. DAU drops day-over-day, acceptance rate below a threshold for several days, a new model appearing), with their status (open or resolved), plus the configured rules`,
+      parameters: {
+        type: 'object',
+        properties: { status: { type: 'string', enum: ['open', 'resolved'], description: 'Only open or only resolved alerts (default: both)' } },
+        required: [],
+      },
+      handler: async (args) => ({
+        rules: ALERT_RULES,
+        alerts: listAlerts(alertState, { status: args.status || null, tenant: args.tenant === ALL_TENANTS ? null : args.tenant }),
+      }),
+    }),
+
+    defineTool('resolve_alert', {
+      description: 'Mark an alert resolved so it is no longer reported as open; it will not be notified again',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'The alert id from get_alerts' },
+          note: { type: 'string', description: 'Optional note on how it was resolved' },
+        },
+        required: ['id'],
+      },
+      handler: async (args) => {
+        const alert = resolveAlert(alertState, args.id, { note: args.note || null });
+        if (!alert) return { error: `No alert with id ${args.id}` };
+        saveAlertState(ALERT_STATE_FILE, alertState);
+        return alert;
+      },
+    }),
+
+    defineTool('get_weekly_digest', {
+      description: 'Weekly digest of the latest 7 days: executive-summary KPIs with their change on the previous 7 days, the languages and models that moved most, and notable days (busiest day, usage anomalies, holidays). The same digest is posted to chat webhooks on a schedule',
+      parameters: { type: 'object', properties: {}, required: [] },
+      handler: async (args) => weeklyDigests(args.tenant)[0] || { error: 'No data to summarise' },
+    }),
+
+    defineTool('get_goals', {
+      description: 'Check adoption goals (targets with a date for daily active users, agent activity share or completion acceptance rate): status (achieved, on track, at risk, off track, missed), current weekday-level value, progress %, projected completion date, and the weekly gain needed vs the current trend. Use it to answer "are we on track?"',
+      parameters: { type: 'object', properties: {}, required: [] },
+      handler: async (args) => evaluateGoals(records, goalsFor(goals, args.tenant), { holidays: HOLIDAYS }),
+    }),
+
+    defineTool('get_roi', {
+      description: 'Estimate Copilot ROI: hours saved (from accepted completions, lines added through chat and lines added by agents, at fixed minutes per unit), their value at an hourly engineer cost, seat cost for the period, net value, value/cost, cost per active user and break-even hours. Always present the listed assumptions with the figures; they are estimates, not measurements',
+      parameters: {
+        type: 'object',
+        properties: {
+          assumptions: {
+            type: 'object',
+            description: `Overrides of the configured assumptions: ${ROI_ASSUMPTIONS.join(', ')} (numbers) and currency`,
+            properties: {
+              ...Object.fromEntries(ROI_ASSUMPTIONS.map(name => [name, { type: 'number' }])),
+              currency: { type: 'string' },
+            },
+          },
+        },
+        required: [],
+      },
+      handler: async (args) => estimateRoi(records, userRecords, {
+        assumptions: parseRoiAssumptions(args.assumptions, ROI_DEFAULTS),
+        assignedSeats: assignedSeatCount(args.tenant),
       }),
     }),
 
+    defineTool('get_seat_utilization', {
+      description: `Get Copilot seat utilization from the billing seat assignments: assigned vs active seats, seats with no activity in the last N days (default ${INACTIVE_SEAT_DAYS}), never-used seats, seats pending cancellation, and last activity per seat (the later of the seat record and the per-user reports). Use it to find licences to reclaim`,
+      parameters: {
+        type: 'object',
+        properties: { inactiveDays: { type: 'number', description: `Days without activity after which a seat counts as inactive (default ${INACTIVE_SEAT_DAYS})` } },
+        required: [],
+      },
+      handler: async (args) => seatUtilization(args.tenant, parseInactiveDays(args.inactiveDays, INACTIVE_SEAT_DAYS)),
+    }),
+
+    defineTool('get_daily_active_users', {
+      description: 'Get daily, weekly and monthly active users and DAU/MAU stickiness per day. WAU/MAU are distinct users over the trailing 7/28 days, from the reports or the per-user data; values with source "approximate" are average DAU, not distinct users, and must be presented as approximations',
+      parameters: { type: 'object', properties: {}, required: [] },
+      handler: async (args) => getActiveUsers(records, userRecords, parseFilters(args || {}) || {}),
+    }),
+
     defineTool('get_code_generation_stats', {
       description: 'Get code generation statistics including daily LOC added/deleted, user-initiated vs agent-initiated code changes, and breakdowns by model and language',
       parameters: { type: 'object', properties: {}, required: [] },
       handler: async () => ({
-        dailyLoc: aggregateDailyLocAddedDeleted(),
-        userInitiated: aggregateUserInitiatedCodeChanges(),
-        agentInitiated: aggregateAgentInitiatedCodeChanges(),
-        userByModel: aggregateUserCodeChangesByModel(),
-        agentByModel: aggregateAgentCodeChangesByModel(),
-        userByLanguage: aggregateUserCodeChangesByLanguage(),
-        agentByLanguage: aggregateAgentCodeChangesByLanguage(),
+        dailyLoc: aggregateDailyLocAddedDeleted(records),
+        userInitiated: aggregateUserInitiatedCodeChanges(records),
+        agentInitiated: aggregateAgentInitiatedCodeChanges(records),
+        userByModel: aggregateUserCodeChangesByModel(records),
+        agentByModel: aggregateAgentCodeChangesByModel(records),
+        userByLanguage: aggregateUserCodeChangesByLanguage(records),
+        agentByLanguage: aggregateAgentCodeChangesByLanguage(records),
       }),
     }),
 
@@ -1612,10 +1977,10 @@ function createMetricsTools() {
       description: 'Get daily breakdown of chat requests per mode (Agent Mode, Ask Mode, Edit Mode, Custom Mode, Inline Chat) and code completion stats',
       parameters: { type: 'object', properties: {}, required: [] },
       handler: async () => ({
-        requestsPerMode: aggregateRequestsPerChatMode(),
-        avgChatRequests: aggregateAvgChatRequestsPerActiveUser(),
-        codeCompletions: aggregateCodeCompletions(),
-        acceptanceRate: aggregateCodeCompletionAcceptanceRate(),
+        requestsPerMode: aggregateRequestsPerChatMode(records),
+        avgChatRequests: aggregateAvgChatRequestsPerActiveUser(records),
+        codeCompletions: aggregateCodeCompletions(records),
+        acceptanceRate: aggregateCodeCompletionAcceptanceRate(records),
       }),
     }),
 
@@ -1623,13 +1988,78 @@ function createMetricsTools() {
       description: 'Get model usage distribution data including daily model usage percentages, chat model distribution, and model usage per chat mode',
       parameters: { type: 'object', properties: {}, required: [] },
       handler: async () => ({
-        chatModelDistribution: aggregateChatModelDistribution(),
-        modelPerDay: aggregateModelUsagePerDay(),
-        modelPerChatMode: aggregateModelUsagePerChatMode(),
-        modelPerLanguage: aggregateModelUsagePerLanguage(),
+        chatModelDistribution: aggregateChatModelDistribution(records),
+        modelPerDay: aggregateModelUsagePerDay(records),
+        modelPerChatMode: aggregateModelUsagePerChatMode(records),
+        modelPerLanguage: aggregateModelUsagePerLanguage(records),
       }),
     }),
 
+    defineTool('compare_periods', {
+      description: 'Compare a period with the previous equivalent period ("is that better than last month?"): avg/peak DAU, interactions, code generated/accepted, LOC, agent adoption %, completion acceptance rate, and the top languages, models and features, each with the previous value, absolute and percent change and an up/down trend. from/to pick the current period (default: the latest 28 days); the previous period is the same number of days just before it. If the periods have data for a different number of days, totalsComparable is false and totals have no change.',
+      parameters: {
+        type: 'object',
+        properties: {
+          workingDays: { type: 'boolean', description: 'Compare working days only, leaving out weekends and configured holidays (default: false)' },
+        },
+        required: [],
+      },
+      handler: async (args) => comparePeriods(records, parseFilters(args || {}) || {}, { workingDays: args?.workingDays === true, holidays: HOLIDAYS }),
+    }),
+
+    defineTool('get_anomalies', {
+      description: 'Find unusual days in the daily active users, interactions, code generations and completion acceptance rate series ("was there an outage?", "why did usage drop?"). Each day is compared with the same kind of day (weekday or weekend) over the previous 4 weeks; flagged days come with the expected value, deviation, severity (warning or critical) and a plain-language explanation. from/to limit the days reported; earlier days are still used as the baseline.',
+      parameters: {
+        type: 'object',
+        properties: {
+          metrics: { type: 'array', items: { type: 'string', enum: ANOMALY_METRICS }, description: 'Series to check (default: all)' },
+          minSeverity: { type: 'string', enum: ANOMALY_SEVERITIES, description: 'Only report anomalies at least this severe (default: warning)' },
+        },
+        required: [],
+      },
+      handler: async (args) => {
+        const range = parseFilters(args || {}) || {};
+        return detectAnomalies(records, { ...parseAnomalyOptions(args || {}), from: range.from, to: range.to, holidays: HOLIDAYS });
+      },
+    }),
+
+    defineTool('get_forecast', {
+      description: 'Project daily active users, agent activity share (%) and completion acceptance rate 30, 60 and 90 days ahead from the current linear trend, with 90% ranges, and estimate when rollout targets will be reached ("when will we hit 1,500 DAU?"). Figures are weekday levels; from/to and the dimension filters choose the history the trend is fitted on.',
+      parameters: {
+        type: 'object',
+        properties: {
+          targets: {
+            type: 'object',
+            description: 'Targets to estimate a date for, e.g. { "dailyActiveUsers": 1500, "agentSharePct": 70, "acceptanceRate": 30 }',
+            properties: Object.fromEntries(FORECAST_METRICS.map(m => [m, { type: 'number' }])),
+          },
+        },
+        required: [],
+      },
+      handler: async (args) => forecastMetrics(records, { targets: parseTargets(args?.targets), holidays: HOLIDAYS }),
+    }),
+
+    defineTool('get_seasonality', {
+      description: 'Get day-of-week usage patterns and working-day views: average DAU, interactions and code generated per weekday (with an index against the average working day), working-day vs weekend averages, how much lower weekends run, usage on configured holidays, and working-day-only daily DAU/interactions with a 5-working-day rolling average. Use it for "how big is the weekend dip?" or when weekends distort a trend.',
+      parameters: { type: 'object', properties: {}, required: [] },
+      handler: async () => getSeasonality(records, HOLIDAYS),
+    }),
+
+    defineTool('query_metrics', {
+      description: 'Flexible group-by query for cross-tab questions the other tools can\'t answer, e.g. code generated per language per week, or acceptances by model for one feature. Groups by any of day, week, feature, language, model, ide (feature can be combined with language or model, and language with model) and sums the chosen measures. Measures a breakdown does not carry are listed in unavailableMeasures.',
+      parameters: {
+        type: 'object',
+        properties: {
+          dimensions: { type: 'array', items: { type: 'string', enum: QUERY_DIMENSIONS }, description: 'Dimensions to group by, in column order; none gives one total row' },
+          measures: { type: 'array', items: { type: 'string', enum: Object.keys(QUERY_MEASURES) }, description: 'Measures to sum (default: all)' },
+          sort: { type: 'string', description: 'Selected dimension or measure to sort by (default: the time dimension if first, else the first measure)' },
+          order: { type: 'string', enum: ['asc', 'desc'] },
+          limit: { type: 'number', description: 'Maximum rows to return (default 100)' },
+        },
+      },
+      handler: async (args) => runQuery(records, parseQuery(args || {})),
+    }),
+
     defineTool('generate_chart_config', {
       description: 'Generate a Chart.js chart configuration for the frontend to render. Use this after getting data to create visualizations. Returns a chartsData array that the frontend can render.',
       parameters: {
@@ -1664,42 +2094,73 @@ function createMetricsTools() {
       handler: async (args) => args.charts,
     }),
   ];
+
+  // Every data tool takes an optional tenant selector, defaulting to the one picked in the UI,
+  // plus date-range and dimension filters (the data-quality report covers ingestion, so it only
+  // takes the tenant). Handlers aggregate before their first await, so withTenant() covers the work.
+  const tenantParam = {
+    type: 'string',
+    enum: store.viewIds(),
+    description: `Tenant to query (default "${defaultTenant}"); "${ALL_TENANTS}" is the combined rollup of every tenant`,
+  };
+  const filterParams = {
+    from: { type: 'string', description: 'First day to include, YYYY-MM-DD (default: earliest archived day)' },
+    to: { type: 'string', description: 'Last day to include, YYYY-MM-DD (default: latest archived day)' },
+    feature: { type: 'string', description: 'Only these features, comma-separated ids or names (e.g. "code_completion" or "Agent Mode")' },
+    language: { type: 'string', description: 'Only these languages, comma-separated (e.g. "python,typescript")' },
+    model: { type: 'string', description: 'Only these models, comma-separated (e.g. "gpt-4.1")' },
+    ide: { type: 'string', description: 'Only these IDEs, comma-separated (e.g. "vscode"). Cannot be combined with the other dimension filters' },
+  };
+  return tools.map(tool => {
+    if (tool.name === 'generate_chart_config') return tool;
+    const filtered = !['get_data_quality', 'get_seat_utilization', 'get_alerts', 'resolve_alert', 'get_weekly_digest'].includes(tool.name);
+    // These read their own windows around from/to, so only the dimension filters narrow their data
+    const ownDates = ['compare_periods', 'get_anomalies', 'get_daily_active_users'].includes(tool.name);
+    return {
+      ...tool,
+      parameters: {
+        ...tool.parameters,
+        properties: { ...tool.parameters.properties, tenant: tenantParam, ...(filtered ? filterParams : {}) },
+      },
+      handler: async (args) => {
+        const tenant = args?.tenant || defaultTenant;
+        const filters = filtered ? parseFilters(args || {}) : null;
+        return withTenant(tenant, () => tool.handler({ ...args, tenant }), ownDates ? withoutDates(filters) : filters);
+      },
+    };
+  });
 }
 
-app.post('/api/query', async (req, res) => {
-  try {
-    const { prompt } = req.body;
-    if (!prompt || typeof prompt !== 'string') {
-      return res.status(400).json({ error: 'A "prompt" string is required.' });
-    }
+// Answer a prompt with the Copilot agent and the metrics tools; { markdown, chartData, chartsData }.
+// Without the SDK, keyword matching answers instead.
+async function askAgent(prompt, tenant) {
+  if (!copilotClient) {
+    return withTenant(tenant, () => handleQuery(prompt));
+  }
 
-    if (!copilotClient) {
-      return res.json(handleQuery(prompt));
-    }
+  let chartsData = null;
 
-    let chartsData = null;
-
-    // Create tools, but intercept generate_chart_config to capture charts
-    const tools = createMetricsTools().map(tool => {
-      if (tool.name === 'generate_chart_config') {
-        const origHandler = tool.handler;
-        return {
-          ...tool,
-          handler: async (args) => {
-            const result = await origHandler(args);
-            chartsData = result;
-            return { success: true, message: 'Charts will be rendered in the UI' };
-          },
-        };
-      }
-      return tool;
-    });
+  // Create tools, but intercept generate_chart_config to capture charts
+  const tools = createMetricsTools(tenant).map(tool => {
+    if (tool.name === 'generate_chart_config') {
+      const origHandler = tool.handler;
+      return {
+        ...tool,
+        handler: async (args) => {
+          const result = await origHandler(args);
+          chartsData = result;
+          return { success: true, message: 'Charts will be rendered in the UI' };
+        },
+      };
+    }
+    return tool;
+  });
 
-    const session = await copilotClient.createSession({
-      model: 'claude-sonnet-4',
-      tools,
-      systemMessage: {
-        content: `You are a GitHub Copilot Metrics analyst agent. You have tools to query Copilot usage data for an enterprise.
+  const session = await copilotClient.createSession({
+    model: 'claude-sonnet-4',
+    tools,
+    systemMessage: {
+      content: `You are a GitHub Copilot Metrics analyst agent. You have tools to query Copilot usage data for ${TENANTS.map(t => t.label).join(', ')}.
 
 When answering:
 1. Call the relevant data tools to get actual numbers
@@ -1709,31 +2170,45 @@ When answering:
 5. Provide specific numbers, percentages, and trends
 6. Be concise but insightful
 
-Available data spans a 28-day period of Copilot IDE usage at the enterprise level. You can query daily active users, code generation, feature adoption, language/model/IDE breakdowns. Note: per-user data is not available in enterprise-level reports.
+Available data covers all archived days of Copilot IDE usage (the API serves the latest 28 days; older days come from the local history archive). You can query daily active users, code generation, feature adoption, language/model/IDE breakdowns, and (from the per-user reports, which cover recent days only) top users and individual user profiles.
 
-When generate_chart_config is called, the charts are rendered visually in the web UI. Supported chart types: bar, line, pie, doughnut. Use stacked:true for stacked bars.`
-      },
-    });
+Today is ${new Date().toISOString().slice(0, 10)}. Every data tool accepts from/to dates (YYYY-MM-DD) and feature, language, model and ide filters: for questions about a specific period or slice (e.g. "last week, Python only"), pass them instead of estimating from whole-period totals. Active-user counts are per day and are not narrowed by the dimension filters. A null count or breakdown means the reports can't narrow it to that slice (e.g. interactions by language): say it is unavailable, never zero.
 
-    const response = await session.sendAndWait({ prompt }, 120000);
-    let finalMarkdown = response?.data?.content || '';
-    if (!finalMarkdown && chartsData) {
-      finalMarkdown = '📊 Report generated with charts below.';
-    } else if (!finalMarkdown) {
-      finalMarkdown = 'Unable to generate a response.';
-    }
+${TENANTS.length > 1 ? `Data is split by tenant (${TENANTS.map(t => `"${t.id}" = ${t.label}`).join(', ')}); "${ALL_TENANTS}" combines them. The user is currently viewing "${tenant}", which every tool uses unless you pass a different tenant.\n\n` : ''}When generate_chart_config is called, the charts are rendered visually in the web UI. Supported chart types: bar, line, pie, doughnut. Use stacked:true for stacked bars.`
+    },
+  });
 
-    await session.destroy();
+  const response = await session.sendAndWait({ prompt }, 120000);
+  let finalMarkdown = response?.data?.content || '';
+  if (!finalMarkdown && chartsData) {
+    finalMarkdown = '📊 Report generated with charts below.';
+  } else if (!finalMarkdown) {
+    finalMarkdown = 'Unable to generate a response.';
+  }
 
-    res.json({
-      markdown: finalMarkdown,
-      chartData: null,
-      chartsData: chartsData,
-    });
+  await session.destroy();
+
+  return {
+    markdown: finalMarkdown,
+    chartData: null,
+    chartsData: chartsData,
+  };
+}
+
+app.post('/api/query', async (req, res) => {
+  try {
+    const { prompt, tenant = ALL_TENANTS } = req.body;
+    if (!prompt || typeof prompt !== 'string') {
+      return res.status(400).json({ error: 'A "prompt" string is required.' });
+    }
+    if (!store.view(tenant)) {
+      return res.status(400).json({ error: `Unknown tenant "${tenant}"` });
+    }
+    res.json(await askAgent(prompt, tenant));
   } catch (err) {
     console.error('Query error:', err.message);
     try {
-      res.json(handleQuery(req.body.prompt));
+      res.json(withTenant(req.body.tenant, () => handleQuery(req.body.prompt)));
     } catch (e) {
       res.status(500).json({ error: err.message });
     }
@@ -1744,26 +2219,48 @@ const REPORT_LIST = [
   { id: 'copilot-usage', title: 'Copilot Usage', icon: '📊' },
   { id: 'code-generation', title: 'Code Generation', icon: '⚡' },
   { id: 'executive-summary', title: 'Executive Summary', icon: '📋' },
+  { id: 'roi', title: 'ROI', icon: '💰' },
+  { id: 'goals', title: 'Goals', icon: '🎯' },
   { id: 'usage-trends', title: 'Usage Trends', icon: '📈' },
+  { id: 'seasonality', title: 'Day-of-Week & Seasonality', icon: '🗓️' },
   { id: 'feature-adoption', title: 'Feature Adoption', icon: '🤖' },
   { id: 'language-breakdown', title: 'Language Breakdown', icon: '💻' },
   { id: 'model-usage', title: 'Model Usage', icon: '🧠' },
   { id: 'ide-distribution', title: 'IDE Distribution', icon: '🖥️' },
   { id: 'top-users', title: 'Top Users', icon: '🏆' },
+  { id: 'seat-utilization', title: 'Seat Utilization', icon: '💺' },
+  { id: 'data-quality', title: 'Data Quality', icon: '🩺' },
 ];
 
+// Built from ingestion logs and seat assignments rather than usage records, so filters don't apply
+const UNFILTERED_REPORTS = ['data-quality', 'seat-utilization'];
+
 app.get('/api/reports', (_req, res) => {
   res.json(REPORT_LIST);
 });
 
 app.get('/api/reports/:id', (req, res) => {
   try {
-    const report = preGeneratedReports[req.params.id];
+    const tenant = req.query.tenant || ALL_TENANTS;
+    let report = (reportsByTenant[tenant] || {})[req.params.id];
     if (!report) {
       return res.status(404).json({ error: 'Report not found' });
     }
+    // Filtered reports are built on demand
+    let markdown = report.markdown;
+    if (req.filters && !UNFILTERED_REPORTS.includes(req.params.id)) {
+      const context = withTenant(tenant, () => ({
+        comparison: comparePeriods(records, req.filters || {}),
+        workingDayComparison: comparePeriods(records, req.filters || {}, { workingDays: true, holidays: HOLIDAYS }),
+        anomalies: detectAnomalies(records, { from: req.filters.from, to: req.filters.to, holidays: HOLIDAYS }),
+        assignedSeats: assignedSeatCount(tenant),
+        tenantGoals: goalsFor(goals, tenant),
+      }), withoutDates(req.filters));
+      report = withTenant(tenant, () => generateTenantReports(context), req.filters)[req.params.id];
+      markdown = `> Filtered: ${describeFilters(req.filters)}\n\n${report.markdown}`;
+    }
     res.json({
-      markdown: report.markdown,
+      markdown,
       chartData: report.chartData || null,
       chartsData: report.chartsData || null,
     });
@@ -1772,23 +2269,381 @@ app.get('/api/reports/:id', (req, res) => {
   }
 });
 
-app.post('/api/refresh', async (_req, res) => {
+// ─── Alerts ─────────────────────────────────────────────────────────────────
+
+const alertState = loadAlertState(ALERT_STATE_FILE);
+
+// Run every rule against the tenants it covers and notify the webhooks of
+// alerts not seen before, plus any an earlier post failed to deliver
+async function checkAlerts() {
+  const raised = [];
+  for (const tenant of new Set(ALERT_RULES.flatMap(r => (r.tenant ? [r.tenant] : TENANTS.map(t => t.id))))) {
+    const view = store.view(tenant);
+    if (!view) {
+      console.warn(`Alert rules name unknown tenant "${tenant}"`);
+      continue;
+    }
+    const rules = ALERT_RULES.filter(r => (r.tenant ? r.tenant === tenant : tenant !== ALL_TENANTS));
+    raised.push(...evaluateAlertRules(view.records, rules, { tenant, holidays: HOLIDAYS }));
+  }
+  const fresh = recordAlerts(alertState, raised, { webhooks: webhooks.webhooks.filter(w => w.events.includes('alerts')) });
+  if (fresh.length > 0) console.log(`${fresh.length} new alert(s): ${fresh.map(a => a.id).join(', ')}`);
+  try {
+    const sent = new Map();
+    const results = await webhooks.send('alerts', (webhook) => {
+      const pending = pendingAlerts(alertState, webhook.name);
+      sent.set(webhook.name, pending);
+      return pending.length > 0 ? alertPayload(pending, webhook, { dashboardUrl: DASHBOARD_URL }) : null;
+    });
+    // Only what a webhook accepted counts as notified; the rest is retried next time
+    for (const r of results.filter(r => r.ok)) markNotified(alertState, sent.get(r.webhook), r.webhook);
+  } finally {
+    saveAlertState(ALERT_STATE_FILE, alertState);
+  }
+}
+
+app.get('/api/alerts', (req, res) => {
+  try {
+    res.json({
+      rules: ALERT_RULES,
+      webhooks: webhooks.webhooks.map(w => ({ name: w.name, format: w.format, events: w.events, minSeverity: w.minSeverity })),
+      alerts: listAlerts(alertState, { status: req.query.status || null, tenant: req.query.tenant || null }),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mark an alert resolved: { note }; it is not notified again
+app.post('/api/alerts/:id/resolve', (req, res) => {
+  try {
+    const alert = resolveAlert(alertState, req.params.id, { note: req.body?.note || null });
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    saveAlertState(ALERT_STATE_FILE, alertState);
+    res.json(alert);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Weekly Digest ──────────────────────────────────────────────────────────
+
+// One digest per tenant, or just the one asked for (which may be the combined view)
+function weeklyDigests(tenant = null) {
+  const ids = tenant ? [tenant] : TENANTS.map(t => t.id);
+  return ids.flatMap(id => {
+    const view = store.view(id);
+    const label = id === ALL_TENANTS ? 'All tenants' : TENANTS.find(t => t.id === id)?.label;
+    const digest = view && buildDigest(view.records, view.userRecords, { tenant: id, label, holidays: HOLIDAYS });
+    return digest ? [digest] : [];
+  });
+}
+
+async function postDigest() {
+  const digests = weeklyDigests();
+  if (digests.length === 0) throw new Error('No data to summarise');
+  const results = await webhooks.send('digest', (webhook) => digestPayload(digests, webhook, { dashboardUrl: DASHBOARD_URL }));
+  console.log(`Weekly digest posted to ${results.filter(r => r.ok).length} of ${results.length} webhook(s)`);
+  return { digests, results };
+}
+
+const digestScheduler = createScheduler(postDigest, DIGEST_SCHEDULE, { name: 'digest' });
+
+app.get('/api/digest', (req, res) => {
+  try {
+    const tenant = req.query.tenant || null;
+    if (tenant && !store.view(tenant)) {
+      return res.status(400).json({ error: `Unknown tenant "${tenant}"` });
+    }
+    res.json({ schedule: digestScheduler.status(), digests: weeklyDigests(tenant) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Post the digest now instead of waiting for the schedule
+app.post('/api/digest/send', async (req, res) => {
+  try {
+    if (!webhooks.webhooks.some(w => w.events.includes('digest'))) {
+      return res.status(400).json({ error: 'No webhook receives the digest; add one to the webhooks file.' });
+    }
+    const { results } = await digestScheduler.run();
+    res.json({ success: results.every(r => r.ok), results });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Saved Custom Reports ───────────────────────────────────────────────────
+
+let customReports = loadCustomReports(CUSTOM_REPORTS_FILE);
+
+app.get('/api/custom-reports', (req, res) => {
+  res.json(customReports);
+});
+
+// Save an agent answer as a report: { title, prompt, tenant, markdown, chartData, chartsData }
+app.post('/api/custom-reports', (req, res) => {
+  let report;
+  try {
+    report = parseCustomReport(req.body || {});
+    if (customReports.some(r => r.id === report.id)) throw new Error(`A report with id "${report.id}" already exists`);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    saveCustomReports(CUSTOM_REPORTS_FILE, [...customReports, report]);
+    customReports = [...customReports, report];
+    res.status(201).json(report);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/custom-reports/:id', (req, res) => {
+  try {
+    if (!customReports.some(r => r.id === req.params.id)) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (subscriptions.some(s => s.report === req.params.id)) {
+      return res.status(409).json({ error: 'The report has email subscriptions; remove them first.' });
+    }
+    const remaining = customReports.filter(r => r.id !== req.params.id);
+    saveCustomReports(CUSTOM_REPORTS_FILE, remaining);
+    customReports = remaining;
+    res.json({ deleted: req.params.id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Email Subscriptions ────────────────────────────────────────────────────
+
+const subscribableReports = () => [...REPORT_LIST.map(r => r.id), ...customReports.map(r => r.id)];
+let subscriptions = loadSubscriptions(SUBSCRIPTIONS_FILE, subscribableReports());
+const emailState = loadEmailState(EMAIL_STATE_FILE);
+const mailer = SMTP ? createMailer(SMTP) : null;
+
+// The report as it stands now: standard reports from the latest generation,
+// custom reports re-run from their prompt (or as saved, if that fails)
+async function subscriptionReport(subscription) {
+  const tenant = subscription.tenant || ALL_TENANTS;
+  const standard = REPORT_LIST.find(r => r.id === subscription.report);
+  if (standard) {
+    const report = (reportsByTenant[tenant] || {})[standard.id];
+    if (!report) throw new Error(`Report ${standard.id} is not available for tenant "${tenant}"`);
+    return { title: standard.title, ...report };
+  }
+  const saved = customReports.find(r => r.id === subscription.report);
+  if (!saved) throw new Error(`Saved report ${subscription.report} no longer exists`);
+  if (saved.prompt) {
+    try {
+      return { title: saved.title, ...(await askAgent(saved.prompt, saved.tenant || tenant)) };
+    } catch (err) {
+      console.warn(`Could not re-run saved report ${saved.id}, sending it as saved: ${err.message}`);
+    }
+  }
+  return { ...saved, footer: `Saved on ${saved.savedAt.slice(0, 10)}.` };
+}
+
+async function sendSubscription(subscription) {
+  const report = await subscriptionReport(subscription);
+  const tenantLabel = TENANTS.length > 1 ? (TENANTS.find(t => t.id === subscription.tenant)?.label || 'All tenants') : null;
+  const title = `Copilot metrics: ${report.title}${tenantLabel ? ` (${tenantLabel})` : ''}`;
+  const footer = [report.footer, `You receive this ${subscription.frequency} report as subscription "${subscription.id}".`].filter(Boolean).join(' ');
+  const email = await renderReportEmail(report, { title, footer, dashboardUrl: DASHBOARD_URL });
+  await mailer.send({ to: subscription.recipients, subject: title, ...email });
+}
+
+// Send every subscription that is due; one failing doesn't stop the others
+async function sendDueEmails(now = new Date()) {
+  const results = [];
+  for (const subscription of dueSubscriptions(subscriptions, emailState, EMAIL_HOUR, now)) {
+    const entry = emailState[subscription.id];
+    try {
+      await sendSubscription(subscription);
+      recordDelivery(entry, null, now);
+      results.push({ id: subscription.id, ok: true });
+    } catch (err) {
+      recordDelivery(entry, err, now);
+      console.warn(`Could not email report subscription ${subscription.id} (attempt ${entry.failures}, next at ${entry.retryAt}): ${err.message}`);
+      results.push({ id: subscription.id, ok: false, error: err.message });
+    }
+  }
+  saveEmailState(EMAIL_STATE_FILE, emailState);
+  if (results.length > 0) console.log(`Emailed ${results.filter(r => r.ok).length} of ${results.length} due report subscription(s)`);
+  return results;
+}
+
+// Checks for due subscriptions every 15 minutes
+const emailScheduler = createScheduler(sendDueEmails, SMTP ? '*/15 * * * *' : null, { name: 'email delivery' });
+
+function subscriptionStatus(subscription) {
+  const next = nextDelivery(subscription, emailState, EMAIL_HOUR);
+  const state = emailState[subscription.id];
+  return {
+    ...subscription,
+    nextDeliveryAt: next.toISOString(),
+    lastSentAt: state.lastSentAt,
+    lastError: state.lastError,
+    failures: state.failures || 0,
+    retryAt: state.retryAt || null,
+  };
+}
+
+app.get('/api/subscriptions', (req, res) => {
+  try {
+    res.json({
+      smtp: SMTP ? { host: SMTP.host, port: SMTP.port, from: SMTP.from } : null,
+      emailHour: EMAIL_HOUR,
+      reports: [...REPORT_LIST, ...customReports.map(r => ({ id: r.id, title: r.title, icon: '📄', custom: true }))],
+      subscriptions: subscriptions.map(subscriptionStatus),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Subscribe: { report, recipients, frequency, tenant }; saved to the subscriptions file
+app.post('/api/subscriptions', (req, res) => {
+  let subscription;
+  try {
+    subscription = parseSubscription(req.body || {}, subscribableReports());
+    if (subscription.tenant && !store.view(subscription.tenant)) throw new Error(`Unknown tenant "${subscription.tenant}"`);
+    if (subscriptions.some(s => s.id === subscription.id)) throw new Error(`A subscription with id "${subscription.id}" already exists`);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    saveSubscriptions(SUBSCRIPTIONS_FILE, [...subscriptions, subscription]);
+    subscriptions = [...subscriptions, subscription];
+    const status = subscriptionStatus(subscription);
+    saveEmailState(EMAIL_STATE_FILE, emailState);
+    res.status(201).json(status);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/subscriptions/:id', (req, res) => {
+  try {
+    if (!subscriptions.some(s => s.id === req.params.id)) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    const remaining = subscriptions.filter(s => s.id !== req.params.id);
+    saveSubscriptions(SUBSCRIPTIONS_FILE, remaining);
+    subscriptions = remaining;
+    delete emailState[req.params.id];
+    saveEmailState(EMAIL_STATE_FILE, emailState);
+    res.json({ deleted: req.params.id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Send one subscription now, e.g. to check the SMTP settings; its schedule is unaffected
+app.post('/api/subscriptions/:id/send', async (req, res) => {
   try {
+    const subscription = subscriptions.find(s => s.id === req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    if (!mailer) {
+      return res.status(400).json({ error: 'Email is not configured; set COPILOT_SMTP_HOST and COPILOT_SMTP_FROM.' });
+    }
+    await sendSubscription(subscription);
+    res.json({ success: true, recipients: subscription.recipients });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Scheduled Refresh ──────────────────────────────────────────────────────
+
+// Days the last refresh could not fetch (they stay missing and are retried next time)
+let lastFetchFailures = [];
+
+const refreshScheduler = createScheduler(async (opts) => {
+  const result = await loadAllData(opts);
+  lastFetchFailures = result.failures;
+  generateReports();
+  // A failing rule or webhook must not fail the refresh itself
+  try {
+    await checkAlerts();
+  } catch (err) {
+    console.warn(`Could not check alerts: ${err.message}`);
+  }
+  return result;
+}, REFRESH_SCHEDULE);
+
+app.post('/api/refresh', async (req, res) => {
+  try {
+    const full = req.query.full === 'true' || req.body?.full === true;
     console.log('Refreshing metrics data...');
-    await loadAllData();
-    generateReports();
-    res.json({ success: true, records: records.length });
+    const { fetchedDays, failures } = await refreshScheduler.run({ full });
+    res.json({ success: failures.length === 0, records: records.length, fetchedDays, failures });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Upload an exported report file (NDJSON/JSON, gzipped or in a zip/tar archive)
+// as the raw request body: POST /api/import?tenant=<id>&name=<file name>
+app.post('/api/import', async (req, res) => {
+  try {
+    const tenant = req.query.tenant || (TENANTS.length === 1 ? TENANTS[0].id : null);
+    const source = TENANTS.find(t => t.id === tenant);
+    if (!source) {
+      return res.status(400).json({ error: 'Pick the tenant to import into with ?tenant=<id>.' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the report file or archive as the request body.' });
+    }
+    const imported = importBuffer(req.body, req.query.name);
+    if (imported.records.length === 0 && imported.userRecords.length === 0) {
+      return res.status(400).json({
+        error: `No report records found in the upload (${imported.files} report file(s), ${imported.parseErrors} unreadable record(s)).`,
+      });
+    }
+    const result = await importUpload(source, imported);
+    console.log(`Imported ${result.records} records and ${result.userRecords} per-user records into ${source.label}`);
+    res.json({ success: true, tenant: source.id, ...result });
   } catch (err) {
+    if (err instanceof ImportTooLargeError) return res.status(413).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 });
 
+app.get('/api/status', (req, res) => {
+  res.json({
+    ...withTenant(req.query.tenant, () => ({ period: getDateRange(records), records: records.length })),
+    tenants: TENANTS.map(t => ({
+      id: t.id,
+      label: t.label,
+      offline: t.offline,
+      auth: t.offline ? null : t.app ? 'github-app' : 'token',
+      records: store.view(t.id)?.records.length || 0,
+      rateLimit: store.rateLimit(t),
+    })),
+    refresh: { ...refreshScheduler.status(), failures: lastFetchFailures },
+    alerts: { open: listAlerts(alertState, { status: 'open' }).length },
+    digest: digestScheduler.status(),
+    email: { configured: Boolean(SMTP), subscriptions: subscriptions.length, delivery: emailScheduler.status() },
+  });
+});
+
 // ─── Startup ────────────────────────────────────────────────────────────────
 
 async function start() {
   console.log('Loading Copilot metrics data...');
-  await loadAllData();
-  generateReports();
+  await refreshScheduler.run();
+  refreshScheduler.start();
+  if (REFRESH_SCHEDULE) console.log(`Background refresh scheduled: ${REFRESH_SCHEDULE}`);
+  digestScheduler.start();
+  emailScheduler.start();
+  if (DIGEST_SCHEDULE) console.log(`Weekly digest scheduled: ${DIGEST_SCHEDULE}`);
 
   // Initialize Copilot SDK client
   try {
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  evaluateAlertRules, listAlerts, loadAlertRules, loadAlertState, markNotified, pendingAlerts, recordAlerts, resolveAlert,
+} from '../lib/alerts.js';
+
+// Two weeks of weekdays from Monday 2026-03-02 with 100 active users, then `last` on Monday 2026-03-16
+function usage(last) {
+  const records = [];
+  for (let i = 0; i <= 14; i++) {
+    const d = new Date('2026-03-02T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + i);
+    const day = d.toISOString().slice(0, 10);
+    records.push({ day, daily_active_users: i === 14 ? last : [0, 6].includes(d.getUTCDay()) ? 5 : 100 });
+  }
+  return records;
+}
+
+const rules = loadAlertRules(null).filter(r => r.id === 'dau-drop');
+const slack = { name: 'slack', minSeverity: null };
+const pager = { name: 'pager', minSeverity: 'critical' };
+
+test('a working-day drop raises one alert with a stable id; weekends are skipped', () => {
+  assert.deepEqual(evaluateAlertRules(usage(100), rules, { tenant: 'prod' }), []);
+  const [alert, ...rest] = evaluateAlertRules(usage(50), rules, { tenant: 'prod' });
+  assert.equal(rest.length, 0);
+  assert.equal(alert.id, 'dau-drop:prod:2026-03-16');
+  assert.match(alert.message, /fell 50% on Monday 2026-03-16: 50 against 100 on 2026-03-13/);
+});
+
+test('an alert is queued once per webhook that takes its severity', () => {
+  const state = { alerts: {} };
+  const raised = evaluateAlertRules(usage(50), rules, { tenant: 'prod' });
+  assert.equal(recordAlerts(state, raised, { webhooks: [slack, pager] }).length, 1);
+  assert.deepEqual(state.alerts['dau-drop:prod:2026-03-16'].pendingWebhooks, ['slack']);
+  // Raised again after the next refresh: known, so not new
+  assert.equal(recordAlerts(state, raised, { webhooks: [slack, pager] }).length, 0);
+  assert.equal(pendingAlerts(state, 'slack').length, 1);
+  assert.equal(pendingAlerts(state, 'pager').length, 0);
+});
+
+test('only a delivered post clears an alert from a webhook queue', () => {
+  const state = { alerts: {} };
+  const raised = evaluateAlertRules(usage(50), rules, { tenant: 'prod' });
+  recordAlerts(state, raised, { webhooks: [slack, { name: 'teams' }] });
+  // The Slack post went through, the Teams one failed
+  markNotified(state, pendingAlerts(state, 'slack'), 'slack');
+  assert.equal(pendingAlerts(state, 'slack').length, 0);
+  assert.equal(pendingAlerts(state, 'teams').length, 1);
+  // Resolving stops the retries
+  resolveAlert(state, raised[0].id, { note: 'Planned outage' });
+  assert.equal(pendingAlerts(state, 'teams').length, 0);
+  assert.equal(listAlerts(state, { status: 'resolved' })[0].resolutionNote, 'Planned outage');
+});
+
+test('an unreadable state file starts afresh', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-alerts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'alerts-state.json');
+  fs.writeFileSync(file, '{"alerts": {"dau-drop');
+  assert.deepEqual(loadAlertState(file, () => {}), { alerts: {} });
+  assert.ok(fs.existsSync(`${file}.corrupt`));
+});
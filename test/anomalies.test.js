@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectAnomalies, parseAnomalyOptions } from '../lib/anomalies.js';
+
+// Four weeks from Monday 2026-03-02: 100 interactions on weekdays, 10 at weekends
+function weeks(overrides = {}) {
+  const records = [];
+  for (let i = 0; i < 28; i++) {
+    const d = new Date('2026-03-02T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + i);
+    const day = d.toISOString().slice(0, 10);
+    const weekend = [0, 6].includes(d.getUTCDay());
+    const interactions = day in overrides ? overrides[day] : (weekend ? 10 : 100) + (i % 3);
+    records.push({ day, user_initiated_interaction_count: interactions, code_generation_activity_count: interactions });
+  }
+  return records;
+}
+
+const interactions = (records) => detectAnomalies(records, { metrics: ['interactions'] }).anomalies;
+
+test('quiet weekends are not flagged against weekday levels', () => {
+  assert.deepEqual(interactions(weeks()), []);
+});
+
+test('a weekday drop is flagged against earlier weekdays', () => {
+  const [anomaly, ...rest] = interactions(weeks({ '2026-03-25': 40 }));
+  assert.equal(rest.length, 0);
+  assert.equal(anomaly.day, '2026-03-25');
+  assert.equal(anomaly.dayType, 'weekday');
+  assert.equal(anomaly.direction, 'drop');
+  assert.equal(anomaly.severity, 'critical');
+  assert.match(anomaly.explanation, /^Interactions was 40 on Wednesday/);
+});
+
+test('a count falling to zero is critical', () => {
+  const [anomaly] = interactions(weeks({ '2026-03-28': 0 }));
+  assert.equal(anomaly.dayType, 'weekend');
+  assert.equal(anomaly.severity, 'critical');
+});
+
+test('from/to limit the days reported, not the baseline', () => {
+  const records = weeks({ '2026-03-25': 40 });
+  assert.equal(detectAnomalies(records, { metrics: ['interactions'], from: '2026-03-26' }).summary.total, 0);
+  assert.equal(detectAnomalies(records, { metrics: ['interactions'], from: '2026-03-25' }).summary.total, 1);
+});
+
+test('days with an unavailable count are skipped', () => {
+  const records = weeks().map(r => ({ ...r, user_initiated_interaction_count: null }));
+  assert.deepEqual(interactions(records), []);
+});
+
+test('parseAnomalyOptions validates metrics and severity', () => {
+  assert.deepEqual(parseAnomalyOptions({ metrics: 'interactions, codeGenerated' }), { metrics: ['interactions', 'codeGenerated'], minSeverity: 'warning' });
+  assert.throws(() => parseAnomalyOptions({ metrics: 'seats' }), /Unknown metric/);
+  assert.throws(() => parseAnomalyOptions({ minSeverity: 'info' }), /minSeverity/);
+});
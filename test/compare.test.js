@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compareValues, comparePeriods, comparisonWindows, formatChange } from '../lib/compare.js';
+
+function day(date, interactions) {
+  return {
+    day: date,
+    daily_active_users: 10,
+    user_initiated_interaction_count: interactions,
+    code_generation_activity_count: interactions * 2,
+    code_acceptance_activity_count: interactions,
+    loc_added_sum: 0,
+    loc_deleted_sum: 0,
+    totals_by_feature: [{ feature: 'chat_panel_agent_mode', user_initiated_interaction_count: interactions, code_generation_activity_count: interactions * 2 }],
+    totals_by_language_feature: [{ language: 'python', feature: 'code_completion', code_generation_activity_count: interactions * 2 }],
+    totals_by_model_feature: [{ model: 'gpt-4.1', feature: 'chat_panel_agent_mode', user_initiated_interaction_count: interactions }],
+  };
+}
+
+// Consecutive days from `start`, one record per interactions value
+function days(start, values) {
+  return values.map((v, i) => {
+    const d = new Date(`${start}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + i);
+    return day(d.toISOString().slice(0, 10), v);
+  });
+}
+
+test('the previous window is the same length, just before the current one', () => {
+  const windows = comparisonWindows(days('2026-03-01', [1]), { from: '2026-03-01', to: '2026-03-07' });
+  assert.deepEqual(windows.previous, { start: '2026-02-22', end: '2026-02-28', days: 7 });
+});
+
+test('compareValues reports change, percent change and trend', () => {
+  assert.deepEqual(compareValues(150, 100), { current: 150, previous: 100, change: 50, changePct: 50, trend: 'up', unit: 'count' });
+  assert.equal(compareValues(5, 0).changePct, null);
+  assert.equal(compareValues(5, null).trend, null);
+  assert.equal(compareValues(null, 5).change, null);
+  assert.equal(formatChange(compareValues(40, 50, 'pct')), '▼ 10.0 pts');
+});
+
+test('periods with equal coverage compare totals', () => {
+  const records = days('2026-03-01', [10, 10, 10, 20, 20, 20]);
+  const result = comparePeriods(records, { from: '2026-03-04', to: '2026-03-06' });
+  assert.equal(result.totalsComparable, true);
+  assert.equal(result.kpis.interactions.change, 30);
+  assert.equal(result.kpis.interactions.trend, 'up');
+  assert.equal(result.models[0].change, 30);
+});
+
+test('periods with different coverage keep totals but drop their change', () => {
+  // The previous period has one day of data, the current one three
+  const records = [...days('2026-03-03', [10]), ...days('2026-03-04', [10, 10, 10])];
+  const result = comparePeriods(records, { from: '2026-03-04', to: '2026-03-06' });
+  assert.equal(result.totalsComparable, false);
+  assert.equal(result.current.daysWithData, 3);
+  assert.equal(result.previous.daysWithData, 1);
+  assert.deepEqual(result.kpis.interactions, { current: 30, previous: 10, change: null, changePct: null, trend: null, unit: 'count' });
+  assert.equal(result.models[0].change, null);
+  // Averages and rates don't depend on coverage
+  assert.equal(result.kpis.avgDailyActiveUsers.trend, 'flat');
+  assert.equal(result.kpis.agentAdoptionPct.change, 0);
+});
+
+test('no previous data gives null previous values', () => {
+  const result = comparePeriods(days('2026-03-04', [10, 10, 10]), { from: '2026-03-04', to: '2026-03-06' });
+  assert.equal(result.kpis.interactions.previous, null);
+  assert.equal(formatChange(result.kpis.interactions), 'n/a');
+});
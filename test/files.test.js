@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readJsonFile, writeJsonFile } from '../lib/files.js';
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-files-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('writeJsonFile replaces the file without leaving a temporary one', (t) => {
+  const file = path.join(tmpDir(t), 'state', 'alerts.json');
+  writeJsonFile(file, { a: 1 });
+  writeJsonFile(file, { a: 2 });
+  assert.deepEqual(readJsonFile(file, null), { a: 2 });
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['alerts.json']);
+});
+
+test('readJsonFile falls back on a missing file', (t) => {
+  assert.deepEqual(readJsonFile(path.join(tmpDir(t), 'none.json'), { empty: true }), { empty: true });
+});
+
+test('readJsonFile sets an unreadable file aside and falls back', (t) => {
+  const file = path.join(tmpDir(t), 'seats.json');
+  fs.writeFileSync(file, '{"fetchedAt": "2026-');
+  const warnings = [];
+  assert.deepEqual(readJsonFile(file, {}, (msg) => warnings.push(msg)), {});
+  assert.equal(warnings.length, 1);
+  assert.equal(fs.existsSync(file), false);
+  assert.equal(fs.readFileSync(`${file}.corrupt`, 'utf-8'), '{"fetchedAt": "2026-');
+});
@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFilters, parseFilters } from '../lib/filters.js';
+import { aggregateByFeature, aggregateByIDE, getFeatureActivity, getSummary } from '../lib/metrics.js';
+
+// One day shaped like the enterprise report: the language breakdowns carry no interaction counts
+const record = {
+  day: '2026-10-06',
+  daily_active_users: 10,
+  user_initiated_interaction_count: 100,
+  code_generation_activity_count: 300,
+  code_acceptance_activity_count: 90,
+  loc_added_sum: 500,
+  totals_by_feature: [
+    { feature: 'code_completion', user_initiated_interaction_count: 0, code_generation_activity_count: 200, code_acceptance_activity_count: 80, loc_added_sum: 300 },
+    { feature: 'chat_panel_agent_mode', user_initiated_interaction_count: 100, code_generation_activity_count: 100, code_acceptance_activity_count: 10, loc_added_sum: 200 },
+  ],
+  totals_by_ide: [{ ide: 'vscode', user_initiated_interaction_count: 100, code_generation_activity_count: 300, loc_added_sum: 500 }],
+  totals_by_language_feature: [
+    { language: 'python', feature: 'code_completion', code_generation_activity_count: 120, code_acceptance_activity_count: 50, loc_added_sum: 180 },
+    { language: 'python', feature: 'chat_panel_agent_mode', code_generation_activity_count: 60, code_acceptance_activity_count: 6, loc_added_sum: 150 },
+    { language: 'go', feature: 'code_completion', code_generation_activity_count: 80, code_acceptance_activity_count: 30, loc_added_sum: 120 },
+  ],
+  totals_by_model_feature: [
+    { model: 'gpt-4.1', feature: 'chat_panel_agent_mode', user_initiated_interaction_count: 100, code_generation_activity_count: 100, loc_added_sum: 200 },
+  ],
+  totals_by_language_model: [{ language: 'python', model: 'gpt-4.1', code_generation_activity_count: 60 }],
+};
+
+const filtered = (params) => applyFilters([record], parseFilters(params));
+
+test('a language filter rebuilds features from the language x feature breakdown', () => {
+  const features = aggregateByFeature(filtered({ language: 'python' }));
+  assert.deepEqual(features.map(f => [f.feature, f.codeGenerated, f.locAdded]), [
+    ['code_completion', 120, 180],
+    ['chat_panel_agent_mode', 60, 150],
+  ]);
+  // The language breakdown has no interaction counts, so they are unknown rather than zero
+  assert.ok(features.every(f => f.interactions === null));
+});
+
+test('a language filter leaves interactions unavailable in the summary', () => {
+  const summary = getSummary(filtered({ language: 'python' }));
+  assert.equal(summary.totalInteractions, null);
+  assert.equal(summary.totalCodeGenerated, 180);
+  assert.equal(summary.totalCodeAccepted, 56);
+  assert.equal(getFeatureActivity(filtered({ language: 'python' })), null);
+});
+
+test('a model filter keeps interactions, which the model breakdown carries', () => {
+  const recs = filtered({ model: 'gpt-4.1' });
+  assert.equal(getSummary(recs).totalInteractions, 100);
+  assert.deepEqual(aggregateByFeature(recs).map(f => [f.feature, f.interactions]), [['chat_panel_agent_mode', 100]]);
+  assert.deepEqual(getFeatureActivity(recs), { agent: 200, chat: 100, total: 200 });
+});
+
+test('breakdowns without the filtered dimension are unavailable, not empty', () => {
+  assert.equal(aggregateByIDE(filtered({ language: 'python' })), null);
+  assert.equal(aggregateByFeature(filtered({ ide: 'vscode' })), null);
+  assert.equal(getSummary(filtered({ ide: 'vscode' })).totalInteractions, 100);
+});
+
+test('a day without matching entries counts as zero', () => {
+  const summary = getSummary(filtered({ language: 'rust' }));
+  assert.equal(summary.totalCodeGenerated, 0);
+  assert.equal(summary.totalInteractions, null);
+});
+
+test('unfiltered records are untouched', () => {
+  assert.deepEqual(applyFilters([record], null), [record]);
+  assert.equal(getSummary([record]).totalInteractions, 100);
+  assert.deepEqual(getFeatureActivity([record]), { agent: 200, chat: 100, total: 400 });
+});
+
+test('date ranges are inclusive and validated', () => {
+  assert.equal(filtered({ from: '2026-10-06', to: '2026-10-06' }).length, 1);
+  assert.equal(filtered({ from: '2026-10-07' }).length, 0);
+  assert.throws(() => parseFilters({ from: '2026-02-30' }), /YYYY-MM-DD/);
+  assert.throws(() => parseFilters({ from: '2026-10-07', to: '2026-10-06' }), /after/);
+  assert.throws(() => parseFilters({ ide: 'vscode', language: 'python' }), /no breakdown/);
+});
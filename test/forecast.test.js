@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FORECAST_HORIZONS, forecastMetrics, forecastSeries, parseTargets } from '../lib/forecast.js';
+
+// `count` days from 2026-01-05 (a Monday) with `users(i)` active users, half of the activity from agent mode
+function history(count, users) {
+  return Array.from({ length: count }, (_, i) => {
+    const d = new Date('2026-01-05T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + i);
+    return {
+      day: d.toISOString().slice(0, 10),
+      daily_active_users: users(i),
+      totals_by_feature: [
+        { feature: 'chat_panel_agent_mode', user_initiated_interaction_count: 50, code_generation_activity_count: 0 },
+        { feature: 'chat_panel_ask_mode', user_initiated_interaction_count: 50, code_generation_activity_count: 0 },
+      ],
+    };
+  });
+}
+
+test('a steady linear trend is projected along the same line', () => {
+  const { metrics } = forecastMetrics(history(56, i => 100 + i));
+  const dau = metrics.dailyActiveUsers;
+  assert.equal(dau.trendPerWeek, 7);
+  assert.equal(dau.current.expected, 155);
+  assert.deepEqual(dau.horizons.map(h => [h.days, h.expected]), FORECAST_HORIZONS.map(days => [days, 155 + days]));
+  assert.ok(dau.horizons.every(h => h.lower <= h.expected && h.expected <= h.upper));
+  assert.equal(dau.daily.length, FORECAST_HORIZONS[FORECAST_HORIZONS.length - 1]);
+  assert.equal(metrics.agentSharePct.current.expected, 50);
+});
+
+test('weekends are fitted as their own level', () => {
+  const weekend = (i) => [5, 6].includes(i % 7);
+  const dau = forecastMetrics(history(56, i => (weekend(i) ? 20 : 100))).metrics.dailyActiveUsers;
+  assert.equal(dau.weekendEffect, -80);
+  assert.equal(dau.current.expected, 100);
+  assert.equal(dau.daily.find(p => p.day === '2026-03-07').expected, 20);
+});
+
+test('target dates follow the projection', () => {
+  const targets = parseTargets({ dailyActiveUsers: '165', agentSharePct: 40 });
+  const { metrics } = forecastMetrics(history(56, i => 100 + i), { targets });
+  assert.deepEqual(
+    { status: metrics.dailyActiveUsers.target.status, eta: metrics.dailyActiveUsers.target.eta },
+    { status: 'projected', eta: '2026-03-11' },
+  );
+  assert.equal(metrics.agentSharePct.target.status, 'met');
+});
+
+test('too little history is reported as unavailable', () => {
+  assert.match(forecastMetrics(history(10, () => 100)).metrics.dailyActiveUsers.unavailable, /at least 14 days/);
+});
+
+test('days with no agent share are left out of its series', () => {
+  // Features rebuilt from the language breakdown carry no interaction counts
+  const records = history(20, () => 100).map(r => ({
+    ...r,
+    totals_by_feature: r.totals_by_feature.map(f => ({ ...f, user_initiated_interaction_count: null })),
+  }));
+  assert.deepEqual(forecastSeries(records, 'agentSharePct'), []);
+});
+
+test('parseTargets validates metric names and ranges', () => {
+  assert.deepEqual(parseTargets(undefined), {});
+  assert.throws(() => parseTargets({ seats: 10 }), /Unknown target metric/);
+  assert.throws(() => parseTargets({ acceptanceRate: 120 }), /from 0 to 100/);
+  assert.throws(() => parseTargets([1]), /object keyed by metric/);
+});
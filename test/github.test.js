@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createApiClient, fetchReportRecords } from '../lib/github.js';
+
+// Serves a report whose first download link has expired; `reportStatus`
+// overrides the report endpoint's answer
+async function withFakeApi(reportStatus, fn) {
+  let reportRequests = 0;
+  let base;
+  const server = http.createServer((req, res) => {
+    if (req.url === '/report') {
+      reportRequests++;
+      if (reportStatus) {
+        res.writeHead(reportStatus, { 'content-type': 'application/json' });
+        return res.end(JSON.stringify({ message: 'Bad credentials' }));
+      }
+      res.writeHead(200, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ download_links: [`${base}/download/${reportRequests}?sig=x`] }));
+    }
+    if (req.url.startsWith('/download/1')) {
+      res.writeHead(403);
+      return res.end('Request has expired');
+    }
+    res.writeHead(200);
+    res.end('{"day":"2025-01-01"}\n');
+  });
+  await new Promise(resolve => server.listen(0, () => resolve(null)));
+  const address = server.address();
+  base = `http://localhost:${typeof address === 'object' ? address.port : address}`;
+  try {
+    const client = createApiClient({ baseUrl: base, token: 't', log: () => {} });
+    await fn(client, () => reportRequests);
+  } finally {
+    server.close();
+  }
+}
+
+test('an expired download link is retried with a fresh report', async () => {
+  await withFakeApi(null, async (client, reportRequests) => {
+    assert.deepEqual(await fetchReportRecords(client, '/report'), { records: [{ day: '2025-01-01' }], parseErrors: 0 });
+    assert.equal(reportRequests(), 2);
+  });
+});
+
+test('a rejected token is still an auth failure', async () => {
+  await withFakeApi(401, async (client) => {
+    await assert.rejects(fetchReportRecords(client, '/report'), { kind: 'auth', status: 401 });
+  });
+});
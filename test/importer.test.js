@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { importBuffer, ImportTooLargeError } from '../lib/importer.js';
+
+const aggregate = { day: '2025-01-01', daily_active_users: 3 };
+const perUser = { day: '2025-01-01', user_login: 'octocat' };
+const ndjson = Buffer.from(`${JSON.stringify(aggregate)}\n${JSON.stringify(perUser)}\n`);
+
+// Minimal ustar archive holding `files` ({ name: Buffer })
+function tar(files) {
+  const blocks = [];
+  for (const [name, data] of Object.entries(files)) {
+    const header = Buffer.alloc(512);
+    header.write(name, 0);
+    header.write(data.length.toString(8).padStart(11, '0'), 124);
+    header.write('0', 156);
+    header.write('ustar', 257);
+    blocks.push(header, data, Buffer.alloc(Math.ceil(data.length / 512) * 512 - data.length));
+  }
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+test('splits aggregate and per-user records', () => {
+  const result = importBuffer(ndjson, 'report.ndjson');
+  assert.equal(result.files, 1);
+  assert.deepEqual(result.records, [aggregate]);
+  assert.deepEqual(result.userRecords, [perUser]);
+  assert.equal(result.parseErrors, 0);
+});
+
+test('reads JSON arrays and counts unreadable lines', () => {
+  assert.deepEqual(importBuffer(Buffer.from(JSON.stringify([aggregate])), 'report.json').records, [aggregate]);
+  const result = importBuffer(Buffer.from(`${JSON.stringify(aggregate)}\nnot json\n{"no_day":1}\n`), 'report.ndjson');
+  assert.equal(result.records.length, 1);
+  assert.equal(result.parseErrors, 2);
+});
+
+test('unpacks gzipped tar archives', () => {
+  const archive = zlib.gzipSync(tar({ 'a/report.ndjson': ndjson, 'a/README.txt': Buffer.from('skip me') }));
+  const result = importBuffer(archive, 'export.tgz');
+  assert.equal(result.files, 1);
+  assert.equal(result.records.length, 1);
+  assert.equal(result.userRecords.length, 1);
+});
+
+test('finds nothing in files that are not reports', () => {
+  const result = importBuffer(Buffer.from('hello'), 'notes.txt');
+  assert.equal(result.files, 0);
+  assert.equal(result.records.length + result.userRecords.length, 0);
+});
+
+test('refuses inputs that expand past the limits', () => {
+  const bomb = zlib.gzipSync(Buffer.alloc(64 * 1024, ' '));
+  assert.throws(() => importBuffer(bomb, 'report.ndjson.gz', { maxEntryBytes: 1024 }), ImportTooLargeError);
+  // Room for the tar and the first report in it, but not the second
+  const inner = tar({ 'a.ndjson.gz': zlib.gzipSync(ndjson), 'b.ndjson.gz': zlib.gzipSync(ndjson) });
+  const limits = { maxTotalBytes: inner.length + ndjson.length + 1 };
+  assert.throws(() => importBuffer(zlib.gzipSync(inner), 'export.tgz', limits), ImportTooLargeError);
+  assert.equal(importBuffer(zlib.gzipSync(inner), 'export.tgz').records.length, 2);
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { dueSubscriptions, loadCustomReports, recordDelivery } from '../lib/subscriptions.js';
+
+const daily = { id: 'vp-daily', report: 'executive-summary', recipients: ['vp@example.com'], frequency: 'daily', tenant: null };
+const at = (iso) => new Date(`${iso}Z`);
+
+test('failed deliveries back off exponentially up to a day', () => {
+  const state = { 'vp-daily': { since: '2026-03-01T00:00:00.000Z', lastSentAt: null, lastError: null } };
+  const now = at('2026-03-02T07:00:00');
+  assert.equal(dueSubscriptions([daily], state, 7, now).length, 1);
+
+  recordDelivery(state['vp-daily'], new Error('550 mailbox unavailable'), now);
+  assert.equal(state['vp-daily'].retryAt, '2026-03-02T07:15:00.000Z');
+  assert.equal(dueSubscriptions([daily], state, 7, at('2026-03-02T07:10:00')).length, 0);
+  assert.equal(dueSubscriptions([daily], state, 7, at('2026-03-02T07:15:00')).length, 1);
+
+  recordDelivery(state['vp-daily'], new Error('550 mailbox unavailable'), at('2026-03-02T07:15:00'));
+  assert.equal(state['vp-daily'].retryAt, '2026-03-02T07:45:00.000Z');
+  for (let i = 0; i < 10; i++) recordDelivery(state['vp-daily'], new Error('550'), now);
+  assert.equal(state['vp-daily'].retryAt, '2026-03-03T07:00:00.000Z');
+  assert.equal(state['vp-daily'].failures, 12);
+});
+
+test('a successful delivery clears the backoff', () => {
+  const entry = { since: '2026-03-01T00:00:00.000Z', lastSentAt: null, lastError: null };
+  recordDelivery(entry, new Error('timeout'), at('2026-03-02T07:00:00'));
+  recordDelivery(entry, null, at('2026-03-02T07:15:00'));
+  assert.deepEqual(
+    { lastSentAt: entry.lastSentAt, lastError: entry.lastError, failures: entry.failures, retryAt: entry.retryAt },
+    { lastSentAt: '2026-03-02T07:15:00.000Z', lastError: null, failures: 0, retryAt: null },
+  );
+});
+
+test('invalid saved reports are left out rather than failing the load', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-subscriptions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'custom-reports.json');
+  fs.writeFileSync(file, JSON.stringify([{ id: 'custom-1', title: 'Agent usage', markdown: '# Agent usage' }, { id: 'custom-2' }]));
+  const warnings = [];
+  assert.deepEqual(loadCustomReports(file, (msg) => warnings.push(msg)).map(r => r.id), ['custom-1']);
+  assert.equal(warnings.length, 1);
+});